@@ -0,0 +1,69 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const { setLocale } = require('./middleware/locale.middleware');
+
+// Import routes
+const authRoutes = require('./routes/auth.routes');
+const userRoutes = require('./routes/user.routes');
+const projectRoutes = require('./routes/project.routes');
+const employeeRoutes = require('./routes/employee.routes');
+const logRoutes = require('./routes/log.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const reportRoutes = require('./routes/report.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const adminRoutes = require('./routes/admin.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const roleRoutes = require('./routes/role.routes');
+const shareRoutes = require('./routes/share.routes');
+const companyRoutes = require('./routes/company.routes');
+const auditRoutes = require('./routes/audit.routes');
+
+// Create Express app (server.js starts it once connected to MongoDB)
+const app = express();
+
+// Set up middleware
+app.use(helmet()); // Security headers
+app.use(cors()); // Enable CORS for all routes
+app.use(express.json()); // Parse JSON request body
+app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request body
+// HTTP request logger (quiet while the tests run)
+if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
+}
+app.use(setLocale); // Resolve the language of the response
+
+// API routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/employees', employeeRoutes);
+app.use('/api/logs', logRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/audit', auditRoutes);
+
+// Root route
+app.get('/', (req, res) => {
+  res.json({ message: 'Welcome to Daily Work Log System API' });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({
+    message: req.t(err.message || 'Something went wrong on the server'),
+    error: process.env.NODE_ENV === 'development' ? err : {}
+  });
+});
+
+module.exports = app;
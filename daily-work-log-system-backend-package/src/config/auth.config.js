@@ -1,4 +1,28 @@
 module.exports = {
   secret: process.env.JWT_SECRET,
-  expiresIn: process.env.JWT_EXPIRES_IN
+  // Access tokens are short-lived; clients renew them with the refresh token
+  expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  // Refresh tokens (and the sessions they belong to) expire after this many days without use
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30,
+  // Password reset links stop working after this many minutes
+  passwordResetMinutes: parseInt(process.env.PASSWORD_RESET_MINUTES, 10) || 60,
+  // An account is locked after this many consecutive failed logins
+  maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5,
+  // The first lockout lasts this long; each further lockout doubles it up to the maximum
+  lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES, 10) || 15,
+  maxLockoutMinutes: parseInt(process.env.MAX_LOCKOUT_MINUTES, 10) || 24 * 60,
+  // Failed logins allowed from one IP address within the window, across all accounts
+  ipMaxLoginAttempts: parseInt(process.env.IP_MAX_LOGIN_ATTEMPTS, 10) || 20,
+  ipWindowMinutes: parseInt(process.env.IP_WINDOW_MINUTES, 10) || 15,
+  // Open registration of Team Leader accounts; off by default, managers invite users instead
+  allowSelfRegistration: process.env.ALLOW_SELF_REGISTRATION === 'true',
+  // Registering the first (administrator) account requires this token; without it no one can
+  bootstrapToken: process.env.BOOTSTRAP_TOKEN,
+  // Invitation links stop working after this many days
+  invitationDays: parseInt(process.env.INVITATION_DAYS, 10) || 7,
+  // Client share links expire after this many days unless a shorter period is chosen
+  shareLinkDays: parseInt(process.env.SHARE_LINK_DAYS, 10) || 30,
+  shareLinkMaxDays: parseInt(process.env.SHARE_LINK_MAX_DAYS, 10) || 365,
+  // Tickets for opening the real-time event stream must be used within this many seconds
+  streamTicketSeconds: parseInt(process.env.STREAM_TICKET_SECONDS, 10) || 60
 };
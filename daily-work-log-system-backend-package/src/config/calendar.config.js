@@ -0,0 +1,20 @@
+const moment = require('moment-timezone');
+
+// Default work calendar, used until the company calendar is edited through the API
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const weekendDays = parseList(process.env.WEEKEND_DAYS || '5,6').map(Number);
+
+module.exports = {
+  // Timezone of the work sites; scheduled jobs and day boundaries use it (defaults to the server's)
+  timezone: process.env.TIMEZONE || moment.tz.guess(),
+  // Working weekdays as day-of-week numbers (0 = Sunday ... 6 = Saturday)
+  workingDays: [0, 1, 2, 3, 4, 5, 6].filter(day => !weekendDays.includes(day)),
+  // Public holidays as YYYY-MM-DD dates
+  holidays: parseList(process.env.HOLIDAYS),
+  // How long the calendar is cached in memory before it is read again
+  cacheSeconds: parseInt(process.env.CALENDAR_CACHE_SECONDS, 10) || 60
+};
@@ -0,0 +1,9 @@
+// Settings of the background job runner
+module.exports = {
+  // Missed runs are caught up after downtime if they were due within this many hours
+  catchUpHours: parseInt(process.env.JOB_CATCH_UP_HOURS, 10) || 24,
+  // How long a job may hold its lock before another instance may take over
+  lockSeconds: parseInt(process.env.JOB_LOCK_SECONDS, 10) || 15 * 60,
+  // How long job run history is kept
+  historyDays: parseInt(process.env.JOB_HISTORY_DAYS, 10) || 30
+};
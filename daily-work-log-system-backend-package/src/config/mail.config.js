@@ -0,0 +1,18 @@
+// SMTP settings for outgoing email (defaults match a local MailHog catcher)
+module.exports = {
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  password: process.env.SMTP_PASSWORD,
+  // An unresponsive SMTP server fails the delivery (to be retried) instead of hanging it
+  connectionTimeoutSeconds: parseInt(process.env.SMTP_CONNECTION_TIMEOUT_SECONDS, 10) || 10,
+  greetingTimeoutSeconds: parseInt(process.env.SMTP_GREETING_TIMEOUT_SECONDS, 10) || 10,
+  socketTimeoutSeconds: parseInt(process.env.SMTP_SOCKET_TIMEOUT_SECONDS, 10) || 30,
+  from: process.env.MAIL_FROM || 'Daily Work Log <no-reply@dailyworklog.local>',
+  // Base URL of the web application, used for links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  // Failed deliveries are retried with an increasing delay until the attempts run out
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5,
+  retryDelayMinutes: parseInt(process.env.MAIL_RETRY_DELAY_MINUTES, 10) || 5
+};
@@ -0,0 +1,20 @@
+// Settings of the scheduled notification jobs
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+module.exports = {
+  // Hours after the end of a work day before a missing or draft log is escalated to managers
+  escalationHours: parseInt(process.env.ESCALATION_HOURS, 10) || 24,
+  // How many past work days are checked for escalation
+  escalationLookbackDays: parseInt(process.env.ESCALATION_LOOKBACK_DAYS, 10) || 3,
+  // When the morning digest is sent to managers (cron expression)
+  digestSchedule: process.env.DIGEST_CRON || '0 7 * * *',
+  // When team leaders are reminded of draft logs (cron expression)
+  incompleteLogSchedule: process.env.INCOMPLETE_LOG_CRON || '0 10 * * *',
+  // Days to wait before each further reminder about the same draft; the last value repeats
+  reminderIntervalDays: parseList(process.env.REMINDER_INTERVAL_DAYS || '1,2,3').map(Number),
+  // After this many reminders the project managers are notified instead
+  maxReminders: parseInt(process.env.MAX_REMINDERS, 10) || 3
+};
@@ -0,0 +1,19 @@
+// Default column mapping for timesheet exports, as "field:Header" pairs
+// Override with PAYROLL_COLUMNS to match the import format of the payroll system
+const DEFAULT_COLUMNS = [
+  'employeeId:Employee ID',
+  'employeeName:Employee Name',
+  'projectName:Project',
+  'period:Date',
+  'daysWorked:Days Worked',
+  'regularHours:Regular Hours',
+  'overtimeHours:Overtime Hours',
+  'totalHours:Total Hours',
+  'payableHours:Payable Hours'
+].join(',');
+
+module.exports = {
+  columns: process.env.PAYROLL_COLUMNS || DEFAULT_COLUMNS,
+  dateFormat: process.env.PAYROLL_DATE_FORMAT || 'YYYY-MM-DD',
+  csvDelimiter: process.env.PAYROLL_CSV_DELIMITER || ','
+};
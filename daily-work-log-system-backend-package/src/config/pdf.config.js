@@ -0,0 +1,4 @@
+// Unicode font embedded in generated PDFs (the built-in PDF fonts cannot render Hebrew)
+module.exports = {
+  fontPath: process.env.PDF_FONT_PATH || require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf')
+};
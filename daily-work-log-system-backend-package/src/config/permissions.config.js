@@ -0,0 +1,67 @@
+// Named permissions that roles are built from
+const PERMISSIONS = {
+  'logs:read': 'View the daily logs of all team leaders',
+  'logs:write': 'Write, submit and attach files to own daily logs',
+  'logs:approve': 'Approve or return submitted daily logs',
+  'logs:manage': 'Delete any daily log and manage its files, including approved logs',
+  'projects:write': 'Create, edit and delete projects and their team leader assignments',
+  'projects:all': 'Access every project, not only those the user is a member of',
+  'employees:read': 'View employees',
+  'employees:write': 'Create, edit and delete employees',
+  'users:manage': 'Create, edit, invite and unlock users',
+  'roles:manage': 'Create and edit roles and their permissions',
+  'reports:view': 'Export PDF reports of daily logs',
+  'reports:export': 'Export payroll timesheets',
+  'calendar:manage': 'Edit the company work calendar',
+  'jobs:manage': 'View and run background jobs',
+  'audit:read': 'View and export the audit log'
+};
+
+// Roles created on startup when missing; afterwards they are edited through the API
+const DEFAULT_ROLES = [
+  {
+    // Everything except writing daily logs, which is what makes a user a team leader
+    name: 'Admin',
+    description: 'Full access to the system',
+    permissions: Object.keys(PERMISSIONS).filter(permission => permission !== 'logs:write')
+  },
+  {
+    name: 'Project Manager',
+    description: 'Runs projects and reviews their daily logs',
+    permissions: [
+      'logs:read', 'logs:approve', 'logs:manage', 'projects:write',
+      'employees:read', 'employees:write', 'reports:view', 'reports:export', 'calendar:manage'
+    ]
+  },
+  {
+    name: 'Site Supervisor',
+    description: 'Writes the daily logs of the sites they lead',
+    permissions: ['logs:write', 'employees:read', 'reports:view']
+  },
+  {
+    name: 'Office/Payroll',
+    description: 'Reads approved work and exports timesheets',
+    permissions: ['logs:read', 'employees:read', 'employees:write', 'reports:view', 'reports:export']
+  },
+  {
+    name: 'Read-only Viewer',
+    description: 'Can look at everything but change nothing',
+    permissions: ['logs:read', 'employees:read', 'reports:view']
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  // Role given to the first account (bootstrap); its permissions are reset on every startup
+  adminRole: 'Admin',
+  // Role of self-registered accounts, when self-registration is enabled
+  selfRegistrationRole: process.env.SELF_REGISTRATION_ROLE || 'Site Supervisor',
+  // Roles of the original two-role model and the roles their users are moved to
+  legacyRoles: {
+    Manager: 'Admin',
+    'Team Leader': 'Site Supervisor'
+  },
+  // How long role permissions are cached in memory before they are read again
+  cacheSeconds: parseInt(process.env.ROLE_CACHE_SECONDS, 10) || 60
+};
@@ -0,0 +1,13 @@
+// Settings for the real-time event stream
+module.exports = {
+  // Interval of keep-alive comments so proxies don't close idle connections
+  heartbeatSeconds: parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 25,
+  // How long events are kept for clients reconnecting with a last event id
+  eventRetentionHours: parseInt(process.env.STREAM_EVENT_RETENTION_HOURS, 10) || 24,
+  // Delay the browser waits before reconnecting after the stream drops
+  retryMilliseconds: parseInt(process.env.STREAM_RETRY_MS, 10) || 5000,
+  // Interval at which each server instance picks up events published by the other instances
+  pollMilliseconds: parseInt(process.env.STREAM_POLL_MS, 10) || 2000,
+  // How far each poll looks back, so events stored late (clock skew, slow writes) are not missed
+  pollOverlapMilliseconds: parseInt(process.env.STREAM_POLL_OVERLAP_MS, 10) || 10000
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  // Company that existing data is moved to when companies are introduced, and that
+  // self-registered users join
+  defaultCompanyName: process.env.DEFAULT_COMPANY_NAME || 'Default Company'
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  // Name shown next to the account in authenticator apps
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Daily Work Log',
+  // Key for encrypting TOTP secrets at rest; falls back to the JWT secret
+  encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+  // Roles that must use two-factor authentication, e.g. "Admin,Project Manager" (comma-separated)
+  requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+  // Time allowed between the password and code steps of a login
+  challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+  recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES, 10) || 10
+};
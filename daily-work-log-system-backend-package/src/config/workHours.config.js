@@ -0,0 +1,11 @@
+// Rules used to split worked hours into regular and overtime hours
+// (weekends and holidays come from the work calendar)
+module.exports = {
+  // Hours per day paid at the regular rate before overtime starts
+  regularHoursPerDay: parseFloat(process.env.REGULAR_HOURS_PER_DAY) || 8,
+  // Multiplier applied to overtime hours
+  overtimeMultiplier: parseFloat(process.env.OVERTIME_MULTIPLIER) || 1.25,
+  // Multipliers applied to all hours worked on weekends and holidays
+  weekendMultiplier: parseFloat(process.env.WEEKEND_MULTIPLIER) || 1.5,
+  holidayMultiplier: parseFloat(process.env.HOLIDAY_MULTIPLIER) || 2
+};
@@ -0,0 +1,86 @@
+const JobRun = require('../models/jobRun.model');
+const { validationResult } = require('express-validator');
+const { getJob, getJobs, getNextRunTime, triggerJob } = require('../utils/jobRunner');
+const { recordAudit } = require('../utils/audit');
+
+// List background jobs with their schedule and latest run
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await Promise.all(getJobs().map(async (job) => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      nextRunAt: getNextRunTime(job),
+      lastRun: await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 })
+    })));
+
+    return res.status(200).json(jobs);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving jobs')
+    });
+  }
+};
+
+// Get the run history of a job
+exports.getJobRuns = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({
+        message: req.t('Job not found')
+      });
+    }
+
+    const filter = { job: req.params.name };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const runs = await JobRun.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit, 10) || 50, 200))
+      .populate('triggeredBy', 'fullName');
+
+    return res.status(200).json(runs);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving job runs')
+    });
+  }
+};
+
+// Run a job now (it keeps running after the response is sent)
+exports.runJob = async (req, res) => {
+  try {
+    if (!getJob(req.params.name)) {
+      return res.status(404).json({
+        message: req.t('Job not found')
+      });
+    }
+
+    const run = await triggerJob(req.params.name, req.userId);
+
+    if (!run) {
+      return res.status(409).json({
+        message: req.t('Job is already running')
+      });
+    }
+
+    await recordAudit(req, 'job_started', { details: { job: req.params.name, run: run._id } });
+
+    return res.status(202).json({
+      message: req.t('Job started'),
+      run
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while starting the job')
+    });
+  }
+};
@@ -0,0 +1,148 @@
+const moment = require('moment');
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/auditLog.model');
+const { toCsv } = require('../utils/csv');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+
+// Page size of the audit log
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Most entries in one CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  { key: 'createdAt', header: 'Time' },
+  { key: 'action', header: 'Action' },
+  { key: 'actor', header: 'Actor' },
+  { key: 'actorEmail', header: 'Actor email' },
+  { key: 'targetUser', header: 'Target user' },
+  { key: 'entityType', header: 'Entity type' },
+  { key: 'entityId', header: 'Entity ID' },
+  { key: 'ipAddress', header: 'IP address' },
+  { key: 'userAgent', header: 'User agent' },
+  { key: 'before', header: 'Before' },
+  { key: 'after', header: 'After' },
+  { key: 'details', header: 'Details' }
+];
+
+// Build the query filter from the request; a date without a time includes the whole day
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.action) {
+    filter.action = { $in: query.action.split(',') };
+  }
+
+  ['actor', 'targetUser', 'entityType', 'entityId'].forEach(field => {
+    if (query[field]) {
+      filter[field] = query[field];
+    }
+  });
+
+  if (query.startDate || query.endDate) {
+    filter.createdAt = {};
+    if (query.startDate) {
+      filter.createdAt.$gte = new Date(query.startDate);
+    }
+    if (query.endDate) {
+      filter.createdAt.$lte = query.endDate.length === 10
+        ? moment(query.endDate).endOf('day').toDate()
+        : new Date(query.endDate);
+    }
+  }
+
+  return filter;
+};
+
+// Flatten an entry into a CSV row
+const toCsvRow = entry => ({
+  createdAt: entry.createdAt,
+  action: entry.action,
+  actor: entry.actor ? entry.actor.fullName : '',
+  actorEmail: entry.actor ? entry.actor.email : '',
+  targetUser: entry.targetUser ? entry.targetUser.fullName : '',
+  entityType: entry.entityType,
+  entityId: entry.entityId,
+  ipAddress: entry.ipAddress,
+  userAgent: entry.userAgent,
+  before: entry.before === undefined ? '' : JSON.stringify(entry.before),
+  after: entry.after === undefined ? '' : JSON.stringify(entry.after),
+  details: entry.details === undefined ? '' : JSON.stringify(entry.details)
+});
+
+// Get audit log entries, newest first, one page at a time
+exports.getAuditLog = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const filter = buildAuditFilter(req.query);
+
+    // Continue after the last entry of the previous page
+    if (req.query.cursor) {
+      const position = decodeCursor(req.query.cursor);
+      if (!position) {
+        return res.status(400).json({
+          message: req.t('Invalid cursor')
+        });
+      }
+      Object.assign(filter, afterCursor(position));
+    }
+
+    // Fetch one extra entry to know if there is another page
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('actor', 'fullName email')
+      .populate('targetUser', 'fullName email');
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+
+    return res.status(200).json({
+      entries: page,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the audit log')
+    });
+  }
+};
+
+// Export the audit log entries matching the filters as CSV, newest first
+exports.exportAuditLog = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entries = await AuditLog.find(buildAuditFilter(req.query))
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .populate('actor', 'fullName email')
+      .populate('targetUser', 'fullName email')
+      .lean();
+
+    const filename = `audit-log-${moment().format('YYYYMMDD-HHmmss')}`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+
+    const columns = CSV_COLUMNS.map(column => ({ ...column, header: req.t(column.header) }));
+    return res.status(200).send(toCsv(columns, entries.map(toCsvRow)));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while exporting the audit log')
+    });
+  }
+};
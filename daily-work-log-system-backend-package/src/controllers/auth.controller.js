@@ -1,37 +1,165 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const PasswordResetToken = require('../models/passwordResetToken.model');
+const LoginAttempt = require('../models/loginAttempt.model');
+const Company = require('../models/company.model');
+const SetupMarker = require('../models/setupMarker.model');
 const authConfig = require('../config/auth.config');
+const permissionsConfig = require('../config/permissions.config');
+const { createSecret, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { renderPasswordResetEmail } = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/audit');
+const { getRolePermissions } = require('../utils/permissions');
+const { getDefaultCompany } = require('../utils/tenants');
+const {
+  createEnrollment,
+  verifyCode,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired
+} = require('../utils/twoFactor');
 
-// Register a new user
+// Compared against when the email is unknown, so the response takes as long as a real check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(createSecret(16), 10);
+
+// Whether the user's company may use the system
+const isCompanyActive = async (user) => {
+  const company = await Company.findById(user.company).select('isActive');
+  return Boolean(company && company.isActive);
+};
+
+// Generate a short-lived access token carrying the user's id, company, role, language and session
+const generateToken = (user, sessionId) => jwt.sign(
+  { id: user._id, company: user.company, role: user.role, locale: user.locale, sid: sessionId },
+  authConfig.secret,
+  { expiresIn: authConfig.expiresIn }
+);
+
+// Start a session for the device signing in; returns its access and refresh tokens
+const startSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return {
+    token: generateToken(user, session._id),
+    refreshToken
+  };
+};
+
+// Finish a successful login: clear failed attempts and return user info with new tokens
+const completeLogin = async (user, req) => {
+  await user.resetLoginAttempts();
+
+  // Start a session with an access token and a refresh token
+  const { token, refreshToken } = await startSession(user, req);
+
+  await recordAudit(req, 'login_succeeded', { targetUser: user._id, company: user.company });
+
+  return {
+    id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    company: user.company,
+    role: user.role,
+    permissions: await getRolePermissions(user.role),
+    isSuperAdmin: user.isSuperAdmin,
+    locale: user.locale,
+    token: token,
+    refreshToken: refreshToken
+  };
+};
+
+// Setup step claimed by the request that creates the first administrator
+const FIRST_ADMIN_STEP = 'first_admin';
+
+// Register a new user: the very first account becomes the administrator (only with the
+// bootstrap token configured on the server); afterwards registration is closed unless
+// self-registration is enabled, which gives a fixed role
 exports.register = async (req, res) => {
   try {
-    // Check if email already exists
-    const existingUser = await User.findOne({ email: req.body.email });
+    const isBootstrap = await User.countDocuments().setOptions({ allTenants: true }) === 0;
+
+    if (isBootstrap) {
+      if (!authConfig.bootstrapToken) {
+        return res.status(403).json({
+          message: req.t('The first account can only be created with the bootstrap token configured on the server')
+        });
+      }
+
+      if (!req.body.bootstrapToken || hashToken(String(req.body.bootstrapToken)) !== hashToken(authConfig.bootstrapToken)) {
+        return res.status(403).json({
+          message: req.t('Invalid bootstrap token')
+        });
+      }
+    } else if (!authConfig.allowSelfRegistration) {
+      return res.status(403).json({
+        message: req.t('Registration is closed. Ask a manager for an invitation.')
+      });
+    }
+
+    // Check if email already exists (in any company)
+    const existingUser = await User.findOne({ email: req.body.email }).setOptions({ allTenants: true });
     if (existingUser) {
       return res.status(400).json({
-        message: 'Email is already in use'
+        message: req.t('Email is already in use')
       });
     }
 
-    // Create new user
+    // Create new user in the default company; the administrator also manages the other companies
+    const company = await getDefaultCompany();
     const user = new User({
       fullName: req.body.fullName,
       email: req.body.email,
       password: req.body.password,
-      role: req.body.role,
-      phone: req.body.phone
+      company: company._id,
+      role: isBootstrap ? permissionsConfig.adminRole : permissionsConfig.selfRegistrationRole,
+      isSuperAdmin: isBootstrap,
+      phone: req.body.phone,
+      locale: req.body.locale
     });
 
+    // Of parallel requests only one creates the first administrator
+    if (isBootstrap && !await SetupMarker.claim(FIRST_ADMIN_STEP)) {
+      return res.status(403).json({
+        message: req.t('Registration is closed. Ask a manager for an invitation.')
+      });
+    }
+
     // Save user to database
-    await user.save();
+    try {
+      await user.save();
+    } catch (error) {
+      if (isBootstrap) {
+        await SetupMarker.release(FIRST_ADMIN_STEP);
+      }
+      throw error;
+    }
+
+    await recordAudit(req, isBootstrap ? 'admin_bootstrapped' : 'user_registered', {
+      targetUser: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      after: user,
+      company: user.company
+    });
 
     return res.status(201).json({
-      message: 'User registered successfully'
+      message: req.t('User registered successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while registering the user'
+      message: error.message || req.t('Some error occurred while registering the user')
     });
   }
 };
@@ -39,49 +167,353 @@ exports.register = async (req, res) => {
 // User login
 exports.login = async (req, res) => {
   try {
-    // Find user by email
-    const user = await User.findOne({ email: req.body.email });
-    
+    const email = req.body.email.toLowerCase().trim();
+
+    // Every attempt is recorded before it is counted, so parallel requests see each other;
+    // the record is removed again once the password turns out to be right
+    const attempt = await LoginAttempt.create({ ipAddress: req.ip, email });
+
+    // Too many failed logins from this address, whichever accounts they targeted
+    if (await LoginAttempt.countRecent({ ipAddress: req.ip }) > authConfig.ipMaxLoginAttempts) {
+      await recordAudit(req, 'login_blocked', { details: { email, reason: 'ip_throttled' } });
+      return res.status(429).json({
+        message: req.t('Too many failed login attempts. Please try again later.')
+      });
+    }
+
+    // Find user by email; the company is only known once the user is found
+    const user = await User.findOne({ email }).setOptions({ allTenants: true });
+
+    // Unknown emails are throttled like real accounts so a lockout does not reveal which exist
+    const locked = user
+      ? user.isLocked()
+      : await LoginAttempt.countRecent({ email, kind: 'login' }) > authConfig.maxLoginAttempts;
+
+    if (locked) {
+      await recordAudit(req, 'login_blocked', {
+        targetUser: user && user._id,
+        details: { email, reason: 'account_locked' },
+        company: user && user.company
+      });
+      return res.status(429).json({
+        message: req.t('Too many failed login attempts. Please try again later.')
+      });
+    }
+
+    // Verify password (against a dummy hash for unknown emails, so both take as long)
+    const isPasswordValid = user
+      ? await user.comparePassword(req.body.password)
+      : await bcrypt.compare(req.body.password, DUMMY_PASSWORD_HASH);
+
+    if (!isPasswordValid) {
+      await recordAudit(req, 'login_failed', {
+        targetUser: user && user._id,
+        details: { email, reason: user ? 'invalid_password' : 'unknown_email' },
+        company: user && user.company
+      });
+
+      if (user && await user.registerFailedLogin()) {
+        await recordAudit(req, 'account_locked', {
+          targetUser: user._id,
+          details: { lockUntil: user.lockUntil, lockoutCount: user.lockoutCount },
+          company: user.company
+        });
+      }
+
+      return res.status(401).json({
+        message: req.t('Invalid email or password')
+      });
+    }
+
+    await attempt.deleteOne();
+
+    // Check if user is active (only revealed to someone who knows the password)
+    if (!user.isActive) {
+      return res.status(403).json({
+        message: req.t('Account is inactive. Please contact an administrator.')
+      });
+    }
+
+    if (!await isCompanyActive(user)) {
+      return res.status(403).json({
+        message: req.t('Your company is inactive. Please contact an administrator.')
+      });
+    }
+
+    // Enrolled users (and roles that must enroll) continue with an authenticator code
+    if (user.twoFactor.enabled || isTwoFactorRequired(user)) {
+      const purpose = user.twoFactor.enabled ? 'verify' : 'setup';
+      return res.status(200).json({
+        twoFactorRequired: purpose === 'verify',
+        twoFactorSetupRequired: purpose === 'setup',
+        challengeToken: createChallengeToken(user, purpose)
+      });
+    }
+
+    // Return user info and tokens
+    return res.status(200).json(await completeLogin(user, req));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred during login')
+    });
+  }
+};
+
+// Second login step: confirm the password step with an authenticator or recovery code
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken, 'verify');
+    const user = userId
+      ? await User.findById(userId)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes')
+        .setOptions({ allTenants: true })
+      : null;
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        message: req.t('Login challenge has expired. Please log in again.')
+      });
+    }
+
+    if (user.isLocked()) {
+      await recordAudit(req, 'login_blocked', {
+        targetUser: user._id,
+        details: { email: user.email, reason: 'account_locked' },
+        company: user.company
+      });
+      return res.status(429).json({
+        message: req.t('Too many failed login attempts. Please try again later.')
+      });
+    }
+
+    let isCodeValid;
+    if (req.body.recoveryCode) {
+      // Each recovery code works once
+      isCodeValid = await user.useRecoveryCode(hashRecoveryCode(req.body.recoveryCode));
+    } else {
+      // A code is not accepted twice, even within its time step
+      const step = verifyCode(user.twoFactor.secret, req.body.code);
+      isCodeValid = step !== null && await user.useCodeStep(step);
+    }
+
+    // Wrong codes count towards the account lockout like wrong passwords
+    if (!isCodeValid) {
+      await recordAudit(req, 'two_factor_failed', {
+        targetUser: user._id,
+        details: { method: req.body.recoveryCode ? 'recovery_code' : 'totp' },
+        company: user.company
+      });
+
+      if (await user.registerFailedLogin()) {
+        await recordAudit(req, 'account_locked', {
+          targetUser: user._id,
+          details: { lockUntil: user.lockUntil, lockoutCount: user.lockoutCount },
+          company: user.company
+        });
+      }
+
+      return res.status(401).json({
+        message: req.t('Invalid authentication code')
+      });
+    }
+
+    if (req.body.recoveryCode) {
+      await recordAudit(req, 'two_factor_recovery_code_used', {
+        targetUser: user._id,
+        details: { remaining: user.twoFactor.recoveryCodes.length },
+        company: user.company
+      });
+    }
+
+    return res.status(200).json({
+      ...(await completeLogin(user, req)),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred during login')
+    });
+  }
+};
+
+// Start two-factor enrollment: create a secret and return it with its QR code
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: req.t('Two-factor authentication is already enabled')
+      });
+    }
+
+    const enrollment = await createEnrollment(user);
+    user.twoFactor.pendingSecret = enrollment.encryptedSecret;
+    await user.save();
+
+    return res.status(200).json({
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauthUrl,
+      qrCode: enrollment.qrCode
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while setting up two-factor authentication')
+    });
+  }
+};
+
+// Finish two-factor enrollment with a code from the authenticator app; returns the recovery codes
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+
+    if (!user) {
+      return res.status(404).json({
+        message: req.t('User not found')
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: req.t('Two-factor authentication is already enabled')
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: req.t('Start two-factor authentication setup first')
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        message: req.t('Invalid authentication code')
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    await recordAudit(req, 'two_factor_enabled', { targetUser: user._id });
+
+    const response = {
+      message: req.t('Two-factor authentication enabled'),
+      recoveryCodes: codes
+    };
+
+    // Enrollment required at login signs the user in once it is done
+    if (req.twoFactorSetup) {
+      Object.assign(response, await completeLogin(user, req));
+    }
+
+    return res.status(200).json(response);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while enabling two-factor authentication')
+    });
+  }
+};
+
+// Turn off two-factor authentication (not allowed for roles that require it)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user) {
+      return res.status(404).json({
+        message: req.t('User not found')
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
       return res.status(403).json({
-        message: 'Account is inactive. Please contact an administrator.'
+        message: req.t('Two-factor authentication is required for your role')
       });
     }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(req.body.password);
-    
-    if (!isPasswordValid) {
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: req.t('Two-factor authentication is not enabled')
+      });
+    }
+
+    if (!await user.comparePassword(req.body.password)) {
       return res.status(401).json({
-        message: 'Invalid password'
+        message: req.t('Current password is incorrect')
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      authConfig.secret,
-      { expiresIn: authConfig.expiresIn }
-    );
+    if (verifyCode(user.twoFactor.secret, req.body.code) === null) {
+      return res.status(401).json({
+        message: req.t('Invalid authentication code')
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    await recordAudit(req, 'two_factor_disabled', { targetUser: user._id });
+
+    return res.status(200).json({
+      message: req.t('Two-factor authentication disabled')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while disabling two-factor authentication')
+    });
+  }
+};
+
+// Replace the recovery codes of the current user; the old ones stop working
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user) {
+      return res.status(404).json({
+        message: req.t('User not found')
+      });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: req.t('Two-factor authentication is not enabled')
+      });
+    }
+
+    if (verifyCode(user.twoFactor.secret, req.body.code) === null) {
+      return res.status(401).json({
+        message: req.t('Invalid authentication code')
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    await recordAudit(req, 'two_factor_recovery_codes_regenerated', { targetUser: user._id });
 
-    // Return user info and token
     return res.status(200).json({
-      id: user._id,
-      fullName: user.fullName,
-      email: user.email,
-      role: user.role,
-      token: token
+      recoveryCodes: codes
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred during login'
+      message: error.message || req.t('Some error occurred while generating recovery codes')
     });
   }
 };
@@ -93,14 +525,17 @@ exports.getCurrentUser = async (req, res) => {
     
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
       });
     }
 
-    return res.status(200).json(user);
+    return res.status(200).json({
+      ...user.toObject(),
+      permissions: req.permissions
+    });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving user profile'
+      message: error.message || req.t('Some error occurred while retrieving user profile')
     });
   }
 };
@@ -112,7 +547,7 @@ exports.changePassword = async (req, res) => {
     
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
       });
     }
 
@@ -121,7 +556,7 @@ exports.changePassword = async (req, res) => {
     
     if (!isPasswordValid) {
       return res.status(401).json({
-        message: 'Current password is incorrect'
+        message: req.t('Current password is incorrect')
       });
     }
 
@@ -129,12 +564,295 @@ exports.changePassword = async (req, res) => {
     user.password = req.body.newPassword;
     await user.save();
 
+    // Sign out all other devices
+    await Session.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
+    await recordAudit(req, 'password_changed', { targetUser: user._id });
+
+    return res.status(200).json({
+      message: req.t('Password changed successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while changing password')
+    });
+  }
+};
+
+// Change the language of the current user
+exports.changeLocale = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        message: req.t('User not found')
+      });
+    }
+
+    const previousLocale = user.locale;
+    user.locale = req.body.locale;
+    await user.save();
+
+    await recordAudit(req, 'locale_changed', {
+      targetUser: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      before: { locale: previousLocale },
+      after: { locale: user.locale }
+    });
+
+    // Respond in the new language and issue a token that carries it
+    req.locale = user.locale;
+
+    return res.status(200).json({
+      message: req.t('Language changed successfully'),
+      locale: user.locale,
+      token: generateToken(user, req.sessionId)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while changing the language')
+    });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refreshToken = async (req, res) => {
+  try {
+    const [sessionId, secret] = req.body.refreshToken.split('.');
+    const session = mongoose.isValidObjectId(sessionId) && secret
+      ? await Session.findById(sessionId)
+      : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        message: req.t('Session has expired or was revoked')
+      });
+    }
+
+    const match = session.matchRefreshToken(secret);
+
+    // A token that was already rotated is being replayed, so it may have been stolen
+    if (match === 'previous') {
+      await session.revoke('token_reuse');
+      return res.status(401).json({
+        message: req.t('Session has expired or was revoked')
+      });
+    }
+
+    if (!match) {
+      return res.status(401).json({
+        message: req.t('Invalid refresh token')
+      });
+    }
+
+    const user = await User.findById(session.user).setOptions({ allTenants: true });
+
+    if (!user || !user.isActive) {
+      await session.revoke('user_deactivated');
+      return res.status(403).json({
+        message: req.t('Account is inactive. Please contact an administrator.')
+      });
+    }
+
+    if (!await isCompanyActive(user)) {
+      await session.revoke('company_deactivated');
+      return res.status(403).json({
+        message: req.t('Your company is inactive. Please contact an administrator.')
+      });
+    }
+
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    return res.status(200).json({
+      token: generateToken(user, session._id),
+      refreshToken: refreshToken
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while refreshing the session')
+    });
+  }
+};
+
+// Log out of the current session
+exports.logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    await recordAudit(req, 'logout', { targetUser: req.userId, details: { session: req.sessionId } });
+
+    return res.status(200).json({
+      message: req.t('Logged out successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred during logout')
+    });
+  }
+};
+
+// Log out of all devices
+exports.logoutAll = async (req, res) => {
+  try {
+    await Session.revokeAllForUser(req.userId, 'logout_all');
+
+    await recordAudit(req, 'logout_all', { targetUser: req.userId });
+
+    return res.status(200).json({
+      message: req.t('Logged out of all devices')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred during logout')
+    });
+  }
+};
+
+// List the active sessions (signed-in devices) of the current user
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    return res.status(200).json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving sessions')
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.userId, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        message: req.t('Session not found')
+      });
+    }
+
+    await session.revoke('revoked');
+
+    await recordAudit(req, 'session_revoked', { targetUser: req.userId, details: { session: session._id } });
+
+    return res.status(200).json({
+      message: req.t('Session revoked successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while revoking the session')
+    });
+  }
+};
+
+// Create a reset token for the user and email the link; earlier unused tokens stop working
+const sendPasswordResetEmail = async (user, ipAddress) => {
+  await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+  const token = createSecret();
+  await PasswordResetToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + authConfig.passwordResetMinutes * 60 * 1000),
+    requestedFrom: ipAddress
+  });
+
+  await sendMail({
+    to: user.email,
+    ...renderPasswordResetEmail(user, token, authConfig.passwordResetMinutes)
+  });
+};
+
+// Request a password reset link; the response does not reveal whether the email is registered
+exports.forgotPassword = async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase().trim();
+
+    // Requests count towards the address throttle of logins, and per email (known or not)
+    // towards a limit of their own that does not affect login
+    await LoginAttempt.create({ ipAddress: req.ip, email, kind: 'password_reset' });
+    if (await LoginAttempt.countRecent({ ipAddress: req.ip }) > authConfig.ipMaxLoginAttempts
+      || await LoginAttempt.countRecent({ email, kind: 'password_reset' }) > authConfig.maxLoginAttempts) {
+      await recordAudit(req, 'password_reset_blocked', { details: { email } });
+      return res.status(429).json({
+        message: req.t('Too many password reset requests. Please try again later.')
+      });
+    }
+
+    const user = await User.findOne({ email }).setOptions({ allTenants: true });
+
+    // Sent and audited in the background so the response time is the same for unknown emails
+    if (user && user.isActive) {
+      sendPasswordResetEmail(user, req.ip).catch(error => {
+        console.error('Error sending password reset email:', error.message);
+      });
+      recordAudit(req, 'password_reset_requested', { targetUser: user._id, company: user.company }).catch(error => {
+        console.error('Error recording password reset request:', error.message);
+      });
+    }
+
+    return res.status(200).json({
+      message: req.t('If an account exists for this email, a password reset link has been sent')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while requesting a password reset')
+    });
+  }
+};
+
+// Set a new password with a token from a password reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(req.body.token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() }
+    );
+
+    const user = resetToken ? await User.findById(resetToken.user).setOptions({ allTenants: true }) : null;
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        message: req.t('Password reset link is invalid or has expired')
+      });
+    }
+
+    // Setting a new password also lifts a lockout
+    user.password = req.body.password;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lockoutCount = 0;
+    await user.save();
+
+    // Other outstanding links and all signed-in devices stop working
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    await recordAudit(req, 'password_reset', { targetUser: user._id, company: user.company });
+
     return res.status(200).json({
-      message: 'Password changed successfully'
+      message: req.t('Password has been reset. Please log in with your new password.')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while changing password'
+      message: error.message || req.t('Some error occurred while resetting the password')
     });
   }
 };
@@ -0,0 +1,172 @@
+const moment = require('moment-timezone');
+const WorkCalendar = require('../models/workCalendar.model');
+const Project = require('../models/project.model');
+const calendarConfig = require('../config/calendar.config');
+const { validationResult } = require('express-validator');
+const { loadCalendar, getDayType, isWorkingDay } = require('../utils/workCalendar');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { canAccessProject } = require('../utils/projectAccess');
+
+// Calendar with the timezone it applies in
+const formatCalendar = calendar => ({
+  ...calendar.toObject(),
+  timezone: calendarConfig.timezone
+});
+
+// Get the company work calendar
+exports.getCalendar = async (req, res) => {
+  try {
+    const calendar = await WorkCalendar.getCompanyCalendar();
+    return res.status(200).json(formatCalendar(calendar));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the work calendar')
+    });
+  }
+};
+
+// Update working weekdays and holidays
+exports.updateCalendar = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const calendar = await WorkCalendar.getCompanyCalendar();
+    const before = toSnapshot(calendar);
+
+    if (req.body.workingDays !== undefined) {
+      calendar.workingDays = [...new Set(req.body.workingDays)].sort();
+    }
+
+    if (req.body.holidays !== undefined) {
+      calendar.holidays = req.body.holidays
+        .map(holiday => ({ date: holiday.date, name: holiday.name }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    await calendar.save();
+    await loadCalendar(true);
+
+    await recordAudit(req, 'calendar_updated', { entityType: 'WorkCalendar', entityId: calendar._id, before, after: calendar });
+
+    return res.status(200).json(formatCalendar(calendar));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating the work calendar')
+    });
+  }
+};
+
+// Add or replace a project's exception for a day
+exports.setProjectException = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Only projects of the company the user has access to
+    const project = await Project.findById(req.body.project).select('_id');
+    if (!project || !await canAccessProject(req, project)) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    const calendar = await WorkCalendar.getCompanyCalendar();
+
+    // A project has at most one exception per day
+    calendar.projectExceptions = calendar.projectExceptions.filter(exception => (
+      exception.project.toString() !== req.body.project || exception.date !== req.body.date
+    ));
+    calendar.projectExceptions.push({
+      project: req.body.project,
+      date: req.body.date,
+      isWorkingDay: req.body.isWorkingDay,
+      note: req.body.note
+    });
+
+    await calendar.save();
+    await loadCalendar(true);
+
+    const exception = calendar.projectExceptions[calendar.projectExceptions.length - 1];
+    await recordAudit(req, 'project_exception_set', { entityType: 'WorkCalendar', entityId: calendar._id, after: exception });
+
+    return res.status(201).json(exception);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while saving the project exception')
+    });
+  }
+};
+
+// Remove a project exception
+exports.deleteProjectException = async (req, res) => {
+  try {
+    const calendar = await WorkCalendar.getCompanyCalendar();
+    const exception = calendar.projectExceptions.id(req.params.id);
+
+    if (!exception || !await canAccessProject(req, exception.project)) {
+      return res.status(404).json({
+        message: req.t('Project exception not found')
+      });
+    }
+
+    const before = toSnapshot(exception);
+    exception.deleteOne();
+    await calendar.save();
+    await loadCalendar(true);
+
+    await recordAudit(req, 'project_exception_deleted', { entityType: 'WorkCalendar', entityId: calendar._id, before });
+
+    return res.status(200).json({
+      message: req.t('Project exception deleted successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while deleting the project exception')
+    });
+  }
+};
+
+// List the days of a period with their type, optionally for one project
+exports.getDays = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await loadCalendar();
+
+    const start = moment.tz(req.query.startDate, calendarConfig.timezone).startOf('day');
+    const end = moment.tz(req.query.endDate, calendarConfig.timezone).startOf('day');
+
+    if (end.isBefore(start) || end.diff(start, 'days') > 366) {
+      return res.status(400).json({
+        message: req.t('The period must end after it starts and span at most a year')
+      });
+    }
+
+    const days = [];
+    for (const day = start.clone(); !day.isAfter(end); day.add(1, 'day')) {
+      const date = day.format('YYYY-MM-DD');
+      days.push({
+        date,
+        dayType: getDayType(date),
+        isWorkingDay: isWorkingDay(date, req.query.project)
+      });
+    }
+
+    return res.status(200).json(days);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the work calendar')
+    });
+  }
+};
@@ -0,0 +1,192 @@
+const Company = require('../models/company.model');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const Notification = require('../models/notification.model');
+const Session = require('../models/session.model');
+const { validationResult } = require('express-validator');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+
+// Get all companies with the number of users in each
+exports.getCompanies = async (req, res) => {
+  try {
+    const [companies, counts] = await Promise.all([
+      Company.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$company', count: { $sum: 1 } } }])
+    ]);
+
+    return res.status(200).json(companies.map(company => ({
+      ...company.toObject(),
+      userCount: (counts.find(count => String(count._id) === String(company._id)) || { count: 0 }).count
+    })));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving companies')
+    });
+  }
+};
+
+// Create a company
+exports.createCompany = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingCompany = await Company.findOne({ name: req.body.name });
+    if (existingCompany) {
+      return res.status(400).json({
+        message: req.t('A company with this name already exists')
+      });
+    }
+
+    const company = await Company.create({ name: req.body.name });
+
+    await recordAudit(req, 'company_created', { entityType: 'Company', entityId: company._id, after: company, company: company._id });
+
+    return res.status(201).json(company);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while creating the company')
+    });
+  }
+};
+
+// Rename, activate or deactivate a company; users of a deactivated company are signed out
+exports.updateCompany = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const company = await Company.findById(req.params.id);
+
+    if (!company) {
+      return res.status(404).json({
+        message: req.t('Company not found')
+      });
+    }
+
+    const before = toSnapshot(company);
+
+    if (req.body.name && req.body.name !== company.name) {
+      const existingCompany = await Company.findOne({ name: req.body.name });
+      if (existingCompany) {
+        return res.status(400).json({
+          message: req.t('A company with this name already exists')
+        });
+      }
+      company.name = req.body.name;
+    }
+
+    const deactivated = company.isActive && req.body.isActive === false;
+    if (deactivated && company._id.equals(req.companyId)) {
+      return res.status(400).json({
+        message: req.t('You cannot deactivate your own company')
+      });
+    }
+
+    if (req.body.isActive !== undefined) {
+      company.isActive = req.body.isActive;
+    }
+    await company.save();
+
+    if (deactivated) {
+      const users = await User.find({ company: company._id }).select('_id');
+      await Session.revokeAllForUser({ $in: users.map(user => user._id) }, 'company_deactivated');
+    }
+
+    await recordAudit(req, 'company_updated', { entityType: 'Company', entityId: company._id, before, after: company, company: company._id });
+
+    return res.status(200).json(company);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating the company')
+    });
+  }
+};
+
+// Get the users of a company
+exports.getCompanyUsers = async (req, res) => {
+  try {
+    const users = await User.find({ company: req.params.id }).select('-password').sort({ fullName: 1 });
+
+    return res.status(200).json(users);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving users')
+    });
+  }
+};
+
+// Move a user to a company: they leave the projects of their old company, take their
+// notifications along and have to sign in again
+exports.moveUser = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [company, user] = await Promise.all([
+      Company.findById(req.params.id),
+      User.findById(req.body.user)
+    ]);
+
+    if (!company) {
+      return res.status(404).json({
+        message: req.t('Company not found')
+      });
+    }
+
+    if (!user) {
+      return res.status(400).json({
+        message: req.t('User not found')
+      });
+    }
+
+    if (company._id.equals(user.company)) {
+      return res.status(400).json({
+        message: req.t('The user already belongs to this company')
+      });
+    }
+
+    const previousCompany = user.company;
+
+    // Team leader assignments that are still running end today; past ones stay as history
+    await Project.updateMany(
+      { company: previousCompany },
+      {
+        $pull: { managers: user._id, members: { user: user._id } },
+        $set: { 'assignments.$[assignment].endDate': new Date() }
+      },
+      { arrayFilters: [{ 'assignment.teamLeader': user._id, 'assignment.endDate': null }] }
+    );
+    await Notification.updateMany({ recipient: user._id }, { company: company._id });
+
+    user.company = company._id;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'company_changed');
+
+    await recordAudit(req, 'user_moved', {
+      targetUser: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      before: { company: previousCompany },
+      after: { company: company._id },
+      company: company._id
+    });
+
+    return res.status(200).json({
+      message: req.t('User moved successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while moving the user')
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const Employee = require('../models/employee.model');
 const { validationResult } = require('express-validator');
+const { recordAudit } = require('../utils/audit');
 
 // Get all employees
 exports.getAllEmployees = async (req, res) => {
@@ -8,7 +9,7 @@ exports.getAllEmployees = async (req, res) => {
     return res.status(200).json(employees);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving employees'
+      message: error.message || req.t('Some error occurred while retrieving employees')
     });
   }
 };
@@ -20,7 +21,7 @@ exports.getActiveEmployees = async (req, res) => {
     return res.status(200).json(employees);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving active employees'
+      message: error.message || req.t('Some error occurred while retrieving active employees')
     });
   }
 };
@@ -32,14 +33,14 @@ exports.getEmployeeById = async (req, res) => {
     
     if (!employee) {
       return res.status(404).json({
-        message: 'Employee not found'
+        message: req.t('Employee not found')
       });
     }
     
     return res.status(200).json(employee);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving the employee'
+      message: error.message || req.t('Some error occurred while retrieving the employee')
     });
   }
 };
@@ -67,11 +68,13 @@ exports.createEmployee = async (req, res) => {
     
     // Save employee to database
     const savedEmployee = await employee.save();
+
+    await recordAudit(req, 'employee_created', { entityType: 'Employee', entityId: employee._id, after: savedEmployee });
     
     return res.status(201).json(savedEmployee);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while creating the employee'
+      message: error.message || req.t('Some error occurred while creating the employee')
     });
   }
 };
@@ -104,7 +107,8 @@ exports.updateEmployee = async (req, res) => {
       }
     });
     
-    const employee = await Employee.findByIdAndUpdate(
+    const previous = await Employee.findById(req.params.id);
+    const employee = previous && await Employee.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
@@ -112,14 +116,16 @@ exports.updateEmployee = async (req, res) => {
     
     if (!employee) {
       return res.status(404).json({
-        message: 'Employee not found'
+        message: req.t('Employee not found')
       });
     }
+
+    await recordAudit(req, 'employee_updated', { entityType: 'Employee', entityId: employee._id, before: previous, after: employee });
     
     return res.status(200).json(employee);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating the employee'
+      message: error.message || req.t('Some error occurred while updating the employee')
     });
   }
 };
@@ -131,16 +137,18 @@ exports.deleteEmployee = async (req, res) => {
     
     if (!employee) {
       return res.status(404).json({
-        message: 'Employee not found'
+        message: req.t('Employee not found')
       });
     }
+
+    await recordAudit(req, 'employee_deleted', { entityType: 'Employee', entityId: employee._id, before: employee });
     
     return res.status(200).json({
-      message: 'Employee deleted successfully'
+      message: req.t('Employee deleted successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while deleting the employee'
+      message: error.message || req.t('Some error occurred while deleting the employee')
     });
   }
 };
@@ -152,21 +160,28 @@ exports.toggleEmployeeStatus = async (req, res) => {
     
     if (!employee) {
       return res.status(404).json({
-        message: 'Employee not found'
+        message: req.t('Employee not found')
       });
     }
     
     employee.isActive = !employee.isActive;
     await employee.save();
+
+    await recordAudit(req, employee.isActive ? 'employee_activated' : 'employee_deactivated', {
+      entityType: 'Employee',
+      entityId: employee._id,
+      before: { isActive: !employee.isActive },
+      after: { isActive: employee.isActive }
+    });
     
     return res.status(200).json({
       id: employee._id,
       isActive: employee.isActive,
-      message: `Employee ${employee.isActive ? 'activated' : 'deactivated'} successfully`
+      message: req.t(employee.isActive ? 'Employee activated successfully' : 'Employee deactivated successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating employee status'
+      message: error.message || req.t('Some error occurred while updating employee status')
     });
   }
 };
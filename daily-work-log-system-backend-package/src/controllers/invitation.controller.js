@@ -0,0 +1,278 @@
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const authConfig = require('../config/auth.config');
+const { validationResult } = require('express-validator');
+const { createSecret, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { renderInvitationEmail } = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/audit');
+const { roleHasPermission } = require('../utils/permissions');
+
+// Give the invitation a new token and expiry and email the link; returns whether the email was sent
+const sendInvitation = async (invitation, inviter) => {
+  const token = createSecret();
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + authConfig.invitationDays * 24 * 60 * 60 * 1000);
+  await invitation.save();
+
+  try {
+    await sendMail({
+      to: invitation.email,
+      ...renderInvitationEmail(invitation, inviter, token)
+    });
+    return true;
+  } catch (error) {
+    console.error('Error sending invitation email:', error.message);
+    return false;
+  }
+};
+
+// Invitation as returned by the API, with its status and without the token hash
+const toResponse = (invitation) => {
+  const response = invitation.toObject();
+  delete response.tokenHash;
+  response.status = invitation.getStatus();
+  return response;
+};
+
+// Conditions matching invitations in a status
+const STATUS_FILTERS = {
+  pending: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+  accepted: () => ({ acceptedAt: { $ne: null } }),
+  revoked: () => ({ acceptedAt: null, revokedAt: { $ne: null } }),
+  expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } })
+};
+
+// Get invitations, optionally filtered by status
+exports.getInvitations = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = req.query.status ? STATUS_FILTERS[req.query.status]() : {};
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'fullName')
+      .populate('projects', 'name')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json(invitations.map(toResponse));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving invitations')
+    });
+  }
+};
+
+// Invite a new user by email
+exports.createInvitation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+
+    // Check if email already exists (in any company)
+    const existingUser = await User.findOne({ email }).setOptions({ allTenants: true });
+    if (existingUser) {
+      return res.status(400).json({
+        message: req.t('Email is already in use')
+      });
+    }
+
+    const projects = req.body.projects || [];
+    if (projects.length && await Project.countDocuments({ _id: { $in: projects } }) !== projects.length) {
+      return res.status(400).json({
+        message: req.t('One or more projects were not found')
+      });
+    }
+
+    // A new invitation replaces any pending one for the same email
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const inviter = await User.findById(req.userId);
+    const invitation = new Invitation({
+      email,
+      role: req.body.role,
+      projects,
+      fullName: req.body.fullName,
+      locale: req.body.locale,
+      invitedBy: req.userId
+    });
+    const emailSent = await sendInvitation(invitation, inviter);
+
+    await recordAudit(req, 'invitation_created', { entityType: 'Invitation', entityId: invitation._id, after: invitation });
+
+    return res.status(201).json({
+      ...toResponse(invitation),
+      emailSent
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while creating the invitation')
+    });
+  }
+};
+
+// Send a pending or expired invitation again with a new link
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: req.t('Invitation not found')
+      });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({
+        message: req.t('Invitation was already accepted or revoked')
+      });
+    }
+
+    const inviter = await User.findById(req.userId);
+    const emailSent = await sendInvitation(invitation, inviter);
+
+    return res.status(200).json({
+      ...toResponse(invitation),
+      emailSent
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while resending the invitation')
+    });
+  }
+};
+
+// Revoke a pending invitation
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: req.t('Invitation not found')
+      });
+    }
+
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({
+        message: req.t('Invitation was already accepted or revoked')
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await recordAudit(req, 'invitation_revoked', { entityType: 'Invitation', entityId: invitation._id, details: { email: invitation.email } });
+
+    return res.status(200).json({
+      message: req.t('Invitation revoked successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while revoking the invitation')
+    });
+  }
+};
+
+// Create the invited user's account with their own password (no authentication)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Claim the invitation atomically so the link can only be used once; the company is
+    // only known once the invitation is found
+    const invitation = await Invitation.findOneAndUpdate(
+      { tokenHash: hashToken(req.body.token), acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { acceptedAt: new Date() },
+      { new: true, allTenants: true }
+    );
+
+    if (!invitation) {
+      return res.status(400).json({
+        message: req.t('Invitation link is invalid or has expired')
+      });
+    }
+
+    // Leave the invitation usable when the account cannot be created
+    const releaseInvitation = () => Invitation.updateOne(
+      { _id: invitation._id },
+      { $unset: { acceptedAt: 1 } },
+      { allTenants: true }
+    );
+
+    const fullName = req.body.fullName || invitation.fullName;
+    if (!fullName) {
+      await releaseInvitation();
+      return res.status(400).json({
+        message: req.t('Full name is required')
+      });
+    }
+
+    let user;
+    try {
+      user = await User.create({
+        fullName,
+        email: invitation.email,
+        password: req.body.password,
+        company: invitation.company,
+        role: invitation.role,
+        phone: req.body.phone,
+        locale: req.body.locale || invitation.locale
+      });
+    } catch (error) {
+      await releaseInvitation();
+
+      if (error.code === 11000) {
+        return res.status(400).json({
+          message: req.t('Email is already in use')
+        });
+      }
+      throw error;
+    }
+
+    invitation.acceptedUser = user._id;
+    await invitation.save();
+
+    // Join the projects chosen by the inviting manager: as team leader when the role
+    // writes daily logs, otherwise as one of the project's managers
+    if (invitation.projects.length) {
+      const update = await roleHasPermission(invitation.role, 'logs:write')
+        ? { $push: { assignments: { teamLeader: user._id, startDate: new Date() } } }
+        : { $addToSet: { managers: user._id } };
+      await Project.updateMany({ _id: { $in: invitation.projects }, company: invitation.company }, update, { allTenants: true });
+    }
+
+    await recordAudit(req, 'invitation_accepted', {
+      targetUser: user._id,
+      entityType: 'Invitation',
+      entityId: invitation._id,
+      details: { email: user.email, role: user.role },
+      company: invitation.company
+    });
+
+    return res.status(201).json({
+      message: req.t('Account created successfully. You can now log in.')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while accepting the invitation')
+    });
+  }
+};
@@ -1,76 +1,59 @@
 const DailyLog = require('../models/dailyLog.model');
 const User = require('../models/user.model');
 const Project = require('../models/project.model');
+const LogRevision = require('../models/logRevision.model');
 const { validationResult } = require('express-validator');
-const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
-const moment = require('moment');
 const notificationController = require('./notification.controller');
+const { createSnapshot, recordRevision } = require('../utils/logHistory');
+const { normalizeEmployeeEntries } = require('../utils/workHours');
+const { buildLogFilter } = require('../utils/logFilters');
+const { publishLogStatusChange } = require('../utils/realtime');
+const { recordAudit } = require('../utils/audit');
+const { hasPermission } = require('../utils/permissions');
+const { canAccessProject, canViewLog, canManageLog } = require('../utils/projectAccess');
+const {
+  createPdfDocument,
+  contentWidth,
+  ensureSpace,
+  sectionTitle,
+  drawTable,
+  drawImage,
+  addPageFooters
+} = require('../utils/pdf');
+
+// Headings used when listing attached documents by type
+const DOCUMENT_TYPE_LABELS = {
+  delivery_note: 'Delivery Notes',
+  receipt: 'Receipts',
+  invoice: 'Invoices',
+  other: 'Other Documents'
+};
+
+// Push a status change to connected clients without holding up the response
+const announceStatusChange = (log, userId) => {
+  publishLogStatusChange(log, userId).catch((error) => {
+    console.error('Error publishing log status change:', error);
+  });
+};
 
 // Get all logs (with filtering)
 exports.getAllLogs = async (req, res) => {
   try {
-    const {
-      startDate,
-      endDate,
-      project,
-      status,
-      teamLeader,
-      searchTerm
-    } = req.query;
-
-    // Build filter object
-    const filter = {};
-
-    // Date range filter
-    if (startDate && endDate) {
-      filter.date = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    } else if (startDate) {
-      filter.date = { $gte: new Date(startDate) };
-    } else if (endDate) {
-      filter.date = { $lte: new Date(endDate) };
-    }
-
-    // Project filter
-    if (project) {
-      filter.project = project;
-    }
-
-    // Status filter
-    if (status) {
-      filter.status = status;
-    }
-
-    // Team leader filter
-    if (teamLeader) {
-      filter.teamLeader = teamLeader;
-    }
-
-    // Text search in work description
-    if (searchTerm) {
-      filter.workDescription = { $regex: searchTerm, $options: 'i' };
-    }
-
-    // For team leaders, only show their own logs
-    if (req.userRole === 'Team Leader') {
-      filter.teamLeader = req.userId;
-    }
+    const filter = await buildLogFilter(req.query, req);
 
     // Get logs with populated references
     const logs = await DailyLog.find(filter)
       .populate('teamLeader', 'fullName')
       .populate('project', 'name address')
-      .populate('employees', 'fullName')
+      .populate('employees.employee', 'fullName')
       .sort({ date: -1 });
 
     return res.status(200).json(logs);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving logs'
+      message: error.message || req.t('Some error occurred while retrieving logs')
     });
   }
 };
@@ -80,13 +63,13 @@ exports.getMyLogs = async (req, res) => {
   try {
     const logs = await DailyLog.find({ teamLeader: req.userId })
       .populate('project', 'name address')
-      .populate('employees', 'fullName')
+      .populate('employees.employee', 'fullName')
       .sort({ date: -1 });
 
     return res.status(200).json(logs);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving logs'
+      message: error.message || req.t('Some error occurred while retrieving logs')
     });
   }
 };
@@ -97,26 +80,58 @@ exports.getLogById = async (req, res) => {
     const log = await DailyLog.findById(req.params.id)
       .populate('teamLeader', 'fullName')
       .populate('project', 'name address')
-      .populate('employees', 'fullName')
-      .populate('approvedBy', 'fullName');
+      .populate('employees.employee', 'fullName')
+      .populate('approvedBy', 'fullName')
+      .populate('rejectedBy', 'fullName')
+      .populate('statusHistory.changedBy', 'fullName');
 
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
-    // Check if user is authorized (must be the team leader or a manager)
-    if (req.userRole !== 'Manager' && log.teamLeader._id.toString() !== req.userId) {
+    // Check if user is authorized (must be the team leader or allowed to read the project's logs)
+    if (!await canViewLog(req, log)) {
       return res.status(403).json({
-        message: 'You are not authorized to view this log'
+        message: req.t('You are not authorized to view this log')
       });
     }
 
     return res.status(200).json(log);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving the log'
+      message: error.message || req.t('Some error occurred while retrieving the log')
+    });
+  }
+};
+
+// Get the revision history of a log
+exports.getLogHistory = async (req, res) => {
+  try {
+    const log = await DailyLog.findById(req.params.id).select('teamLeader project');
+
+    if (!log) {
+      return res.status(404).json({
+        message: req.t('Log not found')
+      });
+    }
+
+    // Check if user is authorized (must be the team leader or allowed to read the project's logs)
+    if (!await canViewLog(req, log)) {
+      return res.status(403).json({
+        message: req.t('You are not authorized to view the history of this log')
+      });
+    }
+
+    const revisions = await LogRevision.find({ log: log._id })
+      .populate('changedBy', 'fullName')
+      .sort({ version: 1 });
+
+    return res.status(200).json(revisions);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the log history')
     });
   }
 };
@@ -130,6 +145,13 @@ exports.createLog = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    // Logs can only be written for projects the user belongs to
+    if (!await canAccessProject(req, req.body.project)) {
+      return res.status(403).json({
+        message: req.t('You are not a member of this project')
+      });
+    }
+
     // Check if log already exists for this date, team leader, and project
     const existingLog = await DailyLog.findOne({
       date: new Date(req.body.date),
@@ -146,7 +168,7 @@ exports.createLog = async (req, res) => {
       );
 
       return res.status(400).json({
-        message: 'A log already exists for this date and project',
+        message: req.t('A log already exists for this date and project'),
         existingLogId: existingLog._id
       });
     }
@@ -156,29 +178,32 @@ exports.createLog = async (req, res) => {
       date: req.body.date,
       teamLeader: req.userId,
       project: req.body.project,
-      employees: req.body.employees,
+      employees: normalizeEmployeeEntries(req.body.employees),
       startTime: req.body.startTime,
       endTime: req.body.endTime,
       workDescription: req.body.workDescription,
       weather: req.body.weather,
       issuesEncountered: req.body.issuesEncountered,
       nextSteps: req.body.nextSteps,
-      materialsUsed: req.body.materialsUsed || [],
-      status: req.body.status || 'draft'
+      materialsUsed: req.body.materialsUsed || []
     });
+    log.recordStatusChange(req.body.status || 'draft', req.userId);
 
     // Save log to database
     const savedLog = await log.save();
+    await recordRevision(savedLog, 'create', req.userId);
+    await recordAudit(req, 'log_created', { entityType: 'DailyLog', entityId: savedLog._id, after: createSnapshot(savedLog) });
+    announceStatusChange(savedLog, req.userId);
 
     // Populate references for response
     const populatedLog = await DailyLog.findById(savedLog._id)
       .populate('project', 'name address')
-      .populate('employees', 'fullName');
+      .populate('employees.employee', 'fullName');
 
     return res.status(201).json(populatedLog);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while creating the log'
+      message: error.message || req.t('Some error occurred while creating the log')
     });
   }
 };
@@ -197,21 +222,28 @@ exports.updateLog = async (req, res) => {
 
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
     // Check if user is authorized (must be the team leader)
     if (log.teamLeader.toString() !== req.userId) {
       return res.status(403).json({
-        message: 'You are not authorized to update this log'
+        message: req.t('You are not authorized to update this log')
       });
     }
 
     // Check if log is already approved
     if (log.status === 'approved') {
       return res.status(400).json({
-        message: 'Cannot update an approved log'
+        message: req.t('Cannot update an approved log')
+      });
+    }
+
+    // A log can only be moved to a project the user belongs to
+    if (req.body.project && !await canAccessProject(req, req.body.project)) {
+      return res.status(403).json({
+        message: req.t('You are not a member of this project')
       });
     }
 
@@ -219,7 +251,7 @@ exports.updateLog = async (req, res) => {
     const updateData = {
       date: req.body.date,
       project: req.body.project,
-      employees: req.body.employees,
+      employees: normalizeEmployeeEntries(req.body.employees),
       startTime: req.body.startTime,
       endTime: req.body.endTime,
       workDescription: req.body.workDescription,
@@ -227,7 +259,8 @@ exports.updateLog = async (req, res) => {
       issuesEncountered: req.body.issuesEncountered,
       nextSteps: req.body.nextSteps,
       materialsUsed: req.body.materialsUsed,
-      status: req.body.status || log.status
+      // Only draft or submitted; approving and returning logs go through their own routes
+      status: req.body.status
     };
 
     // Remove undefined fields
@@ -237,19 +270,33 @@ exports.updateLog = async (req, res) => {
       }
     });
 
+    // Take a snapshot before changing anything so the revision can record the diff
+    const previousSnapshot = createSnapshot(log);
+
+    // Keep the status history in sync when the status is changed directly
+    const { status, ...fields } = updateData;
+    const statusChanged = status !== undefined && status !== log.status;
+    log.set(fields);
+    if (statusChanged) {
+      log.recordStatusChange(status, req.userId);
+    }
+
     // Update log
-    const updatedLog = await DailyLog.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    )
+    await log.save();
+    await recordRevision(log, 'update', req.userId, previousSnapshot);
+    await recordAudit(req, 'log_updated', { entityType: 'DailyLog', entityId: log._id, before: previousSnapshot, after: createSnapshot(log) });
+    if (statusChanged) {
+      announceStatusChange(log, req.userId);
+    }
+
+    const updatedLog = await DailyLog.findById(log._id)
       .populate('project', 'name address')
-      .populate('employees', 'fullName');
+      .populate('employees.employee', 'fullName');
 
     return res.status(200).json(updatedLog);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating the log'
+      message: error.message || req.t('Some error occurred while updating the log')
     });
   }
 };
@@ -261,82 +308,155 @@ exports.submitLog = async (req, res) => {
 
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
     // Check if user is authorized (must be the team leader)
     if (log.teamLeader.toString() !== req.userId) {
       return res.status(403).json({
-        message: 'You are not authorized to submit this log'
+        message: req.t('You are not authorized to submit this log')
       });
     }
 
-    // Check if log is already submitted or approved
-    if (log.status !== 'draft') {
+    // Only drafts and logs returned for revision can be submitted
+    if (log.status !== 'draft' && log.status !== 'rejected') {
       return res.status(400).json({
-        message: `Log is already ${log.status}`
+        message: req.t('Log is already {{status}}', { status: req.t(log.status) })
       });
     }
 
     // Update status to submitted
-    log.status = 'submitted';
+    const previousSnapshot = createSnapshot(log);
+    log.recordStatusChange('submitted', req.userId);
     await log.save();
+    await recordRevision(log, 'submit', req.userId, previousSnapshot);
+    await recordAudit(req, 'log_submitted', { entityType: 'DailyLog', entityId: log._id, before: previousSnapshot, after: createSnapshot(log) });
+    announceStatusChange(log, req.userId);
 
     return res.status(200).json({
-      message: 'Log submitted successfully',
+      message: req.t('Log submitted successfully'),
       id: log._id,
       status: log.status
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while submitting the log'
+      message: error.message || req.t('Some error occurred while submitting the log')
     });
   }
 };
 
-// Approve a log (managers only)
+// Approve a log
 exports.approveLog = async (req, res) => {
   try {
     const log = await DailyLog.findById(req.params.id);
 
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
+      });
+    }
+
+    // Only logs of the projects the user belongs to can be reviewed
+    if (!await canAccessProject(req, log.project)) {
+      return res.status(403).json({
+        message: req.t('You are not a member of this project')
       });
     }
 
     // Check if log is already approved
     if (log.status === 'approved') {
       return res.status(400).json({
-        message: 'Log is already approved'
+        message: req.t('Log is already approved')
       });
     }
 
     // Check if log is in submitted status
     if (log.status !== 'submitted') {
       return res.status(400).json({
-        message: 'Only submitted logs can be approved'
+        message: req.t('Only submitted logs can be approved')
       });
     }
 
     // Update status to approved
-    log.status = 'approved';
+    const previousSnapshot = createSnapshot(log);
+    log.recordStatusChange('approved', req.userId);
     log.approvedBy = req.userId;
     log.approvedAt = new Date();
     await log.save();
+    await recordRevision(log, 'approve', req.userId, previousSnapshot);
+    await recordAudit(req, 'log_approved', { entityType: 'DailyLog', entityId: log._id, before: previousSnapshot, after: createSnapshot(log) });
+    announceStatusChange(log, req.userId);
 
     // Create notification for the team leader
     await notificationController.createLogApprovedNotification(log._id);
 
     return res.status(200).json({
-      message: 'Log approved successfully',
+      message: req.t('Log approved successfully'),
       id: log._id,
       status: log.status
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while approving the log'
+      message: error.message || req.t('Some error occurred while approving the log')
+    });
+  }
+};
+
+// Reject a log and return it to the team leader for revision
+exports.rejectLog = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const log = await DailyLog.findById(req.params.id);
+
+    if (!log) {
+      return res.status(404).json({
+        message: req.t('Log not found')
+      });
+    }
+
+    // Only logs of the projects the user belongs to can be reviewed
+    if (!await canAccessProject(req, log.project)) {
+      return res.status(403).json({
+        message: req.t('You are not a member of this project')
+      });
+    }
+
+    // Check if log is in submitted status
+    if (log.status !== 'submitted') {
+      return res.status(400).json({
+        message: req.t('Only submitted logs can be rejected')
+      });
+    }
+
+    // Update status to rejected
+    const previousSnapshot = createSnapshot(log);
+    log.recordStatusChange('rejected', req.userId, req.body.reason);
+    log.rejectedBy = req.userId;
+    log.rejectedAt = new Date();
+    log.rejectionReason = req.body.reason;
+    await log.save();
+    await recordRevision(log, 'reject', req.userId, previousSnapshot);
+    await recordAudit(req, 'log_rejected', { entityType: 'DailyLog', entityId: log._id, before: previousSnapshot, after: createSnapshot(log) });
+    announceStatusChange(log, req.userId);
+
+    // Create notification for the team leader
+    await notificationController.createLogRejectedNotification(log._id);
+
+    return res.status(200).json({
+      message: req.t('Log returned for revision'),
+      id: log._id,
+      status: log.status,
+      reason: log.rejectionReason
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while rejecting the log')
     });
   }
 };
@@ -348,33 +468,34 @@ exports.deleteLog = async (req, res) => {
 
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
-    // Check if user is authorized (must be the team leader or a manager)
-    if (req.userRole !== 'Manager' && log.teamLeader.toString() !== req.userId) {
+    // Check if user is authorized (must be the team leader or allowed to manage the project's logs)
+    if (!await canManageLog(req, log)) {
       return res.status(403).json({
-        message: 'You are not authorized to delete this log'
+        message: req.t('You are not authorized to delete this log')
       });
     }
 
     // Check if log is already approved
-    if (log.status === 'approved' && req.userRole !== 'Manager') {
+    if (log.status === 'approved' && !hasPermission(req, 'logs:manage')) {
       return res.status(400).json({
-        message: 'Cannot delete an approved log'
+        message: req.t('Cannot delete an approved log')
       });
     }
 
     // Delete log
     await DailyLog.findByIdAndDelete(req.params.id);
+    await recordAudit(req, 'log_deleted', { entityType: 'DailyLog', entityId: log._id, before: createSnapshot(log) });
 
     return res.status(200).json({
-      message: 'Log deleted successfully'
+      message: req.t('Log deleted successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while deleting the log'
+      message: error.message || req.t('Some error occurred while deleting the log')
     });
   }
 };
@@ -385,24 +506,24 @@ exports.exportLogToPdf = async (req, res) => {
     const log = await DailyLog.findById(req.params.id)
       .populate('teamLeader', 'fullName')
       .populate('project', 'name address')
-      .populate('employees', 'fullName')
+      .populate('employees.employee', 'fullName')
       .populate('approvedBy', 'fullName');
 
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
-    // Check if user is authorized (must be the team leader or a manager)
-    if (req.userRole !== 'Manager' && log.teamLeader._id.toString() !== req.userId) {
+    // Check if user is authorized (must be the team leader or allowed to read the project's logs)
+    if (!await canViewLog(req, log)) {
       return res.status(403).json({
-        message: 'You are not authorized to export this log'
+        message: req.t('You are not authorized to export this log')
       });
     }
 
     // Create a PDF document
-    const doc = new PDFDocument({ margin: 50 });
+    const doc = createPdfDocument(req.locale, { bufferPages: true });
     
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
@@ -412,104 +533,183 @@ exports.exportLogToPdf = async (req, res) => {
     doc.pipe(res);
     
     // Add content to PDF
-    doc.fontSize(20).text('Daily Work Log', { align: 'center' });
+    doc.fontSize(20).text(req.t('Daily Work Log'), { align: 'center' });
     doc.moveDown();
     
     // Add log details
-    doc.fontSize(12).text(`Date: ${moment(log.date).format('MMMM D, YYYY')}`);
-    doc.text(`Project: ${log.project.name}`);
-    doc.text(`Location: ${log.project.address}`);
-    doc.text(`Team Leader: ${log.teamLeader.fullName}`);
-    doc.text(`Work Hours: ${moment(log.startTime).format('h:mm A')} - ${moment(log.endTime).format('h:mm A')}`);
-    doc.text(`Status: ${log.status.charAt(0).toUpperCase() + log.status.slice(1)}`);
+    doc.fontSize(12).text(`${req.t('Date')}: ${req.formatDate(log.date, 'LL')}`);
+    doc.text(`${req.t('Project')}: ${log.project.name}`);
+    doc.text(`${req.t('Location')}: ${log.project.address}`);
+    doc.text(`${req.t('Team Leader')}: ${log.teamLeader.fullName}`);
+    doc.text(`${req.t('Work Hours')}: ${req.formatDate(log.startTime, 'LT')} - ${req.formatDate(log.endTime, 'LT')}`);
+    doc.text(`${req.t('Status')}: ${req.t(log.status.charAt(0).toUpperCase() + log.status.slice(1))}`);
     
     if (log.status === 'approved' && log.approvedBy) {
-      doc.text(`Approved By: ${log.approvedBy.fullName}`);
-      doc.text(`Approved On: ${moment(log.approvedAt).format('MMMM D, YYYY h:mm A')}`);
+      doc.text(`${req.t('Approved By')}: ${log.approvedBy.fullName}`);
+      doc.text(`${req.t('Approved On')}: ${req.formatDate(log.approvedAt, 'LLL')}`);
+    }
+
+    if (log.status === 'rejected' && log.rejectionReason) {
+      doc.text(`${req.t('Returned for Revision')}: ${log.rejectionReason}`);
     }
     
     doc.moveDown();
     
     // Employees present
-    doc.fontSize(14).text('Employees Present:');
+    doc.fontSize(14).text(`${req.t('Employees Present')}:`);
     doc.fontSize(12);
     if (log.employees.length === 0) {
-      doc.text('No employees recorded for this log');
+      doc.text(req.t('No employees recorded for this log'));
     } else {
-      log.employees.forEach(employee => {
-        doc.text(`- ${employee.fullName}`);
+      log.employees.forEach(entry => {
+        const name = entry.employee ? entry.employee.fullName : req.t('Unknown employee');
+        const role = entry.role ? ` (${entry.role})` : '';
+
+        if (entry.isAbsent) {
+          doc.text(`- ${name}${role}: ${req.t('Absent')}`);
+          return;
+        }
+
+        const start = req.formatDate(entry.startTime || log.startTime, 'LT');
+        const end = req.formatDate(entry.endTime || log.endTime, 'LT');
+        const breakText = entry.breakMinutes ? `, ${req.t('break {{minutes}} min', { minutes: entry.breakMinutes })}` : '';
+        doc.text(`- ${name}${role}: ${start} - ${end}${breakText} | ${req.t('Regular {{regular}}h, Overtime {{overtime}}h', {
+          regular: entry.regularHours,
+          overtime: entry.overtimeHours
+        })}`);
       });
+
+      doc.text(req.t('Total: Regular {{regular}}h, Overtime {{overtime}}h, Payable {{payable}}h', {
+        regular: log.hoursSummary.regularHours,
+        overtime: log.hoursSummary.overtimeHours,
+        payable: log.hoursSummary.payableHours
+      }));
     }
     
     doc.moveDown();
     
     // Work description
-    doc.fontSize(14).text('Work Description:');
+    doc.fontSize(14).text(`${req.t('Work Description')}:`);
     doc.fontSize(12).text(log.workDescription);
     doc.moveDown();
     
     // Weather
     if (log.weather) {
-      doc.fontSize(14).text('Weather:');
+      doc.fontSize(14).text(`${req.t('Weather')}:`);
       doc.fontSize(12).text(log.weather);
       doc.moveDown();
     }
     
     // Issues encountered
     if (log.issuesEncountered) {
-      doc.fontSize(14).text('Issues Encountered:');
+      doc.fontSize(14).text(`${req.t('Issues Encountered')}:`);
       doc.fontSize(12).text(log.issuesEncountered);
       doc.moveDown();
     }
     
     // Next steps
     if (log.nextSteps) {
-      doc.fontSize(14).text('Next Steps:');
+      doc.fontSize(14).text(`${req.t('Next Steps')}:`);
       doc.fontSize(12).text(log.nextSteps);
       doc.moveDown();
     }
     
     // Materials used
     if (log.materialsUsed && log.materialsUsed.length > 0) {
-      doc.fontSize(14).text('Materials Used:');
-      doc.fontSize(12);
-      
-      // Create a table for materials
-      const materialTableTop = doc.y + 10;
-      const materialColWidths = [200, 100, 100, 100];
-      
-      // Table headers
-      doc.text('Material', doc.x, materialTableTop);
-      doc.text('Quantity', doc.x + materialColWidths[0], materialTableTop);
-      doc.text('Unit', doc.x + materialColWidths[0] + materialColWidths[1], materialTableTop);
-      doc.text('Notes', doc.x + materialColWidths[0] + materialColWidths[1] + materialColWidths[2], materialTableTop);
-      
-      doc.moveTo(doc.x, materialTableTop + 20)
-         .lineTo(doc.x + doc.page.width - doc.page.margins.left - doc.page.margins.right, materialTableTop + 20)
-         .stroke();
-      
-      // Table rows
-      let materialRowTop = materialTableTop + 30;
-      log.materialsUsed.forEach(material => {
-        doc.text(material.name, doc.x, materialRowTop);
-        doc.text(material.quantity.toString(), doc.x + materialColWidths[0], materialRowTop);
-        doc.text(material.unit, doc.x + materialColWidths[0] + materialColWidths[1], materialRowTop);
-        doc.text(material.notes || '-', doc.x + materialColWidths[0] + materialColWidths[1] + materialColWidths[2], materialRowTop);
-        materialRowTop += 20;
+      sectionTitle(doc, `${req.t('Materials Used')}:`);
+      drawTable(doc, [
+        { header: req.t('Material'), key: 'name', width: 0.4 },
+        { header: req.t('Quantity'), key: 'quantity', width: 0.15 },
+        { header: req.t('Unit'), key: 'unit', width: 0.15 },
+        { header: req.t('Notes'), key: 'notes', width: 0.3 }
+      ], log.materialsUsed);
+    }
+
+    // Attached documents grouped by type
+    if (log.documents && log.documents.length > 0) {
+      sectionTitle(doc, `${req.t('Attached Documents')}:`);
+      Object.keys(DOCUMENT_TYPE_LABELS).forEach(type => {
+        const documents = log.documents.filter(document => document.type === type);
+        if (documents.length === 0) {
+          return;
+        }
+
+        ensureSpace(doc, 40);
+        doc.fontSize(12).text(req.t(DOCUMENT_TYPE_LABELS[type]));
+        doc.fontSize(10);
+        documents.forEach(document => {
+          doc.text(`- ${document.originalName} (${req.t('uploaded {{date}}', { date: req.formatDate(document.uploadedAt, 'LLL') })})`);
+        });
+        doc.moveDown(0.5);
       });
-      
-      doc.moveDown(log.materialsUsed.length + 1);
+      doc.moveDown();
     }
-    
-    // Footer
-    doc.fontSize(10).text(`Generated on: ${moment().format('MMMM D, YYYY h:mm A')}`, { align: 'center' });
+
+    // Signature block for the team leader and the approving manager
+    ensureSpace(doc, 110);
+    doc.moveDown();
+    const signatureTop = doc.y;
+    const signatureWidth = (contentWidth(doc) - 40) / 2;
+    const signatures = [
+      { title: req.t('Team Leader'), name: log.teamLeader.fullName, date: null },
+      {
+        title: req.t('Approving Manager'),
+        name: log.approvedBy ? log.approvedBy.fullName : '',
+        date: log.approvedAt
+      }
+    ];
+
+    signatures.forEach((signature, index) => {
+      // Right-to-left documents put the first signature on the right
+      const column = doc.rtl ? signatures.length - 1 - index : index;
+      const x = doc.page.margins.left + column * (signatureWidth + 40);
+      doc.fontSize(12).text(signature.title, x, signatureTop, { width: signatureWidth });
+      doc.fontSize(10).text(`${req.t('Name')}: ${signature.name}`, x, signatureTop + 20, { width: signatureWidth });
+      doc.moveTo(x, signatureTop + 70).lineTo(x + signatureWidth, signatureTop + 70).stroke();
+      doc.text(req.t('Signature'), x, signatureTop + 74, { width: signatureWidth });
+      doc.text(`${req.t('Date')}: ${signature.date ? req.formatDate(signature.date, 'LL') : ''}`, x, signatureTop + 88, { width: signatureWidth });
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = signatureTop + 110;
+
+    // Photo gallery, two photos per page
+    if (log.photos && log.photos.length > 0) {
+      const photoHeight = 260;
+
+      log.photos.forEach((photo, index) => {
+        if (index % 2 === 0) {
+          doc.addPage();
+          if (index === 0) {
+            sectionTitle(doc, req.t('Photo Gallery'));
+          }
+        }
+
+        const top = doc.y;
+        if (!drawImage(doc, photo.path, doc.page.margins.left, top, [contentWidth(doc), photoHeight])) {
+          doc.rect(doc.page.margins.left, top, contentWidth(doc), photoHeight).stroke();
+          doc.fontSize(10).text(req.t('Image unavailable'), doc.page.margins.left, top + photoHeight / 2 - 5, {
+            width: contentWidth(doc),
+            align: 'center'
+          });
+        }
+
+        doc.x = doc.page.margins.left;
+        doc.y = top + photoHeight + 6;
+        doc.fontSize(10).text(photo.description || photo.originalName);
+        doc.fontSize(8).text(`${req.t('Uploaded')}: ${req.formatDate(photo.uploadedAt, 'LLL')}`);
+        doc.moveDown();
+      });
+    }
+
+    // Footer with page numbers
+    addPageFooters(doc, `${req.t('Generated on')}: ${req.formatDate(new Date(), 'LLL')}`, req.t);
     
     // Finalize PDF
     doc.end();
     
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while exporting the log to PDF'
+      message: error.message || req.t('Some error occurred while exporting the log to PDF')
     });
   }
 };
@@ -1,19 +1,341 @@
+const moment = require('moment');
+const { validationResult } = require('express-validator');
 const Notification = require('../models/notification.model');
 const DailyLog = require('../models/dailyLog.model');
 const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const NotificationPreference = require('../models/notificationPreference.model');
+const StreamTicket = require('../models/streamTicket.model');
+const { translate, formatDate } = require('../utils/i18n');
+const {
+  loadCalendar,
+  toDayKey,
+  getDayKey,
+  getDayRange,
+  isWorkingDay,
+  isWorkingDayForAnyProject,
+  getPreviousWorkingDay
+} = require('../utils/workCalendar');
+const { deliverNotification } = require('../utils/notificationDelivery');
+const { subscribe, getMissedEvents, publishNotification } = require('../utils/realtime');
+const { getRolesWithPermission } = require('../utils/permissions');
+const { getProjectMemberIds } = require('../utils/projectAccess');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { createSecret, hashToken } = require('../utils/tokens');
+const { isSessionValid } = require('../middleware/auth.middleware');
+const authConfig = require('../config/auth.config');
+const realtimeConfig = require('../config/realtime.config');
+const notificationConfig = require('../config/notification.config');
 
-// Get notifications for the current user
+// Page size of the notification list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Save a notification, push it to connected clients and hand it to the delivery channels.
+// Nothing is created when the recipient turned off notifications of this type.
+// With `collapse`, a repeated notification about the same log updates the earlier one
+// (bumping its reminder count) instead of adding another.
+const createNotification = async (data, { collapse = false } = {}) => {
+  const preference = await NotificationPreference.getForUser(data.recipient, data.type);
+  if (!preference.enabled) {
+    return null;
+  }
+
+  let notification = collapse
+    ? await Notification.findOne({ recipient: data.recipient, type: data.type, relatedLog: data.relatedLog })
+    : null;
+
+  if (notification) {
+    notification.set({
+      ...data,
+      reminderCount: notification.reminderCount + 1,
+      lastRemindedAt: Date.now(),
+      // Move the reminder to the top of the list again
+      notifiedAt: Date.now(),
+      isRead: false,
+      isArchived: false,
+      archivedAt: undefined,
+      // Every reminder is delivered again
+      deliveries: []
+    });
+  } else {
+    notification = new Notification({
+      ...data,
+      createdAt: Date.now(),
+      lastRemindedAt: collapse ? Date.now() : undefined
+    });
+  }
+
+  await notification.save();
+
+  if (preference.realtime) {
+    publishNotification(notification).catch((error) => {
+      console.error('Error publishing notification:', error);
+    });
+  }
+
+  deliverNotification(notification, preference).catch((error) => {
+    console.error('Error delivering notification:', error);
+  });
+
+  return notification;
+};
+
+// Find a notification of the current user, or send the matching error response
+const findOwnNotification = async (req, res, forbiddenMessage) => {
+  const notification = await Notification.findById(req.params.id);
+
+  if (!notification) {
+    res.status(404).json({
+      message: req.t('Notification not found')
+    });
+    return null;
+  }
+
+  // Check if user is authorized (must be the recipient)
+  if (notification.recipient.toString() !== req.userId) {
+    res.status(403).json({
+      message: req.t(forbiddenMessage)
+    });
+    return null;
+  }
+
+  return notification;
+};
+
+// Get the language setting of a notification recipient
+const getUserLocale = async (userId) => {
+  const user = await User.findById(userId).select('locale');
+  return user ? user.locale : undefined;
+};
+
+// Managers responsible for a project; when none are assigned, the active users who approve
+// logs and can access the project (its members, or users with access to every project)
+const getProjectManagers = async (project) => {
+  const filter = { role: { $in: await getRolesWithPermission('logs:approve') }, isActive: true };
+  if (project && project.managers && project.managers.length > 0) {
+    filter._id = { $in: project.managers };
+  } else {
+    const members = project
+      ? await Project.findById(project._id || project).select('managers assignments.teamLeader members.user')
+      : null;
+    filter.$or = [
+      { role: { $in: await getRolesWithPermission('projects:all') } },
+      { _id: { $in: members ? getProjectMemberIds(members) : [] } }
+    ];
+  }
+  return User.find(filter).select('_id locale');
+};
+
+// Team leaders expected to write a log for a day: active assignments on
+// active projects, on days that are working days for the project
+const getExpectedLogs = async (dayKey) => {
+  const { start, end } = getDayRange(dayKey);
+  const assignments = await Project.findActiveAssignments(start, end);
+  return assignments.filter(({ project }) => isWorkingDay(dayKey, project._id));
+};
+
+// Whether the project and team leader of a populated log still exist (deleting a project keeps its logs)
+const hasReferences = log => Boolean(log.project && log.teamLeader);
+
+// Whether a team leader wrote a log for a project (logs may be populated or not)
+const hasLog = (logs, project, teamLeader) => logs.some(log => (
+  log.project._id.equals(project._id) && log.teamLeader._id.equals(teamLeader._id)
+));
+
+// Escalate to a manager once per team leader, day, project and log; returns the number of notifications created
+const createEscalation = async (manager, data, phrase, params) => {
+  const alreadyEscalated = await Notification.exists({
+    recipient: manager._id,
+    type: 'log_escalation',
+    relatedUser: data.relatedUser,
+    relatedDate: data.relatedDate,
+    relatedProject: data.relatedProject || null,
+    relatedLog: data.relatedLog || null
+  });
+
+  if (alreadyEscalated) {
+    return 0;
+  }
+
+  const notification = await createNotification({
+    recipient: manager._id,
+    type: 'log_escalation',
+    message: translate(manager.locale, phrase, {
+      ...params,
+      date: formatDate(manager.locale, data.relatedDate)
+    }),
+    ...data
+  });
+  return notification ? 1 : 0;
+};
+
+// Get notifications for the current user, newest first, one page at a time
 exports.getUserNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ recipient: req.userId })
-      .sort({ createdAt: -1 })
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, isRead, archived, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const filter = {
+      recipient: req.userId,
+      isArchived: archived === 'true'
+    };
+
+    if (type) {
+      filter.type = { $in: type.split(',') };
+    }
+
+    if (isRead !== undefined) {
+      filter.isRead = isRead === 'true';
+    }
+
+    // Continue after the last notification of the previous page
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({
+          message: req.t('Invalid cursor')
+        });
+      }
+      Object.assign(filter, afterCursor(position, 'notifiedAt'));
+    }
+
+    // Fetch one extra notification to know if there is another page
+    const notifications = await Notification.find(filter)
+      .sort({ notifiedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('-deliveries')
       .populate('relatedLog', 'date project')
       .populate('relatedProject', 'name');
-    
-    return res.status(200).json(notifications);
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+
+    return res.status(200).json({
+      notifications: page,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'notifiedAt') : null
+    });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving notifications'
+      message: error.message || req.t('Some error occurred while retrieving notifications')
+    });
+  }
+};
+
+// Create a single-use ticket for opening the event stream of the current session
+exports.createStreamTicket = async (req, res) => {
+  try {
+    const ticket = createSecret();
+    await StreamTicket.create({
+      tokenHash: hashToken(ticket),
+      user: req.userId,
+      session: req.sessionId,
+      company: req.companyId,
+      locale: req.locale,
+      expiresAt: new Date(Date.now() + authConfig.streamTicketSeconds * 1000)
+    });
+
+    return res.status(201).json({
+      ticket,
+      expiresIn: authConfig.streamTicketSeconds
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while creating the stream ticket')
+    });
+  }
+};
+
+// Stream notifications and log status changes to the current user (Server-Sent Events)
+exports.streamEvents = async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  const sentIds = new Set();
+  let replaying = true;
+  const pending = [];
+
+  const send = (streamEvent) => {
+    // Skip events already sent, e.g. replayed and then picked up live. Live events are not
+    // compared with the last event id: ids of events stored by other server instances in
+    // the same second do not follow the order they were published in.
+    const id = streamEvent._id.toString();
+    if (sentIds.has(id)) {
+      return;
+    }
+    sentIds.add(id);
+    res.write(`id: ${id}\nevent: ${streamEvent.event}\ndata: ${JSON.stringify(streamEvent.data)}\n\n`);
+  };
+
+  // Listen before catching up so nothing published in between is lost
+  const unsubscribe = subscribe(req.userId, (streamEvent) => {
+    if (replaying) {
+      pending.push(streamEvent);
+    } else {
+      send(streamEvent);
+    }
+  });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${realtimeConfig.retryMilliseconds}\n\n`);
+
+  // The session is checked again on every heartbeat; the stream ends once it is revoked
+  // or the user is deactivated, and the client needs a new ticket to reconnect
+  const heartbeat = setInterval(async () => {
+    try {
+      const { error } = await isSessionValid(req.sessionId, req.userId, req.companyId);
+      if (error) {
+        clearInterval(heartbeat);
+        res.write(`event: session_ended\ndata: ${JSON.stringify({ message: req.t(error) })}\n\n`);
+        return res.end();
+      }
+    } catch (error) {
+      console.error('Error checking the session of an event stream:', error.message);
+    }
+    res.write(': heartbeat\n\n');
+  }, realtimeConfig.heartbeatSeconds * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    // Send everything the client missed since its last event
+    const missedEvents = await getMissedEvents(req.userId, lastEventId);
+    missedEvents.forEach(send);
+  } catch (error) {
+    console.error('Error replaying missed events:', error);
+  }
+
+  replaying = false;
+  pending.forEach(send);
+};
+
+// Get the number of unread notifications of the current user
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.userId,
+      isRead: false,
+      isArchived: false
+    });
+
+    return res.status(200).json({ unreadCount });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while counting unread notifications')
     });
   }
 };
@@ -21,30 +343,20 @@ exports.getUserNotifications = async (req, res) => {
 // Mark a notification as read
 exports.markAsRead = async (req, res) => {
   try {
-    const notification = await Notification.findById(req.params.id);
-    
+    const notification = await findOwnNotification(req, res, 'You are not authorized to mark this notification as read');
     if (!notification) {
-      return res.status(404).json({
-        message: 'Notification not found'
-      });
-    }
-    
-    // Check if user is authorized (must be the recipient)
-    if (notification.recipient.toString() !== req.userId) {
-      return res.status(403).json({
-        message: 'You are not authorized to mark this notification as read'
-      });
+      return;
     }
     
     notification.isRead = true;
     await notification.save();
     
     return res.status(200).json({
-      message: 'Notification marked as read'
+      message: req.t('Notification marked as read')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while marking notification as read'
+      message: error.message || req.t('Some error occurred while marking notification as read')
     });
   }
 };
@@ -58,114 +370,402 @@ exports.markAllAsRead = async (req, res) => {
     );
     
     return res.status(200).json({
-      message: 'All notifications marked as read'
+      message: req.t('All notifications marked as read')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while marking all notifications as read'
+      message: error.message || req.t('Some error occurred while marking all notifications as read')
     });
   }
 };
 
-// Create a notification for missing logs (used by scheduled job)
-exports.createMissingLogNotifications = async () => {
+// Archive a notification (hidden from the default list)
+exports.archiveNotification = async (req, res) => {
   try {
-    // Get yesterday's date
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    
-    // Get all team leaders
-    const teamLeaders = await User.find({ role: 'Team Leader' });
-    
-    // Check each team leader for missing logs
-    for (const teamLeader of teamLeaders) {
-      // Check if log exists for yesterday
-      const log = await DailyLog.findOne({
-        teamLeader: teamLeader._id,
-        date: {
-          $gte: yesterday,
-          $lt: new Date(yesterday.getTime() + 24 * 60 * 60 * 1000)
-        }
-      });
-      
-      // If no log exists, create a notification
-      if (!log) {
-        const notification = new Notification({
-          recipient: teamLeader._id,
-          type: 'missing_log',
-          message: `You have not submitted a daily log for ${yesterday.toLocaleDateString()}`,
-          createdAt: Date.now()
-        });
-        
-        await notification.save();
-      }
+    const notification = await findOwnNotification(req, res, 'You are not authorized to archive this notification');
+    if (!notification) {
+      return;
     }
-    
-    return true;
+
+    notification.isArchived = true;
+    notification.archivedAt = new Date();
+    await notification.save();
+
+    return res.status(200).json({
+      message: req.t('Notification archived')
+    });
   } catch (error) {
-    console.error('Error creating missing log notifications:', error);
-    return false;
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while archiving the notification')
+    });
+  }
+};
+
+// Move an archived notification back to the list
+exports.unarchiveNotification = async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req, res, 'You are not authorized to restore this notification');
+    if (!notification) {
+      return;
+    }
+
+    notification.isArchived = false;
+    notification.archivedAt = undefined;
+    await notification.save();
+
+    return res.status(200).json({
+      message: req.t('Notification restored')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while restoring the notification')
+    });
   }
 };
 
+// Delete a notification
+exports.deleteNotification = async (req, res) => {
+  try {
+    const notification = await findOwnNotification(req, res, 'You are not authorized to delete this notification');
+    if (!notification) {
+      return;
+    }
+
+    await Notification.findByIdAndDelete(notification._id);
+
+    return res.status(200).json({
+      message: req.t('Notification deleted successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while deleting the notification')
+    });
+  }
+};
+
+// Create a notification for missing logs (used by scheduled job; errors propagate so the run is recorded as failed)
+exports.createMissingLogNotifications = async () => {
+  await loadCalendar();
+
+  const yesterday = getDayKey(-1);
+  const { start, end } = getDayRange(yesterday);
+  const expectedLogs = await getExpectedLogs(yesterday);
+  const logs = await DailyLog.find({ date: { $gte: start, $lt: end } }).select('teamLeader project');
+  
+  // Check each assignment for a missing log, reminding once per team leader, project and day
+  // (the job may run again for the same day, e.g. when started by hand)
+  let created = 0;
+  for (const { project, teamLeader } of expectedLogs) {
+    if (hasLog(logs, project, teamLeader)) {
+      continue;
+    }
+
+    const alreadyReminded = await Notification.exists({
+      recipient: teamLeader._id,
+      type: 'missing_log',
+      relatedProject: project._id,
+      relatedDate: start
+    });
+    if (alreadyReminded) {
+      continue;
+    }
+
+    const notification = await createNotification({
+      recipient: teamLeader._id,
+      type: 'missing_log',
+      message: translate(teamLeader.locale, 'You have not submitted a daily log for {{date}} at {{project}}', {
+        date: formatDate(teamLeader.locale, start),
+        project: project.name
+      }),
+      relatedProject: project._id,
+      relatedDate: start
+    });
+    if (notification) {
+      created++;
+    }
+  }
+  
+  return { notifications: created };
+};
+
 // Create a notification for incomplete logs (used by scheduled job)
 exports.createIncompleteLogNotifications = async () => {
+  await loadCalendar();
+
+  // Reminders are only sent on working days
+  if (!isWorkingDayForAnyProject(getDayKey())) {
+    return { notifications: 0 };
+  }
+
+  // Get all draft logs that are older than 24 hours
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - 1);
+  
+  const incompleteLogs = await DailyLog.find({
+    status: 'draft',
+    createdAt: { $lt: cutoffDate }
+  })
+    .populate('teamLeader', '_id fullName locale')
+    .populate('project', 'name managers');
+
+  const today = getDayKey();
+  const { reminderIntervalDays, maxReminders } = notificationConfig;
+  
+  // Remind the team leader of each incomplete log, collapsing repeated reminders
+  let created = 0;
+  for (const log of incompleteLogs.filter(hasReferences)) {
+    const previous = await Notification.findOne({
+      recipient: log.teamLeader._id,
+      type: 'incomplete_log',
+      relatedLog: log._id
+    }).select('reminderCount lastRemindedAt createdAt');
+
+    if (previous) {
+      // Wait the configured number of days since the last reminder
+      const interval = reminderIntervalDays[Math.min(previous.reminderCount, reminderIntervalDays.length) - 1];
+      const daysSinceReminder = moment(today).diff(moment(toDayKey(previous.lastRemindedAt || previous.createdAt)), 'days');
+      if (daysSinceReminder < interval) {
+        continue;
+      }
+
+      // Enough reminders: hand the log over to the project managers instead
+      if (previous.reminderCount >= maxReminders) {
+        const { start: day } = getDayRange(toDayKey(log.date));
+        for (const manager of await getProjectManagers(log.project)) {
+          created += await createEscalation(
+            manager,
+            {
+              relatedUser: log.teamLeader._id,
+              relatedDate: day,
+              relatedLog: log._id,
+              relatedProject: log.project._id
+            },
+            'The daily log of {{teamLeader}} for {{date}} at {{project}} is still a draft',
+            { teamLeader: log.teamLeader.fullName, project: log.project.name }
+          );
+        }
+        continue;
+      }
+    }
+
+    const notification = await createNotification({
+      recipient: log.teamLeader._id,
+      type: 'incomplete_log',
+      message: translate(log.teamLeader.locale, 'You have an incomplete daily log for {{date}} that needs to be submitted', {
+        date: formatDate(log.teamLeader.locale, log.date)
+      }),
+      relatedLog: log._id,
+      relatedProject: log.project._id
+    }, { collapse: true });
+    if (notification) {
+      created++;
+    }
+  }
+  
+  return { notifications: created };
+};
+
+// Escalate logs that are still missing or still draft to managers (used by scheduled job)
+exports.createEscalationNotifications = async () => {
+  await loadCalendar();
+
+  let created = 0;
+  const escalationDelay = notificationConfig.escalationHours * 60 * 60 * 1000;
+
+  for (let daysAgo = 1; daysAgo <= notificationConfig.escalationLookbackDays; daysAgo++) {
+    const dayKey = getDayKey(-daysAgo);
+    const { start: day, end: nextDay } = getDayRange(dayKey);
+
+    // Team leaders have until the escalation delay after the end of the day
+    if (nextDay.getTime() + escalationDelay > Date.now()) {
+      continue;
+    }
+
+    const logs = (await DailyLog.find({ date: { $gte: day, $lt: nextDay } })
+      .populate('teamLeader', 'fullName')
+      .populate('project', 'name managers'))
+      .filter(hasReferences);
+
+    // Assignments without a log for the day
+    for (const { project, teamLeader } of await getExpectedLogs(dayKey)) {
+      if (hasLog(logs, project, teamLeader)) {
+        continue;
+      }
+
+      for (const manager of await getProjectManagers(project)) {
+        created += await createEscalation(
+          manager,
+          { relatedUser: teamLeader._id, relatedDate: day, relatedProject: project._id },
+          '{{teamLeader}} has not submitted a daily log for {{date}} at {{project}}',
+          { teamLeader: teamLeader.fullName, project: project.name }
+        );
+      }
+    }
+
+    // Logs that were started but never submitted
+    for (const log of logs.filter(item => item.status === 'draft')) {
+      const managers = await getProjectManagers(log.project);
+
+      for (const manager of managers) {
+        created += await createEscalation(
+          manager,
+          {
+            relatedUser: log.teamLeader._id,
+            relatedDate: day,
+            relatedLog: log._id,
+            relatedProject: log.project._id
+          },
+          'The daily log of {{teamLeader}} for {{date}} at {{project}} is still a draft',
+          { teamLeader: log.teamLeader.fullName, project: log.project.name }
+        );
+      }
+    }
+  }
+
+  return { notifications: created };
+};
+
+// Send each manager a summary of the previous working day's logs per project (used by scheduled job)
+exports.createDailyDigestNotifications = async () => {
+  await loadCalendar();
+
+  // The digest goes out on working days and covers the previous working day
+  const today = getDayKey();
+  if (!isWorkingDayForAnyProject(today)) {
+    return { notifications: 0 };
+  }
+  const dayKey = getPreviousWorkingDay(today);
+  const { start: day, end: nextDay } = getDayRange(dayKey);
+
+  const [projects, logs, managers, expectedLogs, allProjectRoles] = await Promise.all([
+    Project.find({ isActive: true, status: 'active' }).sort({ name: 1 }),
+    DailyLog.find({ date: { $gte: day, $lt: nextDay } }).select('project teamLeader status'),
+    getRolesWithPermission('logs:approve').then(roles => User.find({ role: { $in: roles }, isActive: true })),
+    getExpectedLogs(dayKey),
+    getRolesWithPermission('projects:all')
+  ]);
+
+  // Count the day's logs of every project by status, and the assigned team leaders without one
+  const summaries = projects.map((project) => {
+    const projectLogs = logs.filter(log => log.project.equals(project._id));
+    const count = status => projectLogs.filter(log => log.status === status).length;
+    const missing = expectedLogs.filter(expected => (
+      expected.project._id.equals(project._id) && !hasLog(logs, expected.project, expected.teamLeader)
+    ));
+
+    return {
+      project: project._id,
+      name: project.name,
+      managers: project.managers.map(manager => manager.toString()),
+      members: getProjectMemberIds(project),
+      missing: missing.length,
+      missingTeamLeaders: missing.map(expected => expected.teamLeader.fullName),
+      draft: count('draft'),
+      submitted: count('submitted'),
+      approved: count('approved'),
+      rejected: count('rejected')
+    };
+  }).filter(summary => summary.missing + summary.draft + summary.submitted + summary.approved + summary.rejected > 0);
+
+  let created = 0;
+  for (const manager of managers) {
+    // Projects the manager is responsible for, plus projects without managers they can access
+    const managerId = manager._id.toString();
+    const seesAllProjects = allProjectRoles.includes(manager.role);
+    const managerSummaries = summaries
+      .filter(summary => (summary.managers.length > 0
+        ? summary.managers.includes(managerId)
+        : seesAllProjects || summary.members.includes(managerId)))
+      .map(({ managers: projectManagers, members, ...summary }) => summary);
+
+    if (managerSummaries.length === 0) {
+      continue;
+    }
+
+    const lines = managerSummaries.map(summary => translate(
+      manager.locale,
+      '{{project}}: {{missing}} missing, {{approved}} approved, {{submitted}} awaiting approval, {{draft}} draft, {{rejected}} returned for revision',
+      {
+        project: summary.name,
+        missing: summary.missing,
+        approved: summary.approved,
+        submitted: summary.submitted,
+        draft: summary.draft,
+        rejected: summary.rejected
+      }
+    ));
+
+    const notification = await createNotification({
+      recipient: manager._id,
+      type: 'daily_digest',
+      message: [
+        translate(manager.locale, 'Daily log summary for {{date}}', { date: formatDate(manager.locale, day) }),
+        ...lines
+      ].join('\n'),
+      relatedDate: day,
+      details: { date: day, projects: managerSummaries }
+    });
+    if (notification) {
+      created++;
+    }
+  }
+
+  return { notifications: created };
+};
+
+// Create a notification when a log is approved (called from log controller)
+exports.createLogApprovedNotification = async (logId) => {
   try {
-    // Get all draft logs that are older than 24 hours
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - 1);
-    
-    const incompleteLogs = await DailyLog.find({
-      status: 'draft',
-      createdAt: { $lt: cutoffDate }
-    }).populate('teamLeader', '_id');
+    const log = await DailyLog.findById(logId)
+      .populate('teamLeader', '_id locale')
+      .populate('project', 'name');
     
-    // Create notifications for each incomplete log
-    for (const log of incompleteLogs) {
-      const notification = new Notification({
-        recipient: log.teamLeader._id,
-        type: 'incomplete_log',
-        message: `You have an incomplete daily log for ${new Date(log.date).toLocaleDateString()} that needs to be submitted`,
-        relatedLog: log._id,
-        relatedProject: log.project,
-        createdAt: Date.now()
-      });
-      
-      await notification.save();
+    if (!log) {
+      return false;
     }
     
+    await createNotification({
+      recipient: log.teamLeader._id,
+      type: 'log_approved',
+      message: translate(log.teamLeader.locale, 'Your daily log for {{date}} at {{project}} has been approved', {
+        date: formatDate(log.teamLeader.locale, log.date),
+        project: log.project.name
+      }),
+      relatedLog: log._id,
+      relatedProject: log.project._id
+    });
     return true;
   } catch (error) {
-    console.error('Error creating incomplete log notifications:', error);
+    console.error('Error creating log approved notification:', error);
     return false;
   }
 };
 
-// Create a notification when a log is approved (called from log controller)
-exports.createLogApprovedNotification = async (logId) => {
+// Create a notification when a log is returned for revision (called from log controller)
+exports.createLogRejectedNotification = async (logId) => {
   try {
     const log = await DailyLog.findById(logId)
-      .populate('teamLeader', '_id')
+      .populate('teamLeader', '_id locale')
       .populate('project', 'name');
     
     if (!log) {
       return false;
     }
     
-    const notification = new Notification({
+    await createNotification({
       recipient: log.teamLeader._id,
-      type: 'log_approved',
-      message: `Your daily log for ${new Date(log.date).toLocaleDateString()} at ${log.project.name} has been approved`,
+      type: 'log_rejected',
+      message: translate(log.teamLeader.locale, 'Your daily log for {{date}} at {{project}} was returned for revision: {{reason}}', {
+        date: formatDate(log.teamLeader.locale, log.date),
+        project: log.project.name,
+        reason: log.rejectionReason
+      }),
       relatedLog: log._id,
-      relatedProject: log.project._id,
-      createdAt: Date.now()
+      relatedProject: log.project._id
     });
-    
-    await notification.save();
     return true;
   } catch (error) {
-    console.error('Error creating log approved notification:', error);
+    console.error('Error creating log rejected notification:', error);
     return false;
   }
 };
@@ -173,18 +773,72 @@ exports.createLogApprovedNotification = async (logId) => {
 // Create a notification for duplicate log warning (called from log controller)
 exports.createDuplicateWarningNotification = async (teamLeaderId, date, projectId) => {
   try {
-    const notification = new Notification({
+    const locale = await getUserLocale(teamLeaderId);
+    await createNotification({
       recipient: teamLeaderId,
       type: 'duplicate_warning',
-      message: `You attempted to create a duplicate log for ${new Date(date).toLocaleDateString()}. Please edit your existing log instead.`,
-      relatedProject: projectId,
-      createdAt: Date.now()
+      message: translate(locale, 'You attempted to create a duplicate log for {{date}}. Please edit your existing log instead.', {
+        date: formatDate(locale, date)
+      }),
+      relatedProject: projectId
     });
-    
-    await notification.save();
     return true;
   } catch (error) {
     console.error('Error creating duplicate warning notification:', error);
     return false;
   }
 };
+
+// Get the notification preferences of the current user
+exports.getPreferences = async (req, res) => {
+  try {
+    const preferences = await NotificationPreference.getAllForUser(req.userId);
+
+    return res.status(200).json({ preferences });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving notification preferences')
+    });
+  }
+};
+
+// Update the notification preferences of the current user
+exports.updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let preferences = await NotificationPreference.findOne({ user: req.userId });
+    if (!preferences) {
+      preferences = new NotificationPreference({ user: req.userId, preferences: [] });
+    }
+
+    for (const { type, ...channels } of req.body.preferences) {
+      let preference = preferences.preferences.find(item => item.type === type);
+      if (!preference) {
+        preferences.preferences.push({ type });
+        preference = preferences.preferences[preferences.preferences.length - 1];
+      }
+
+      // Only change the settings that were sent
+      ['enabled', 'realtime', 'email'].forEach((setting) => {
+        if (channels[setting] !== undefined) {
+          preference[setting] = channels[setting];
+        }
+      });
+    }
+
+    await preferences.save();
+
+    return res.status(200).json({
+      message: req.t('Notification preferences updated successfully'),
+      preferences: await NotificationPreference.getAllForUser(req.userId)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating notification preferences')
+    });
+  }
+};
@@ -1,26 +1,36 @@
 const Project = require('../models/project.model');
+const User = require('../models/user.model');
 const { validationResult } = require('express-validator');
+const { roleHasPermission, hasPermission } = require('../utils/permissions');
+const { getAccessibleProjectIds } = require('../utils/projectAccess');
+const { recordAudit, toSnapshot } = require('../utils/audit');
 
-// Get all projects
+// Query condition limiting projects to those the user of a request belongs to
+const accessibleProjectsFilter = async (req) => {
+  const ids = await getAccessibleProjectIds(req);
+  return ids === null ? {} : { _id: { $in: ids } };
+};
+
+// Get all projects the user belongs to
 exports.getAllProjects = async (req, res) => {
   try {
-    const projects = await Project.find();
+    const projects = await Project.find(await accessibleProjectsFilter(req));
     return res.status(200).json(projects);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving projects'
+      message: error.message || req.t('Some error occurred while retrieving projects')
     });
   }
 };
 
-// Get active projects
+// Get active projects the user belongs to
 exports.getActiveProjects = async (req, res) => {
   try {
-    const projects = await Project.find({ isActive: true, status: 'active' });
+    const projects = await Project.find({ ...(await accessibleProjectsFilter(req)), isActive: true, status: 'active' });
     return res.status(200).json(projects);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving active projects'
+      message: error.message || req.t('Some error occurred while retrieving active projects')
     });
   }
 };
@@ -28,23 +38,26 @@ exports.getActiveProjects = async (req, res) => {
 // Get project by ID
 exports.getProjectById = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
+    const project = await Project.findById(req.params.id)
+      .populate('managers', 'fullName email')
+      .populate('assignments.teamLeader', 'fullName email')
+      .populate('members.user', 'fullName email');
     
     if (!project) {
       return res.status(404).json({
-        message: 'Project not found'
+        message: req.t('Project not found')
       });
     }
     
     return res.status(200).json(project);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving the project'
+      message: error.message || req.t('Some error occurred while retrieving the project')
     });
   }
 };
 
-// Create a new project (managers only)
+// Create a new project
 exports.createProject = async (req, res) => {
   try {
     // Validate request
@@ -66,21 +79,29 @@ exports.createProject = async (req, res) => {
       estimatedEndDate: req.body.estimatedEndDate,
       status: req.body.status || 'active',
       description: req.body.description,
+      managers: req.body.managers || [],
       isActive: req.body.isActive !== undefined ? req.body.isActive : true
     });
+
+    // A creator who only sees their own projects manages the new one, so they keep access to it
+    if (!hasPermission(req, 'projects:all') && !project.managers.some(manager => manager.equals(req.userId))) {
+      project.managers.push(req.userId);
+    }
     
     // Save project to database
     const savedProject = await project.save();
+
+    await recordAudit(req, 'project_created', { entityType: 'Project', entityId: project._id, after: savedProject });
     
     return res.status(201).json(savedProject);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while creating the project'
+      message: error.message || req.t('Some error occurred while creating the project')
     });
   }
 };
 
-// Update a project (managers only)
+// Update a project
 exports.updateProject = async (req, res) => {
   try {
     // Validate request
@@ -103,6 +124,7 @@ exports.updateProject = async (req, res) => {
       actualEndDate: req.body.actualEndDate,
       status: req.body.status,
       description: req.body.description,
+      managers: req.body.managers,
       isActive: req.body.isActive
     };
     
@@ -113,7 +135,8 @@ exports.updateProject = async (req, res) => {
       }
     });
     
-    const project = await Project.findByIdAndUpdate(
+    const previous = await Project.findById(req.params.id);
+    const project = previous && await Project.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
@@ -121,61 +144,343 @@ exports.updateProject = async (req, res) => {
     
     if (!project) {
       return res.status(404).json({
-        message: 'Project not found'
+        message: req.t('Project not found')
       });
     }
+
+    await recordAudit(req, 'project_updated', { entityType: 'Project', entityId: project._id, before: previous, after: project });
     
     return res.status(200).json(project);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating the project'
+      message: error.message || req.t('Some error occurred while updating the project')
     });
   }
 };
 
-// Delete a project (managers only)
+// Delete a project
 exports.deleteProject = async (req, res) => {
   try {
     const project = await Project.findByIdAndDelete(req.params.id);
     
     if (!project) {
       return res.status(404).json({
-        message: 'Project not found'
+        message: req.t('Project not found')
       });
     }
+
+    await recordAudit(req, 'project_deleted', { entityType: 'Project', entityId: project._id, before: project });
     
     return res.status(200).json({
-      message: 'Project deleted successfully'
+      message: req.t('Project deleted successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while deleting the project'
+      message: error.message || req.t('Some error occurred while deleting the project')
     });
   }
 };
 
-// Toggle project active status (managers only)
+// Toggle project active status
 exports.toggleProjectStatus = async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     
     if (!project) {
       return res.status(404).json({
-        message: 'Project not found'
+        message: req.t('Project not found')
       });
     }
     
     project.isActive = !project.isActive;
     await project.save();
+
+    await recordAudit(req, project.isActive ? 'project_activated' : 'project_deactivated', {
+      entityType: 'Project',
+      entityId: project._id,
+      before: { isActive: !project.isActive },
+      after: { isActive: project.isActive }
+    });
     
     return res.status(200).json({
       id: project._id,
       isActive: project.isActive,
-      message: `Project ${project.isActive ? 'activated' : 'deactivated'} successfully`
+      message: req.t(project.isActive ? 'Project activated successfully' : 'Project deactivated successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating project status')
+    });
+  }
+};
+
+// Check that the user given as team leader exists and may write daily logs
+const findTeamLeader = async (req, res) => {
+  const teamLeader = await User.findById(req.body.teamLeader);
+
+  if (!teamLeader || !await roleHasPermission(teamLeader.role, 'logs:write')) {
+    res.status(400).json({
+      message: req.t('Team leader not found')
+    });
+    return null;
+  }
+
+  return teamLeader;
+};
+
+// Assign a team leader to a project
+exports.addAssignment = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    if (!await findTeamLeader(req, res)) {
+      return;
+    }
+
+    const before = toSnapshot(project);
+    project.assignments.push({
+      teamLeader: req.body.teamLeader,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate
+    });
+    await project.save();
+
+    await recordAudit(req, 'project_assignment_added', {
+      targetUser: req.body.teamLeader,
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+
+    return res.status(201).json(project.assignments[project.assignments.length - 1]);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while assigning the team leader')
+    });
+  }
+};
+
+// Update the period of a team leader assignment
+exports.updateAssignment = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findById(req.params.id);
+    const assignment = project && project.assignments.id(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        message: req.t('Assignment not found')
+      });
+    }
+
+    const before = toSnapshot(project);
+    if (req.body.startDate !== undefined) {
+      assignment.startDate = req.body.startDate;
+    }
+    if (req.body.endDate !== undefined) {
+      // An empty end date reopens the assignment
+      assignment.endDate = req.body.endDate || undefined;
+    }
+    await project.save();
+
+    await recordAudit(req, 'project_assignment_updated', {
+      targetUser: assignment.teamLeader,
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+
+    return res.status(200).json(assignment);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating the assignment')
+    });
+  }
+};
+
+// Remove a team leader assignment
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const assignment = project && project.assignments.id(req.params.assignmentId);
+
+    if (!assignment) {
+      return res.status(404).json({
+        message: req.t('Assignment not found')
+      });
+    }
+
+    const before = toSnapshot(project);
+    assignment.deleteOne();
+    await project.save();
+
+    await recordAudit(req, 'project_assignment_deleted', {
+      targetUser: assignment.teamLeader,
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+
+    return res.status(200).json({
+      message: req.t('Assignment deleted successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while deleting the assignment')
+    });
+  }
+};
+
+// Get the members of a project with their role in it
+exports.getProjectMembers = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .populate('managers', 'fullName email role')
+      .populate('assignments.teamLeader', 'fullName email role')
+      .populate('members.user', 'fullName email role');
+
+    if (!project) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    // Team leaders count as members while an assignment is current or upcoming
+    const now = new Date();
+    const teamLeaders = new Map();
+    project.assignments
+      .filter(assignment => assignment.teamLeader && (!assignment.endDate || assignment.endDate >= now))
+      .forEach(assignment => teamLeaders.set(assignment.teamLeader._id.toString(), assignment.teamLeader));
+
+    const members = [
+      ...project.managers.map(user => ({ user, projectRole: 'manager' })),
+      ...[...teamLeaders.values()].map(user => ({ user, projectRole: 'team_leader' })),
+      ...project.members
+        .filter(member => member.user)
+        .map(member => ({ user: member.user, projectRole: 'member', addedAt: member.addedAt }))
+    ];
+
+    return res.status(200).json(members);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving project members')
+    });
+  }
+};
+
+// Add a user to a project as a manager or member (team leaders join through assignments)
+exports.addProjectMember = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [project, user] = await Promise.all([
+      Project.findById(req.params.id),
+      User.findById(req.body.user)
+    ]);
+
+    if (!project) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        message: req.t('User not found')
+      });
+    }
+
+    const before = toSnapshot(project);
+    if (req.body.projectRole === 'manager') {
+      project.managers.addToSet(user._id);
+      project.members = project.members.filter(member => !member.user.equals(user._id));
+    } else if (!project.members.some(member => member.user.equals(user._id))) {
+      project.members.push({ user: user._id });
+    }
+    await project.save();
+
+    await recordAudit(req, 'project_member_added', {
+      targetUser: user._id,
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project,
+      details: { projectRole: req.body.projectRole }
+    });
+
+    return res.status(200).json({
+      message: req.t('Project member added successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while adding the project member')
+    });
+  }
+};
+
+// Remove a manager or member from a project
+exports.removeProjectMember = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    const isMember = project.managers.some(manager => manager.equals(req.params.userId))
+      || project.members.some(member => member.user.equals(req.params.userId));
+
+    if (!isMember) {
+      return res.status(404).json({
+        message: req.t('Project member not found')
+      });
+    }
+
+    const before = toSnapshot(project);
+    project.managers.pull(req.params.userId);
+    project.members = project.members.filter(member => !member.user.equals(req.params.userId));
+    await project.save();
+
+    await recordAudit(req, 'project_member_removed', {
+      targetUser: req.params.userId,
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project
+    });
+
+    return res.status(200).json({
+      message: req.t('Project member removed successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating project status'
+      message: error.message || req.t('Some error occurred while removing the project member')
     });
   }
 };
@@ -0,0 +1,512 @@
+const DailyLog = require('../models/dailyLog.model');
+const Project = require('../models/project.model');
+const { validationResult } = require('express-validator');
+const ExcelJS = require('exceljs');
+const moment = require('moment-timezone');
+const payrollConfig = require('../config/payroll.config');
+const calendarConfig = require('../config/calendar.config');
+const { buildLogFilter } = require('../utils/logFilters');
+const { toCsv } = require('../utils/csv');
+const { toDayKey } = require('../utils/workCalendar');
+const { getPortalVisibility, buildSharedLogFilter, getSharedPhotos } = require('../utils/clientPortal');
+const {
+  createPdfDocument,
+  contentWidth,
+  ensureSpace,
+  sectionTitle,
+  drawTable,
+  drawImage,
+  addPageFooters
+} = require('../utils/pdf');
+
+// Fields that can be used in a timesheet column mapping
+const TIMESHEET_FIELDS = [
+  'employeeId',
+  'employeeName',
+  'projectName',
+  'period',
+  'daysWorked',
+  'regularHours',
+  'overtimeHours',
+  'totalHours',
+  'payableHours'
+];
+
+// Parse a "field:Header,field:Header" column mapping
+const parseColumns = (mapping) => mapping
+  .split(',')
+  .map(pair => {
+    const [key, ...header] = pair.split(':');
+    return { key: key.trim(), header: header.join(':').trim() || key.trim() };
+  })
+  .filter(column => TIMESHEET_FIELDS.includes(column.key));
+
+// Round hours to two decimal places
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+// Add the hours of an employee entry to an aggregated row
+const addHours = (row, entry, date) => {
+  row.regularHours = roundHours(row.regularHours + entry.regularHours);
+  row.overtimeHours = roundHours(row.overtimeHours + entry.overtimeHours);
+  row.totalHours = roundHours(row.regularHours + row.overtimeHours);
+  row.payableHours = roundHours(row.payableHours + entry.payableHours);
+  row.days.add(date);
+  row.daysWorked = row.days.size;
+};
+
+// Create an empty aggregated row
+const createRow = (fields) => ({
+  ...fields,
+  regularHours: 0,
+  overtimeHours: 0,
+  totalHours: 0,
+  payableHours: 0,
+  daysWorked: 0,
+  days: new Set()
+});
+
+// Aggregate approved logs into per-employee, per-project rows for each day or week
+const aggregateTimesheet = (logs, groupBy) => {
+  const rows = new Map();
+  const periodTotals = new Map();
+
+  logs.forEach(log => {
+    // Logs belong to the calendar day in the company timezone, not the server's
+    const date = toDayKey(log.date);
+    const day = moment.tz(date, 'YYYY-MM-DD', calendarConfig.timezone);
+    const period = groupBy === 'week'
+      ? day.clone().startOf('isoWeek').format(payrollConfig.dateFormat)
+      : day.format(payrollConfig.dateFormat);
+
+    log.employees.forEach(entry => {
+      if (entry.isAbsent || !entry.employee) {
+        return;
+      }
+
+      const employee = entry.employee;
+      const key = `${employee._id}|${log.project._id}|${period}`;
+
+      if (!rows.has(key)) {
+        rows.set(key, createRow({
+          employeeId: employee.employeeId || employee._id.toString(),
+          employeeName: employee.fullName,
+          projectName: log.project.name,
+          period
+        }));
+      }
+
+      if (!periodTotals.has(period)) {
+        periodTotals.set(period, createRow({
+          employeeId: '',
+          employeeName: 'TOTAL',
+          projectName: '',
+          period
+        }));
+      }
+
+      addHours(rows.get(key), entry, date);
+      addHours(periodTotals.get(period), entry, date);
+    });
+  });
+
+  const sortRows = (a, b) => a.period.localeCompare(b.period) ||
+    a.employeeName.localeCompare(b.employeeName) ||
+    a.projectName.localeCompare(b.projectName);
+
+  return {
+    rows: [...rows.values()].sort(sortRows),
+    totals: [...periodTotals.values()].sort(sortRows)
+  };
+};
+
+// Export approved logs as a payroll timesheet (CSV or XLSX)
+exports.exportTimesheet = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const format = req.query.format || 'csv';
+    const groupBy = req.query.groupBy || 'day';
+    const columns = parseColumns(req.query.columns || payrollConfig.columns);
+
+    if (columns.length === 0) {
+      return res.status(400).json({
+        message: req.t('No valid columns selected. Available fields: {{fields}}', { fields: TIMESHEET_FIELDS.join(', ') })
+      });
+    }
+
+    // Only approved logs are exported to payroll
+    const filter = { ...(await buildLogFilter(req.query, req)), status: 'approved' };
+
+    const logs = await DailyLog.find(filter)
+      .populate('project', 'name')
+      .populate('employees.employee', 'fullName employeeId')
+      .sort({ date: 1 });
+
+    const { rows, totals } = aggregateTimesheet(logs, groupBy);
+    const filename = `timesheet-${moment().format('YYYYMMDD-HHmmss')}`;
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.Workbook();
+      const timesheetSheet = workbook.addWorksheet('Timesheet');
+      const totalsSheet = workbook.addWorksheet(groupBy === 'week' ? 'Weekly Totals' : 'Daily Totals');
+
+      [timesheetSheet, totalsSheet].forEach(sheet => {
+        sheet.columns = columns.map(column => ({
+          header: column.header,
+          key: column.key,
+          width: Math.max(column.header.length + 2, 14)
+        }));
+        sheet.getRow(1).font = { bold: true };
+      });
+
+      rows.forEach(row => timesheetSheet.addRow(row));
+      totals.forEach(row => totalsSheet.addRow(row));
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.xlsx`);
+
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    const csvRows = req.query.includeTotals === 'true' ? [...rows, ...totals] : rows;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.csv`);
+
+    return res.status(200).send(toCsv(columns, csvRows, payrollConfig.csvDelimiter));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while exporting the timesheet')
+    });
+  }
+};
+
+// Resolve the report date range, either from startDate/endDate or from a week/month period
+const resolveReportRange = (query) => {
+  if (query.period) {
+    const reference = query.date ? moment(query.date) : moment();
+    const unit = query.period === 'month' ? 'month' : 'isoWeek';
+
+    return {
+      ...query,
+      startDate: reference.clone().startOf(unit).toDate(),
+      endDate: reference.clone().endOf(unit).toDate()
+    };
+  }
+
+  return query;
+};
+
+// Aggregate the materials used across logs by name and unit
+const aggregateMaterials = (logs) => {
+  const materials = new Map();
+
+  logs.forEach(log => {
+    log.materialsUsed.forEach(material => {
+      const key = `${material.name.toLowerCase()}|${material.unit.toLowerCase()}`;
+      const entry = materials.get(key) || { name: material.name, unit: material.unit, quantity: 0, days: 0 };
+      entry.quantity = roundHours(entry.quantity + material.quantity);
+      entry.days += 1;
+      materials.set(key, entry);
+    });
+  });
+
+  return [...materials.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Aggregate the hours of every employee across logs
+const aggregateEmployeeHours = (logs) => {
+  const employees = new Map();
+
+  logs.forEach(log => {
+    log.employees.forEach(entry => {
+      if (entry.isAbsent || !entry.employee) {
+        return;
+      }
+
+      const key = entry.employee._id.toString();
+      if (!employees.has(key)) {
+        employees.set(key, createRow({ employeeName: entry.employee.fullName }));
+      }
+      addHours(employees.get(key), entry, toDayKey(log.date));
+    });
+  });
+
+  return [...employees.values()].sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+};
+
+// Everything an internal report shows
+const FULL_REPORT = {
+  issues: true,
+  employeeNames: true,
+  hours: true,
+  materials: true,
+  sharedPhotosOnly: false
+};
+
+// Write a consolidated report of the logs to a PDF document; the visibility
+// leaves out what clients may not see (see utils/clientPortal)
+const writeLogsReport = (doc, req, { logs, projects, rangeStart, rangeEnd, visibility = FULL_REPORT }) => {
+  const photosOf = log => (visibility.sharedPhotosOnly ? getSharedPhotos(log) : log.photos);
+
+  // Cover page
+  doc.fontSize(24).text(req.t('Project Work Report'), { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(14).text(`${req.formatDate(rangeStart, 'LL')} - ${req.formatDate(rangeEnd, 'LL')}`, { align: 'center' });
+  doc.moveDown(2);
+
+  projects.forEach(project => {
+    doc.fontSize(16).text(project.name);
+    doc.fontSize(12);
+    doc.text(`${req.t('Location')}: ${project.address}, ${project.city}, ${project.state} ${project.zipCode}`);
+    if (project.clientName) {
+      doc.text(`${req.t('Client')}: ${project.clientName}${project.clientContact ? ` (${project.clientContact})` : ''}`);
+    }
+    doc.text(`${req.t('Start Date')}: ${req.formatDate(project.startDate, 'LL')}`);
+    if (project.estimatedEndDate) {
+      doc.text(`${req.t('Estimated End Date')}: ${req.formatDate(project.estimatedEndDate, 'LL')}`);
+    }
+    doc.text(`${req.t('Status')}: ${req.t(project.status)}`);
+    if (project.description) {
+      doc.moveDown(0.5);
+      doc.text(project.description);
+    }
+    doc.moveDown();
+  });
+
+  doc.fontSize(14).text(req.t('Summary'));
+  doc.fontSize(12);
+  doc.text(`${req.t('Daily logs')}: ${logs.length}`);
+  if (visibility.hours) {
+    const totalHours = logs.reduce((summary, log) => ({
+      regularHours: roundHours(summary.regularHours + log.hoursSummary.regularHours),
+      overtimeHours: roundHours(summary.overtimeHours + log.hoursSummary.overtimeHours)
+    }), { regularHours: 0, overtimeHours: 0 });
+
+    doc.text(`${req.t('Regular hours')}: ${totalHours.regularHours}`);
+    doc.text(`${req.t('Overtime hours')}: ${totalHours.overtimeHours}`);
+  }
+  doc.text(`${req.t('Photos')}: ${logs.reduce((count, log) => count + photosOf(log).length, 0)}`);
+
+  // Daily logs table; hidden columns leave their width to the work description
+  const columns = [
+    { header: req.t('Date'), key: 'date', width: 0.13 },
+    { header: req.t('Project'), key: 'project', width: 0.15 },
+    { header: req.t('Team Leader'), key: 'teamLeader', width: 0.15, hidden: !visibility.employeeNames },
+    { header: req.t('Status'), key: 'status', width: 0.11 },
+    { header: req.t('Crew'), key: 'crew', width: 0.07 },
+    { header: req.t('Hours (Reg/OT)'), key: 'hours', width: 0.12, hidden: !visibility.hours }
+  ];
+  const shownColumns = columns.filter(column => !column.hidden);
+  shownColumns.push({
+    header: req.t('Work Description'),
+    key: 'workDescription',
+    width: 1 - shownColumns.reduce((width, column) => width + column.width, 0)
+  });
+
+  doc.addPage();
+  sectionTitle(doc, req.t('Daily Logs'));
+  drawTable(doc, shownColumns, logs.map(log => ({
+    date: req.formatDate(log.date, 'ddd L'),
+    project: log.project.name,
+    teamLeader: log.teamLeader.fullName,
+    status: req.t(log.status),
+    crew: log.employees.filter(entry => !entry.isAbsent).length,
+    hours: `${log.hoursSummary.regularHours} / ${log.hoursSummary.overtimeHours}`,
+    workDescription: log.workDescription
+  })));
+
+  // Aggregated hours per employee
+  const employeeHours = visibility.employeeNames && visibility.hours ? aggregateEmployeeHours(logs) : [];
+  if (employeeHours.length > 0) {
+    sectionTitle(doc, req.t('Hours by Employee'));
+    drawTable(doc, [
+      { header: req.t('Employee'), key: 'employeeName', width: 0.36 },
+      { header: req.t('Days'), key: 'daysWorked', width: 0.1 },
+      { header: req.t('Regular'), key: 'regularHours', width: 0.18 },
+      { header: req.t('Overtime'), key: 'overtimeHours', width: 0.18 },
+      { header: req.t('Total'), key: 'totalHours', width: 0.18 }
+    ], employeeHours);
+  }
+
+  // Aggregated materials
+  const materials = visibility.materials ? aggregateMaterials(logs) : [];
+  if (materials.length > 0) {
+    sectionTitle(doc, req.t('Materials Used'));
+    drawTable(doc, [
+      { header: req.t('Material'), key: 'name', width: 0.46 },
+      { header: req.t('Quantity'), key: 'quantity', width: 0.18 },
+      { header: req.t('Unit'), key: 'unit', width: 0.18 },
+      { header: req.t('Days Used'), key: 'days', width: 0.18 }
+    ], materials);
+  }
+
+  // Issues list
+  const logsWithIssues = visibility.issues ? logs.filter(log => log.issuesEncountered) : [];
+  if (logsWithIssues.length > 0) {
+    sectionTitle(doc, req.t('Issues Encountered'));
+    logsWithIssues.forEach(log => {
+      ensureSpace(doc, 40);
+      doc.fontSize(10).text(`${req.formatDate(log.date, 'LL')} - ${log.project.name}`, { underline: true });
+      doc.text(log.issuesEncountered);
+      doc.moveDown(0.5);
+    });
+  }
+
+  // Photo thumbnails grouped by log
+  const logsWithPhotos = logs.filter(log => photosOf(log).length > 0);
+  if (logsWithPhotos.length > 0) {
+    const thumbWidth = 150;
+    const thumbHeight = 110;
+    const gap = (contentWidth(doc) - thumbWidth * 3) / 2;
+
+    doc.addPage();
+    sectionTitle(doc, req.t('Photos'));
+
+    logsWithPhotos.forEach(log => {
+      ensureSpace(doc, thumbHeight + 50);
+      doc.fontSize(11).text(`${req.formatDate(log.date, 'LL')} - ${log.project.name}`);
+      doc.moveDown(0.3);
+
+      let column = 0;
+      let rowTop = doc.y;
+
+      photosOf(log).forEach(photo => {
+        if (column === 0 && ensureSpace(doc, thumbHeight + 30)) {
+          rowTop = doc.y;
+        }
+
+        // Right-to-left documents fill each row of thumbnails from the right
+        const position = doc.rtl ? 2 - column : column;
+        const x = doc.page.margins.left + position * (thumbWidth + gap);
+        if (!drawImage(doc, photo.path, x, rowTop, [thumbWidth, thumbHeight])) {
+          doc.rect(x, rowTop, thumbWidth, thumbHeight).stroke();
+          doc.fontSize(8).text(req.t('Image unavailable'), x, rowTop + thumbHeight / 2 - 4, { width: thumbWidth, align: 'center' });
+        }
+        doc.fontSize(8).text(photo.description || photo.originalName, x, rowTop + thumbHeight + 4, {
+          width: thumbWidth,
+          height: 20,
+          ellipsis: true
+        });
+
+        column = (column + 1) % 3;
+        if (column === 0) {
+          doc.x = doc.page.margins.left;
+          doc.y = rowTop + thumbHeight + 28;
+          rowTop = doc.y;
+        }
+      });
+
+      doc.x = doc.page.margins.left;
+      doc.y = column === 0 ? rowTop : rowTop + thumbHeight + 28;
+      doc.moveDown();
+    });
+  }
+
+  // Footer with page numbers
+  addPageFooters(doc, `${req.t('Generated on')}: ${req.formatDate(new Date(), 'LLL')}`, req.t);
+};
+
+// Send a consolidated report as a PDF download
+const sendLogsReport = (req, res, report) => {
+  // Create a PDF document
+  const doc = createPdfDocument(req.locale, { bufferPages: true });
+
+  // Set response headers
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=work-report-${report.rangeStart.format('YYYYMMDD')}-${report.rangeEnd.format('YYYYMMDD')}.pdf`);
+
+  // Pipe PDF to response
+  doc.pipe(res);
+
+  writeLogsReport(doc, req, report);
+
+  // Finalize PDF
+  doc.end();
+};
+
+// Export a consolidated multi-log PDF report (weekly, monthly or any date range)
+exports.exportLogsReportPdf = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const query = resolveReportRange(req.query);
+    const filter = await buildLogFilter(query, req);
+
+    const logs = await DailyLog.find(filter)
+      .populate('teamLeader', 'fullName')
+      .populate('project', 'name')
+      .populate('employees.employee', 'fullName')
+      .sort({ date: 1 });
+
+    if (logs.length === 0) {
+      return res.status(404).json({
+        message: req.t('No logs found for the selected filters')
+      });
+    }
+
+    // Load full project details for the cover page
+    const projectIds = [...new Set(logs.map(log => log.project._id.toString()))];
+    const projects = await Project.find({ _id: { $in: projectIds } }).sort({ name: 1 });
+
+    return sendLogsReport(req, res, {
+      logs,
+      projects,
+      rangeStart: query.startDate ? moment(query.startDate) : moment(logs[0].date),
+      rangeEnd: query.endDate ? moment(query.endDate) : moment(logs[logs.length - 1].date)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while exporting the report')
+    });
+  }
+};
+
+// Export the consolidated report of the approved logs of a shared project (client portal)
+exports.exportSharedReportPdf = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const query = resolveReportRange(req.query);
+    const logs = await DailyLog.find(buildSharedLogFilter(req.project, query))
+      .populate('teamLeader', 'fullName')
+      .populate('project', 'name')
+      .populate('employees.employee', 'fullName')
+      .sort({ date: 1 });
+
+    if (logs.length === 0) {
+      return res.status(404).json({
+        message: req.t('No logs found for the selected filters')
+      });
+    }
+
+    // The client's contact details stay internal
+    const project = req.project.toObject();
+    delete project.clientContact;
+
+    return sendLogsReport(req, res, {
+      logs,
+      projects: [project],
+      rangeStart: query.startDate ? moment(query.startDate) : moment(logs[0].date),
+      rangeEnd: query.endDate ? moment(query.endDate) : moment(logs[logs.length - 1].date),
+      visibility: getPortalVisibility(req.project)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while exporting the report')
+    });
+  }
+};
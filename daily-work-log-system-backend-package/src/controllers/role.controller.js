@@ -0,0 +1,154 @@
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+const Invitation = require('../models/invitation.model');
+const permissionsConfig = require('../config/permissions.config');
+const { validationResult } = require('express-validator');
+const { loadRoles } = require('../utils/permissions');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+
+// Get all roles with the number of users in each
+exports.getRoles = async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    return res.status(200).json(roles.map(role => ({
+      ...role.toObject(),
+      userCount: (counts.find(count => count._id === role.name) || { count: 0 }).count
+    })));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving roles')
+    });
+  }
+};
+
+// List the permissions roles can be built from
+exports.getPermissions = (req, res) => {
+  return res.status(200).json(Object.keys(permissionsConfig.PERMISSIONS).map(name => ({
+    name,
+    description: req.t(permissionsConfig.PERMISSIONS[name])
+  })));
+};
+
+// Create a role
+exports.createRole = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existingRole = await Role.findOne({ name: req.body.name });
+    if (existingRole) {
+      return res.status(400).json({
+        message: req.t('A role with this name already exists')
+      });
+    }
+
+    const role = await Role.create({
+      name: req.body.name,
+      description: req.body.description,
+      permissions: [...new Set(req.body.permissions)]
+    });
+    await loadRoles(true);
+
+    await recordAudit(req, 'role_created', { entityType: 'Role', entityId: role._id, after: role });
+
+    return res.status(201).json(role);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while creating the role')
+    });
+  }
+};
+
+// Update the description and permissions of a role (its name cannot change)
+exports.updateRole = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        message: req.t('Role not found')
+      });
+    }
+
+    // The administrator role always keeps every permission, so the system cannot be locked out
+    if (role.name === permissionsConfig.adminRole && req.body.permissions !== undefined) {
+      return res.status(400).json({
+        message: req.t('The permissions of the administrator role cannot be changed')
+      });
+    }
+
+    const before = toSnapshot(role);
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    if (req.body.permissions !== undefined) {
+      role.permissions = [...new Set(req.body.permissions)];
+    }
+    await role.save();
+    await loadRoles(true);
+
+    await recordAudit(req, 'role_updated', { entityType: 'Role', entityId: role._id, before, after: role });
+
+    return res.status(200).json(role);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating the role')
+    });
+  }
+};
+
+// Delete a role that is neither built in nor in use
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        message: req.t('Role not found')
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        message: req.t('Built-in roles cannot be deleted')
+      });
+    }
+
+    const [users, invitations] = await Promise.all([
+      User.countDocuments({ role: role.name }),
+      Invitation.countDocuments({ role: role.name, acceptedAt: null, revokedAt: null })
+    ]);
+
+    if (users > 0 || invitations > 0) {
+      return res.status(400).json({
+        message: req.t('The role is assigned to users or pending invitations')
+      });
+    }
+
+    await role.deleteOne();
+    await loadRoles(true);
+
+    await recordAudit(req, 'role_deleted', { entityType: 'Role', entityId: role._id, before: role });
+
+    return res.status(200).json({
+      message: req.t('Role deleted successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while deleting the role')
+    });
+  }
+};
@@ -0,0 +1,265 @@
+const ShareLink = require('../models/shareLink.model');
+const Project = require('../models/project.model');
+const DailyLog = require('../models/dailyLog.model');
+const fs = require('fs');
+const path = require('path');
+const authConfig = require('../config/auth.config');
+const mailConfig = require('../config/mail.config');
+const { validationResult } = require('express-validator');
+const { createSecret, hashToken } = require('../utils/tokens');
+const { recordAudit, toSnapshot } = require('../utils/audit');
+const { getPortalVisibility, buildSharedLogFilter, getSharedPhotos, redactLog } = require('../utils/clientPortal');
+
+// Client portal settings that can be changed
+const PORTAL_SETTINGS = ['showIssues', 'showEmployeeNames', 'showHours', 'showMaterials'];
+
+// Share link as returned by the API, with its status
+const toResponse = (shareLink) => ({
+  ...shareLink.toObject(),
+  status: shareLink.revokedAt ? 'revoked' : (shareLink.isActive() ? 'active' : 'expired')
+});
+
+// Logs of the shared project, newest first
+const findSharedLogs = req => DailyLog.find(buildSharedLogFilter(req.project, req.query))
+  .populate('teamLeader', 'fullName')
+  .populate('employees.employee', 'fullName')
+  .sort({ date: -1 });
+
+// Get the share links of a project
+exports.getShareLinks = async (req, res) => {
+  try {
+    const shareLinks = await ShareLink.find({ project: req.params.id })
+      .populate('createdBy', 'fullName')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json(shareLinks.map(toResponse));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving share links')
+    });
+  }
+};
+
+// Create a share link to the client portal of a project; the link is only returned once
+exports.createShareLink = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    const days = req.body.expiresInDays ? parseInt(req.body.expiresInDays, 10) : authConfig.shareLinkDays;
+    const token = createSecret();
+
+    const shareLink = await ShareLink.create({
+      project: project._id,
+      tokenHash: hashToken(token),
+      label: req.body.label,
+      createdBy: req.userId,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAudit(req, 'share_link_created', { entityType: 'ShareLink', entityId: shareLink._id, after: shareLink, details: { days } });
+
+    return res.status(201).json({
+      message: req.t('Share link created successfully'),
+      shareLink: toResponse(shareLink),
+      url: `${mailConfig.appUrl}/share/${token}`,
+      token
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while creating the share link')
+    });
+  }
+};
+
+// Revoke a share link of a project
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const shareLink = await ShareLink.findOne({ _id: req.params.linkId, project: req.params.id });
+
+    if (!shareLink) {
+      return res.status(404).json({
+        message: req.t('Share link not found')
+      });
+    }
+
+    if (!shareLink.revokedAt) {
+      shareLink.revokedAt = new Date();
+      await shareLink.save();
+      await recordAudit(req, 'share_link_revoked', { entityType: 'ShareLink', entityId: shareLink._id, details: { project: shareLink.project } });
+    }
+
+    return res.status(200).json({
+      message: req.t('Share link revoked successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while revoking the share link')
+    });
+  }
+};
+
+// Choose which internal details of a project its clients see
+exports.updatePortalSettings = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        message: req.t('Project not found')
+      });
+    }
+
+    const before = toSnapshot(project.clientPortal);
+    PORTAL_SETTINGS.forEach(setting => {
+      if (req.body[setting] !== undefined) {
+        project.clientPortal[setting] = req.body[setting];
+      }
+    });
+    await project.save();
+
+    await recordAudit(req, 'client_portal_updated', {
+      entityType: 'Project',
+      entityId: project._id,
+      before,
+      after: project.clientPortal
+    });
+
+    return res.status(200).json({
+      message: req.t('Client portal settings updated successfully'),
+      clientPortal: project.clientPortal
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating the client portal settings')
+    });
+  }
+};
+
+// Get the shared project (client portal)
+exports.getSharedProject = async (req, res) => {
+  try {
+    const project = req.project;
+
+    return res.status(200).json({
+      project: {
+        name: project.name,
+        address: project.address,
+        city: project.city,
+        state: project.state,
+        zipCode: project.zipCode,
+        clientName: project.clientName,
+        startDate: project.startDate,
+        estimatedEndDate: project.estimatedEndDate,
+        actualEndDate: project.actualEndDate,
+        status: project.status,
+        description: project.description
+      },
+      expiresAt: req.shareLink.expiresAt
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the project')
+    });
+  }
+};
+
+// Get the approved logs of the shared project, redacted for the client (client portal)
+exports.getSharedLogs = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const visibility = getPortalVisibility(req.project);
+    const logs = await findSharedLogs(req);
+
+    return res.status(200).json(logs.map(log => redactLog(log, visibility)));
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving logs')
+    });
+  }
+};
+
+// Get the photos selected for the client from the approved logs of the shared project (client portal)
+exports.getSharedPhotos = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const logs = await findSharedLogs(req);
+
+    const photos = [];
+    logs.forEach(log => {
+      getSharedPhotos(log).forEach(photo => {
+        photos.push({
+          _id: photo._id,
+          log: log._id,
+          date: log.date,
+          path: photo.path,
+          description: photo.description,
+          uploadedAt: photo.uploadedAt
+        });
+      });
+    });
+
+    return res.status(200).json(photos);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving photos')
+    });
+  }
+};
+
+// Download a photo selected for the client (client portal)
+exports.getSharedPhotoFile = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const log = await DailyLog.findOne({
+      ...buildSharedLogFilter(req.project, {}),
+      'photos._id': req.params.photoId
+    });
+    const photo = log && log.photos.id(req.params.photoId);
+    const filePath = photo && photo.sharedWithClient && path.join(__dirname, '..', photo.path);
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        message: req.t('File not found')
+      });
+    }
+
+    return res.sendFile(filePath);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the file')
+    });
+  }
+};
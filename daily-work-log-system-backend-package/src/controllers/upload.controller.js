@@ -1,6 +1,10 @@
 const DailyLog = require('../models/dailyLog.model');
 const fs = require('fs');
 const path = require('path');
+const { validationResult } = require('express-validator');
+const { canAccessProject, canViewLog, canManageLog } = require('../utils/projectAccess');
+const { recordAudit } = require('../utils/audit');
+const { createSnapshot, recordRevision } = require('../utils/logHistory');
 
 // Upload photos to a daily log
 exports.uploadPhotos = async (req, res) => {
@@ -8,7 +12,7 @@ exports.uploadPhotos = async (req, res) => {
     // Check if files were uploaded
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
-        message: 'No photos uploaded'
+        message: req.t('No photos uploaded')
       });
     }
 
@@ -22,19 +26,19 @@ exports.uploadPhotos = async (req, res) => {
       });
       
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
-    // Check if user is authorized (must be the team leader or a manager)
-    if (req.userRole !== 'Manager' && log.teamLeader.toString() !== req.userId) {
+    // Check if user is authorized (must be the team leader or allowed to manage the project's logs)
+    if (!await canManageLog(req, log)) {
       // Delete uploaded files if not authorized
       req.files.forEach(file => {
         fs.unlinkSync(file.path);
       });
       
       return res.status(403).json({
-        message: 'You are not authorized to upload photos to this log'
+        message: req.t('You are not authorized to upload photos to this log')
       });
     }
 
@@ -46,7 +50,7 @@ exports.uploadPhotos = async (req, res) => {
       });
       
       return res.status(400).json({
-        message: 'Cannot upload photos to an approved log'
+        message: req.t('Cannot upload photos to an approved log')
       });
     }
 
@@ -57,11 +61,15 @@ exports.uploadPhotos = async (req, res) => {
       uploadedAt: new Date()
     }));
 
+    const previousSnapshot = createSnapshot(log);
     log.photos = [...log.photos, ...photos];
     await log.save();
+    await recordRevision(log, 'add_photos', req.userId, previousSnapshot);
+
+    await recordAudit(req, 'log_photos_uploaded', { entityType: 'DailyLog', entityId: log._id, after: { photos } });
 
     return res.status(200).json({
-      message: 'Photos uploaded successfully',
+      message: req.t('Photos uploaded successfully'),
       photos: photos
     });
   } catch (error) {
@@ -73,7 +81,7 @@ exports.uploadPhotos = async (req, res) => {
     }
     
     return res.status(500).json({
-      message: error.message || 'Some error occurred while uploading photos'
+      message: error.message || req.t('Some error occurred while uploading photos')
     });
   }
 };
@@ -84,7 +92,7 @@ exports.uploadDocuments = async (req, res) => {
     // Check if files were uploaded
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
-        message: 'No documents uploaded'
+        message: req.t('No documents uploaded')
       });
     }
 
@@ -98,19 +106,19 @@ exports.uploadDocuments = async (req, res) => {
       });
       
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
-    // Check if user is authorized (must be the team leader or a manager)
-    if (req.userRole !== 'Manager' && log.teamLeader.toString() !== req.userId) {
+    // Check if user is authorized (must be the team leader or allowed to manage the project's logs)
+    if (!await canManageLog(req, log)) {
       // Delete uploaded files if not authorized
       req.files.forEach(file => {
         fs.unlinkSync(file.path);
       });
       
       return res.status(403).json({
-        message: 'You are not authorized to upload documents to this log'
+        message: req.t('You are not authorized to upload documents to this log')
       });
     }
 
@@ -122,7 +130,7 @@ exports.uploadDocuments = async (req, res) => {
       });
       
       return res.status(400).json({
-        message: 'Cannot upload documents to an approved log'
+        message: req.t('Cannot upload documents to an approved log')
       });
     }
 
@@ -143,11 +151,15 @@ exports.uploadDocuments = async (req, res) => {
       uploadedAt: new Date()
     }));
 
+    const previousSnapshot = createSnapshot(log);
     log.documents = [...log.documents, ...documents];
     await log.save();
+    await recordRevision(log, 'add_documents', req.userId, previousSnapshot);
+
+    await recordAudit(req, 'log_documents_uploaded', { entityType: 'DailyLog', entityId: log._id, after: { documents } });
 
     return res.status(200).json({
-      message: 'Documents uploaded successfully',
+      message: req.t('Documents uploaded successfully'),
       documents: documents
     });
   } catch (error) {
@@ -159,7 +171,60 @@ exports.uploadDocuments = async (req, res) => {
     }
     
     return res.status(500).json({
-      message: error.message || 'Some error occurred while uploading documents'
+      message: error.message || req.t('Some error occurred while uploading documents')
+    });
+  }
+};
+
+// Download a file (photo or document) of a log the user may view; uploads are not served publicly
+exports.getFile = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { logId, fileType, fileId } = req.params;
+
+    // Validate file type
+    if (fileType !== 'photos' && fileType !== 'documents') {
+      return res.status(400).json({
+        message: req.t('Invalid file type')
+      });
+    }
+
+    // Find the log
+    const log = await DailyLog.findById(logId);
+
+    if (!log) {
+      return res.status(404).json({
+        message: req.t('Log not found')
+      });
+    }
+
+    if (!await canViewLog(req, log)) {
+      return res.status(403).json({
+        message: req.t('You are not authorized to view this log')
+      });
+    }
+
+    const file = log[fileType].id(fileId);
+    const filePath = file && path.join(__dirname, '..', file.path);
+
+    if (!file || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        message: req.t('File not found')
+      });
+    }
+
+    // Photos are shown inline, documents are downloaded under their original name
+    return fileType === 'photos'
+      ? res.sendFile(filePath)
+      : res.download(filePath, file.originalName);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while retrieving the file')
     });
   }
 };
@@ -172,7 +237,7 @@ exports.deleteFile = async (req, res) => {
     // Validate file type
     if (fileType !== 'photos' && fileType !== 'documents') {
       return res.status(400).json({
-        message: 'Invalid file type'
+        message: req.t('Invalid file type')
       });
     }
 
@@ -181,21 +246,25 @@ exports.deleteFile = async (req, res) => {
     
     if (!log) {
       return res.status(404).json({
-        message: 'Log not found'
+        message: req.t('Log not found')
       });
     }
 
-    // Check if user is authorized (must be the team leader or a manager)
-    if (req.userRole !== 'Manager' && log.teamLeader.toString() !== req.userId) {
+    // Check if user is authorized (must be the team leader or allowed to manage the project's logs)
+    if (!await canManageLog(req, log)) {
       return res.status(403).json({
-        message: `You are not authorized to delete ${fileType} from this log`
+        message: req.t(fileType === 'photos'
+          ? 'You are not authorized to delete photos from this log'
+          : 'You are not authorized to delete documents from this log')
       });
     }
 
     // Check if log is already approved
     if (log.status === 'approved') {
       return res.status(400).json({
-        message: `Cannot delete ${fileType} from an approved log`
+        message: req.t(fileType === 'photos'
+          ? 'Cannot delete photos from an approved log'
+          : 'Cannot delete documents from an approved log')
       });
     }
 
@@ -205,12 +274,13 @@ exports.deleteFile = async (req, res) => {
     
     if (fileIndex === -1) {
       return res.status(404).json({
-        message: 'File not found'
+        message: req.t('File not found')
       });
     }
 
     // Get file path
-    const filePath = path.join(__dirname, '..', files[fileIndex].path);
+    const file = files[fileIndex].toObject();
+    const filePath = path.join(__dirname, '..', file.path);
 
     // Delete file from disk if it exists
     if (fs.existsSync(filePath)) {
@@ -218,6 +288,7 @@ exports.deleteFile = async (req, res) => {
     }
 
     // Remove file from log
+    const previousSnapshot = createSnapshot(log);
     if (fileType === 'photos') {
       log.photos.splice(fileIndex, 1);
     } else {
@@ -225,13 +296,66 @@ exports.deleteFile = async (req, res) => {
     }
 
     await log.save();
+    await recordRevision(log, 'delete_file', req.userId, previousSnapshot);
+
+    await recordAudit(req, 'log_file_deleted', { entityType: 'DailyLog', entityId: log._id, before: { [fileType]: [file] } });
+
+    return res.status(200).json({
+      message: req.t('File deleted successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while deleting the file')
+    });
+  }
+};
+
+// Select a photo for (or remove it from) the client portal of the log's project
+exports.setPhotoShared = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const log = await DailyLog.findById(req.params.logId);
+
+    if (!log || !await canAccessProject(req, log.project)) {
+      return res.status(404).json({
+        message: req.t('Log not found')
+      });
+    }
+
+    const photo = log.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        message: req.t('File not found')
+      });
+    }
+
+    // Update the photo only, approved logs are not validated (and their hours recalculated) again
+    await DailyLog.updateOne(
+      { _id: log._id, 'photos._id': req.params.photoId },
+      { $set: { 'photos.$.sharedWithClient': req.body.shared } }
+    );
+
+    const previousSnapshot = createSnapshot(log);
+    photo.sharedWithClient = req.body.shared;
+    await recordRevision(log, 'share_photo', req.userId, previousSnapshot);
+
+    await recordAudit(req, req.body.shared ? 'log_photo_shared' : 'log_photo_unshared', {
+      entityType: 'DailyLog',
+      entityId: log._id,
+      details: { photo: photo._id, path: photo.path }
+    });
 
     return res.status(200).json({
-      message: 'File deleted successfully'
+      message: req.t(req.body.shared ? 'Photo shared with the client' : 'Photo no longer shared with the client')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while deleting the file'
+      message: error.message || req.t('Some error occurred while updating the photo')
     });
   }
 };
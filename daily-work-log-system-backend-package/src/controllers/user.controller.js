@@ -1,26 +1,33 @@
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { recordAudit } = require('../utils/audit');
+const { getRolesWithPermission } = require('../utils/permissions');
 const { validationResult } = require('express-validator');
 
-// Get all users (managers only)
+// A super-admin account reaches every company, so only another super-admin may change it
+const isProtectedUser = (req, user) => user.isSuperAdmin && !req.isSuperAdmin;
+
+// Get all users
 exports.getAllUsers = async (req, res) => {
   try {
     const users = await User.find().select('-password');
     return res.status(200).json(users);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving users'
+      message: error.message || req.t('Some error occurred while retrieving users')
     });
   }
 };
 
-// Get team leaders (for manager dashboard)
+// Get team leaders (users who write daily logs)
 exports.getTeamLeaders = async (req, res) => {
   try {
-    const teamLeaders = await User.find({ role: 'Team Leader' }).select('-password');
+    const roles = await getRolesWithPermission('logs:write');
+    const teamLeaders = await User.find({ role: { $in: roles } }).select('-password');
     return res.status(200).json(teamLeaders);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving team leaders'
+      message: error.message || req.t('Some error occurred while retrieving team leaders')
     });
   }
 };
@@ -32,19 +39,19 @@ exports.getUserById = async (req, res) => {
     
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
       });
     }
     
     return res.status(200).json(user);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while retrieving the user'
+      message: error.message || req.t('Some error occurred while retrieving the user')
     });
   }
 };
 
-// Create a new user (managers only)
+// Create a new user
 exports.createUser = async (req, res) => {
   try {
     // Validate request
@@ -53,11 +60,11 @@ exports.createUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    // Check if email already exists
-    const existingUser = await User.findOne({ email: req.body.email });
+    // Check if email already exists (in any company)
+    const existingUser = await User.findOne({ email: req.body.email }).setOptions({ allTenants: true });
     if (existingUser) {
       return res.status(400).json({
-        message: 'Email is already in use'
+        message: req.t('Email is already in use')
       });
     }
     
@@ -68,11 +75,14 @@ exports.createUser = async (req, res) => {
       password: req.body.password,
       role: req.body.role,
       phone: req.body.phone,
+      locale: req.body.locale,
       isActive: req.body.isActive !== undefined ? req.body.isActive : true
     });
     
     // Save user to database
     const savedUser = await user.save();
+
+    await recordAudit(req, 'user_created', { targetUser: user._id, entityType: 'User', entityId: user._id, after: savedUser });
     
     // Return user without password
     const userResponse = savedUser.toObject();
@@ -81,7 +91,7 @@ exports.createUser = async (req, res) => {
     return res.status(201).json(userResponse);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while creating the user'
+      message: error.message || req.t('Some error occurred while creating the user')
     });
   }
 };
@@ -95,16 +105,16 @@ exports.updateUser = async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    // Check if email is being changed and already exists
+    // Check if email is being changed and already exists (in any company)
     if (req.body.email) {
       const existingUser = await User.findOne({ 
         email: req.body.email,
         _id: { $ne: req.params.id }
-      });
+      }).setOptions({ allTenants: true });
       
       if (existingUser) {
         return res.status(400).json({
-          message: 'Email is already in use'
+          message: req.t('Email is already in use')
         });
       }
     }
@@ -115,6 +125,7 @@ exports.updateUser = async (req, res) => {
       email: req.body.email,
       role: req.body.role,
       phone: req.body.phone,
+      locale: req.body.locale,
       isActive: req.body.isActive
     };
     
@@ -130,69 +141,188 @@ exports.updateUser = async (req, res) => {
       }
     });
     
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-password');
+    const user = await User.findById(req.params.id);
     
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
+      });
+    }
+
+    if (isProtectedUser(req, user)) {
+      return res.status(403).json({
+        message: req.t('You do not have permission to perform this action')
       });
     }
+
+    // Saved as a document so a new password is hashed (see the User pre-save hook)
+    const previous = user.toObject();
+    user.set(updateData);
+    await user.save();
+
+    await recordAudit(req, 'user_updated', {
+      targetUser: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      before: previous,
+      after: user,
+      details: updateData.password ? { passwordChanged: true } : undefined
+    });
+
+    // Sign the user out everywhere when deactivated or given a new password
+    if (updateData.isActive === false) {
+      await Session.revokeAllForUser(user._id, 'user_deactivated');
+    } else if (updateData.password) {
+      await Session.revokeAllForUser(user._id, 'password_changed');
+    }
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
     
-    return res.status(200).json(user);
+    return res.status(200).json(userResponse);
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating the user'
+      message: error.message || req.t('Some error occurred while updating the user')
     });
   }
 };
 
-// Delete a user (managers only)
+// Delete a user
 exports.deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
     
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
       });
     }
+
+    if (isProtectedUser(req, user)) {
+      return res.status(403).json({
+        message: req.t('You do not have permission to perform this action')
+      });
+    }
+
+    await user.deleteOne();
+    await Session.deleteMany({ user: user._id });
+
+    await recordAudit(req, 'user_deleted', { targetUser: user._id, entityType: 'User', entityId: user._id, before: user });
     
     return res.status(200).json({
-      message: 'User deleted successfully'
+      message: req.t('User deleted successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while deleting the user'
+      message: error.message || req.t('Some error occurred while deleting the user')
     });
   }
 };
 
-// Toggle user active status (managers only)
+// Toggle user active status
 exports.toggleUserStatus = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
     if (!user) {
       return res.status(404).json({
-        message: 'User not found'
+        message: req.t('User not found')
       });
     }
-    
+
+    if (isProtectedUser(req, user)) {
+      return res.status(403).json({
+        message: req.t('You do not have permission to perform this action')
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
+
+    // A deactivated user loses all sessions immediately
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'user_deactivated');
+    }
+
+    await recordAudit(req, user.isActive ? 'user_activated' : 'user_deactivated', {
+      targetUser: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive }
+    });
     
     return res.status(200).json({
       id: user._id,
       isActive: user.isActive,
-      message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`
+      message: req.t(user.isActive ? 'User activated successfully' : 'User deactivated successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while updating user status')
+    });
+  }
+};
+
+// Unlock an account locked after failed logins
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: req.t('User not found')
+      });
+    }
+
+    const wasLocked = user.isLocked();
+    await user.resetLoginAttempts();
+
+    await recordAudit(req, 'account_unlocked', { targetUser: user._id, entityType: 'User', entityId: user._id, details: { wasLocked } });
+
+    return res.status(200).json({
+      id: user._id,
+      message: req.t('User account unlocked successfully')
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while unlocking the user')
+    });
+  }
+};
+
+// Reset a user's two-factor authentication, e.g. after a lost phone
+exports.resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        message: req.t('User not found')
+      });
+    }
+
+    if (isProtectedUser(req, user)) {
+      return res.status(403).json({
+        message: req.t('You do not have permission to perform this action')
+      });
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    // The user signs in again and enrolls a new device
+    await Session.revokeAllForUser(user._id, 'two_factor_reset');
+
+    await recordAudit(req, 'two_factor_reset', { targetUser: user._id, entityType: 'User', entityId: user._id });
+
+    return res.status(200).json({
+      id: user._id,
+      message: req.t('Two-factor authentication reset successfully')
     });
   } catch (error) {
     return res.status(500).json({
-      message: error.message || 'Some error occurred while updating user status'
+      message: error.message || req.t('Some error occurred while resetting two-factor authentication')
     });
   }
 };
@@ -0,0 +1,504 @@
+// Hebrew translations, keyed by the English phrase
+module.exports = {
+  // Authentication
+  'No token provided': 'לא סופק אסימון הזדהות',
+  'Unauthorized - Invalid token': 'אין הרשאה - אסימון לא תקין',
+  'You do not have permission to perform this action': 'אין לך הרשאה לבצע פעולה זו',
+  'Email is already in use': 'כתובת הדוא"ל כבר בשימוש',
+  'Registration is closed. Ask a manager for an invitation.': 'ההרשמה סגורה. נא לבקש הזמנה ממנהל.',
+  'Invalid bootstrap token': 'אסימון ההקמה שגוי',
+  'The first account can only be created with the bootstrap token configured on the server': 'ניתן ליצור את החשבון הראשון רק עם אסימון ההקמה שהוגדר בשרת',
+  'User registered successfully': 'המשתמש נרשם בהצלחה',
+  'User not found': 'המשתמש לא נמצא',
+  'Account is inactive. Please contact an administrator.': 'החשבון אינו פעיל. נא לפנות למנהל המערכת.',
+  'Your company is inactive. Please contact an administrator.': 'החברה שלך אינה פעילה. נא לפנות למנהל המערכת.',
+  'Invalid email or password': 'כתובת דוא"ל או סיסמה שגויים',
+  'Too many failed login attempts. Please try again later.': 'יותר מדי ניסיונות התחברות כושלים. נא לנסות שוב מאוחר יותר.',
+  'Too many password reset requests. Please try again later.': 'יותר מדי בקשות לאיפוס סיסמה. נא לנסות שוב מאוחר יותר.',
+  'Current password is incorrect': 'הסיסמה הנוכחית שגויה',
+  'Password changed successfully': 'הסיסמה שונתה בהצלחה',
+  'Language changed successfully': 'השפה שונתה בהצלחה',
+  'Some error occurred while registering the user': 'אירעה שגיאה בעת רישום המשתמש',
+  'Some error occurred during login': 'אירעה שגיאה בעת ההתחברות',
+  'Some error occurred while retrieving user profile': 'אירעה שגיאה בעת טעינת פרופיל המשתמש',
+  'Some error occurred while changing password': 'אירעה שגיאה בעת שינוי הסיסמה',
+  'Some error occurred while changing the language': 'אירעה שגיאה בעת שינוי השפה',
+
+  'Refresh token is required': 'נדרש אסימון רענון',
+  'Invalid refresh token': 'אסימון רענון לא תקין',
+  'Session has expired or was revoked': 'תוקף ההתחברות פג או שהיא בוטלה',
+  'Stream ticket is invalid or has expired': 'כרטיס הזרם אינו תקין או שתוקפו פג',
+  'Some error occurred while creating the stream ticket': 'אירעה שגיאה בעת יצירת כרטיס הזרם',
+  'Session not found': 'ההתחברות לא נמצאה',
+  'Session revoked successfully': 'ההתחברות בוטלה בהצלחה',
+  'Logged out successfully': 'התנתקת בהצלחה',
+  'Logged out of all devices': 'התנתקת מכל המכשירים',
+  'Some error occurred during logout': 'אירעה שגיאה בעת ההתנתקות',
+  'Some error occurred while refreshing the session': 'אירעה שגיאה בעת חידוש ההתחברות',
+  'Some error occurred while retrieving sessions': 'אירעה שגיאה בעת טעינת ההתחברויות',
+  'Some error occurred while revoking the session': 'אירעה שגיאה בעת ביטול ההתחברות',
+  'Some error occurred while verifying the session': 'אירעה שגיאה בעת אימות ההתחברות',
+
+  'Reset token is required': 'נדרש אסימון איפוס',
+  'If an account exists for this email, a password reset link has been sent': 'אם קיים חשבון עם כתובת דוא"ל זו, נשלח אליה קישור לאיפוס הסיסמה',
+  'Password reset link is invalid or has expired': 'הקישור לאיפוס הסיסמה אינו תקין או שפג תוקפו',
+  'Password has been reset. Please log in with your new password.': 'הסיסמה אופסה. נא להתחבר עם הסיסמה החדשה.',
+  'Some error occurred while requesting a password reset': 'אירעה שגיאה בעת בקשת איפוס הסיסמה',
+  'Some error occurred while resetting the password': 'אירעה שגיאה בעת איפוס הסיסמה',
+
+  'Login challenge is required': 'נדרש אסימון שלב ההתחברות',
+  'Login challenge has expired. Please log in again.': 'תוקף שלב ההתחברות פג. נא להתחבר מחדש.',
+  'Authentication code is required': 'נדרש קוד אימות',
+  'Authentication code or recovery code is required': 'נדרש קוד אימות או קוד שחזור',
+  'Invalid authentication code': 'קוד אימות שגוי',
+  'Start two-factor authentication setup first': 'יש להתחיל תחילה את הגדרת האימות הדו-שלבי',
+  'Two-factor authentication enabled': 'האימות הדו-שלבי הופעל',
+  'Two-factor authentication disabled': 'האימות הדו-שלבי בוטל',
+  'Two-factor authentication is already enabled': 'האימות הדו-שלבי כבר מופעל',
+  'Two-factor authentication is not enabled': 'האימות הדו-שלבי אינו מופעל',
+  'Two-factor authentication is required for your role': 'אימות דו-שלבי הוא חובה עבור התפקיד שלך',
+  'Some error occurred while setting up two-factor authentication': 'אירעה שגיאה בעת הגדרת האימות הדו-שלבי',
+  'Some error occurred while enabling two-factor authentication': 'אירעה שגיאה בעת הפעלת האימות הדו-שלבי',
+  'Some error occurred while disabling two-factor authentication': 'אירעה שגיאה בעת ביטול האימות הדו-שלבי',
+  'Some error occurred while generating recovery codes': 'אירעה שגיאה בעת יצירת קודי השחזור',
+
+  // Users
+  'User activated successfully': 'המשתמש הופעל בהצלחה',
+  'User deactivated successfully': 'המשתמש הושבת בהצלחה',
+  'User account unlocked successfully': 'חשבון המשתמש שוחרר מנעילה בהצלחה',
+  'Two-factor authentication reset successfully': 'האימות הדו-שלבי אופס בהצלחה',
+  'User deleted successfully': 'המשתמש נמחק בהצלחה',
+  'Some error occurred while retrieving users': 'אירעה שגיאה בעת טעינת המשתמשים',
+  'Some error occurred while retrieving team leaders': 'אירעה שגיאה בעת טעינת ראשי הצוותים',
+  'Some error occurred while retrieving the user': 'אירעה שגיאה בעת טעינת המשתמש',
+  'Some error occurred while creating the user': 'אירעה שגיאה בעת יצירת המשתמש',
+  'Some error occurred while updating the user': 'אירעה שגיאה בעת עדכון המשתמש',
+  'Some error occurred while deleting the user': 'אירעה שגיאה בעת מחיקת המשתמש',
+  'Some error occurred while updating user status': 'אירעה שגיאה בעת עדכון סטטוס המשתמש',
+  'Some error occurred while unlocking the user': 'אירעה שגיאה בעת שחרור נעילת המשתמש',
+  'Some error occurred while resetting two-factor authentication': 'אירעה שגיאה בעת איפוס האימות הדו-שלבי',
+
+  // Roles and permissions
+  'Admin': 'מנהל מערכת',
+  'Project Manager': 'מנהל פרויקט',
+  'Site Supervisor': 'מפקח אתר',
+  'Office/Payroll': 'משרד/שכר',
+  'Read-only Viewer': 'צופה בלבד',
+  'Role not found': 'התפקיד לא נמצא',
+  'Role name is required': 'שם התפקיד הוא שדה חובה',
+  'Description must be text': 'התיאור חייב להיות טקסט',
+  'Permissions must be an array': 'ההרשאות חייבות להיות רשימה',
+  'Invalid permission': 'הרשאה לא תקינה',
+  'A role with this name already exists': 'כבר קיים תפקיד בשם זה',
+  'The permissions of the administrator role cannot be changed': 'לא ניתן לשנות את ההרשאות של תפקיד מנהל המערכת',
+  'Built-in roles cannot be deleted': 'לא ניתן למחוק תפקידים מובנים',
+  'The role is assigned to users or pending invitations': 'התפקיד משויך למשתמשים או להזמנות ממתינות',
+  'Role deleted successfully': 'התפקיד נמחק בהצלחה',
+  'Some error occurred while retrieving roles': 'אירעה שגיאה בעת טעינת התפקידים',
+  'Some error occurred while creating the role': 'אירעה שגיאה בעת יצירת התפקיד',
+  'Some error occurred while updating the role': 'אירעה שגיאה בעת עדכון התפקיד',
+  'Some error occurred while deleting the role': 'אירעה שגיאה בעת מחיקת התפקיד',
+  'View the daily logs of all team leaders': 'צפייה ביומני העבודה של כל ראשי הצוותים',
+  'Write, submit and attach files to own daily logs': 'כתיבה, הגשה וצירוף קבצים ליומני עבודה אישיים',
+  'Approve or return submitted daily logs': 'אישור או החזרה של יומני עבודה שהוגשו',
+  'Delete any daily log and manage its files, including approved logs': 'מחיקת כל יומן עבודה וניהול הקבצים שלו, כולל יומנים מאושרים',
+  'Create, edit and delete projects and their team leader assignments': 'יצירה, עריכה ומחיקה של פרויקטים ושיבוצי ראשי הצוותים שלהם',
+  'Access every project, not only those the user is a member of': 'גישה לכל הפרויקטים, לא רק לאלה שהמשתמש חבר בהם',
+  'View employees': 'צפייה בעובדים',
+  'Create, edit and delete employees': 'יצירה, עריכה ומחיקה של עובדים',
+  'Create, edit, invite and unlock users': 'יצירה, עריכה, הזמנה ושחרור נעילה של משתמשים',
+  'Create and edit roles and their permissions': 'יצירה ועריכה של תפקידים והרשאותיהם',
+  'Export PDF reports of daily logs': 'ייצוא דוחות PDF של יומני עבודה',
+  'Export payroll timesheets': 'ייצוא דוחות נוכחות לשכר',
+  'Edit the company work calendar': 'עריכת לוח העבודה של החברה',
+  'View and run background jobs': 'צפייה במשימות רקע והפעלתן',
+  'View and export the audit log': 'צפייה ביומן הביקורת וייצואו',
+
+  // Companies
+  'Company not found': 'החברה לא נמצאה',
+  'A company with this name already exists': 'כבר קיימת חברה בשם זה',
+  'You cannot deactivate your own company': 'לא ניתן להשבית את החברה שלך',
+  'The user already belongs to this company': 'המשתמש כבר שייך לחברה זו',
+  'User moved successfully': 'המשתמש הועבר בהצלחה',
+  'Some error occurred while retrieving companies': 'אירעה שגיאה בעת טעינת החברות',
+  'Some error occurred while creating the company': 'אירעה שגיאה בעת יצירת החברה',
+  'Some error occurred while updating the company': 'אירעה שגיאה בעת עדכון החברה',
+  'Some error occurred while moving the user': 'אירעה שגיאה בעת העברת המשתמש',
+
+  // Invitations
+  'Invitation token is required': 'נדרש אסימון הזמנה',
+  'Projects must be an array': 'הפרויקטים חייבים להיות רשימה',
+  'One or more projects were not found': 'פרויקט אחד או יותר לא נמצאו',
+  'Invitation not found': 'ההזמנה לא נמצאה',
+  'Invitation was already accepted or revoked': 'ההזמנה כבר התקבלה או בוטלה',
+  'Invitation revoked successfully': 'ההזמנה בוטלה בהצלחה',
+  'Invitation link is invalid or has expired': 'קישור ההזמנה אינו תקין או שפג תוקפו',
+  'Account created successfully. You can now log in.': 'החשבון נוצר בהצלחה. כעת ניתן להתחבר.',
+  'Some error occurred while retrieving invitations': 'אירעה שגיאה בעת טעינת ההזמנות',
+  'Some error occurred while creating the invitation': 'אירעה שגיאה בעת יצירת ההזמנה',
+  'Some error occurred while resending the invitation': 'אירעה שגיאה בעת שליחת ההזמנה מחדש',
+  'Some error occurred while revoking the invitation': 'אירעה שגיאה בעת ביטול ההזמנה',
+  'Some error occurred while accepting the invitation': 'אירעה שגיאה בעת קבלת ההזמנה',
+
+  // Projects
+  'Team leader not found': 'ראש הצוות לא נמצא',
+  'Assignment not found': 'השיבוץ לא נמצא',
+  'Assignment deleted successfully': 'השיבוץ נמחק בהצלחה',
+  'Some error occurred while assigning the team leader': 'אירעה שגיאה בעת שיבוץ ראש הצוות',
+  'Some error occurred while updating the assignment': 'אירעה שגיאה בעת עדכון השיבוץ',
+  'Some error occurred while deleting the assignment': 'אירעה שגיאה בעת מחיקת השיבוץ',
+  'Valid user ID is required': 'נדרש מזהה משתמש תקין',
+  'Project role must be either manager or member': 'התפקיד בפרויקט חייב להיות מנהל או חבר',
+  'Project member not found': 'חבר הפרויקט לא נמצא',
+  'Project member added successfully': 'חבר הפרויקט נוסף בהצלחה',
+  'Project member removed successfully': 'חבר הפרויקט הוסר בהצלחה',
+  'You are not a member of this project': 'אינך חבר בפרויקט זה',
+  'Some error occurred while checking project access': 'אירעה שגיאה בעת בדיקת הגישה לפרויקט',
+  'Some error occurred while retrieving project members': 'אירעה שגיאה בעת טעינת חברי הפרויקט',
+  'Some error occurred while adding the project member': 'אירעה שגיאה בעת הוספת חבר הפרויקט',
+  'Some error occurred while removing the project member': 'אירעה שגיאה בעת הסרת חבר הפרויקט',
+  'Project not found': 'הפרויקט לא נמצא',
+  'Project activated successfully': 'הפרויקט הופעל בהצלחה',
+  'Project deactivated successfully': 'הפרויקט הושבת בהצלחה',
+  'Project deleted successfully': 'הפרויקט נמחק בהצלחה',
+  'Some error occurred while retrieving projects': 'אירעה שגיאה בעת טעינת הפרויקטים',
+  'Some error occurred while retrieving active projects': 'אירעה שגיאה בעת טעינת הפרויקטים הפעילים',
+  'Some error occurred while retrieving the project': 'אירעה שגיאה בעת טעינת הפרויקט',
+  'Some error occurred while creating the project': 'אירעה שגיאה בעת יצירת הפרויקט',
+  'Some error occurred while updating the project': 'אירעה שגיאה בעת עדכון הפרויקט',
+  'Some error occurred while deleting the project': 'אירעה שגיאה בעת מחיקת הפרויקט',
+  'Some error occurred while updating project status': 'אירעה שגיאה בעת עדכון סטטוס הפרויקט',
+
+  // Client portal
+  'Share link created successfully': 'קישור השיתוף נוצר בהצלחה',
+  'Share link revoked successfully': 'קישור השיתוף בוטל בהצלחה',
+  'Share link not found': 'קישור השיתוף לא נמצא',
+  'This link is invalid or has expired': 'הקישור אינו תקף או שפג תוקפו',
+  'Client portal settings updated successfully': 'הגדרות פורטל הלקוח עודכנו בהצלחה',
+  'Photo shared with the client': 'התמונה שותפה עם הלקוח',
+  'Photo no longer shared with the client': 'התמונה אינה משותפת עוד עם הלקוח',
+  'Some error occurred while retrieving share links': 'אירעה שגיאה בעת טעינת קישורי השיתוף',
+  'Some error occurred while creating the share link': 'אירעה שגיאה בעת יצירת קישור השיתוף',
+  'Some error occurred while revoking the share link': 'אירעה שגיאה בעת ביטול קישור השיתוף',
+  'Some error occurred while updating the client portal settings': 'אירעה שגיאה בעת עדכון הגדרות פורטל הלקוח',
+  'Some error occurred while verifying the link': 'אירעה שגיאה בעת אימות הקישור',
+  'Some error occurred while retrieving photos': 'אירעה שגיאה בעת טעינת התמונות',
+  'Some error occurred while updating the photo': 'אירעה שגיאה בעת עדכון התמונה',
+
+  // Employees
+  'Employee not found': 'העובד לא נמצא',
+  'Employee activated successfully': 'העובד הופעל בהצלחה',
+  'Employee deactivated successfully': 'העובד הושבת בהצלחה',
+  'Employee deleted successfully': 'העובד נמחק בהצלחה',
+  'Some error occurred while retrieving employees': 'אירעה שגיאה בעת טעינת העובדים',
+  'Some error occurred while retrieving active employees': 'אירעה שגיאה בעת טעינת העובדים הפעילים',
+  'Some error occurred while retrieving the employee': 'אירעה שגיאה בעת טעינת העובד',
+  'Some error occurred while creating the employee': 'אירעה שגיאה בעת יצירת העובד',
+  'Some error occurred while updating the employee': 'אירעה שגיאה בעת עדכון העובד',
+  'Some error occurred while deleting the employee': 'אירעה שגיאה בעת מחיקת העובד',
+  'Some error occurred while updating employee status': 'אירעה שגיאה בעת עדכון סטטוס העובד',
+
+  // Daily logs
+  'Log not found': 'היומן לא נמצא',
+  'A log already exists for this date and project': 'כבר קיים יומן לתאריך ולפרויקט אלה',
+  'Cannot update an approved log': 'לא ניתן לעדכן יומן שאושר',
+  'Cannot delete an approved log': 'לא ניתן למחוק יומן שאושר',
+  'Log is already {{status}}': 'היומן כבר במצב {{status}}',
+  'Log is already approved': 'היומן כבר אושר',
+  'Log submitted successfully': 'היומן הוגש בהצלחה',
+  'Log approved successfully': 'היומן אושר בהצלחה',
+  'Log returned for revision': 'היומן הוחזר לתיקון',
+  'Log deleted successfully': 'היומן נמחק בהצלחה',
+  'Only submitted logs can be approved': 'ניתן לאשר רק יומנים שהוגשו',
+  'Only submitted logs can be rejected': 'ניתן לדחות רק יומנים שהוגשו',
+  'You are not authorized to view this log': 'אין לך הרשאה לצפות ביומן זה',
+  'You are not authorized to view the history of this log': 'אין לך הרשאה לצפות בהיסטוריה של יומן זה',
+  'You are not authorized to update this log': 'אין לך הרשאה לעדכן יומן זה',
+  'You are not authorized to submit this log': 'אין לך הרשאה להגיש יומן זה',
+  'You are not authorized to delete this log': 'אין לך הרשאה למחוק יומן זה',
+  'You are not authorized to export this log': 'אין לך הרשאה לייצא יומן זה',
+  'Some error occurred while retrieving logs': 'אירעה שגיאה בעת טעינת היומנים',
+  'Some error occurred while retrieving the log': 'אירעה שגיאה בעת טעינת היומן',
+  'Some error occurred while retrieving the log history': 'אירעה שגיאה בעת טעינת היסטוריית היומן',
+  'Some error occurred while creating the log': 'אירעה שגיאה בעת יצירת היומן',
+  'Some error occurred while updating the log': 'אירעה שגיאה בעת עדכון היומן',
+  'Some error occurred while submitting the log': 'אירעה שגיאה בעת הגשת היומן',
+  'Some error occurred while approving the log': 'אירעה שגיאה בעת אישור היומן',
+  'Some error occurred while rejecting the log': 'אירעה שגיאה בעת דחיית היומן',
+  'Some error occurred while deleting the log': 'אירעה שגיאה בעת מחיקת היומן',
+  'Some error occurred while exporting the log to PDF': 'אירעה שגיאה בעת ייצוא היומן ל-PDF',
+
+  // Log and project statuses
+  'draft': 'טיוטה',
+  'submitted': 'הוגש',
+  'approved': 'אושר',
+  'rejected': 'הוחזר לתיקון',
+  'Draft': 'טיוטה',
+  'Submitted': 'הוגש',
+  'Approved': 'אושר',
+  'Rejected': 'הוחזר לתיקון',
+  'active': 'פעיל',
+  'completed': 'הושלם',
+  'on-hold': 'מושהה',
+  'cancelled': 'בוטל',
+
+  // Uploads
+  'No photos uploaded': 'לא הועלו תמונות',
+  'No documents uploaded': 'לא הועלו מסמכים',
+  'Photos uploaded successfully': 'התמונות הועלו בהצלחה',
+  'Documents uploaded successfully': 'המסמכים הועלו בהצלחה',
+  'Cannot upload photos to an approved log': 'לא ניתן להעלות תמונות ליומן שאושר',
+  'Cannot upload documents to an approved log': 'לא ניתן להעלות מסמכים ליומן שאושר',
+  'Cannot delete photos from an approved log': 'לא ניתן למחוק תמונות מיומן שאושר',
+  'Cannot delete documents from an approved log': 'לא ניתן למחוק מסמכים מיומן שאושר',
+  'You are not authorized to upload photos to this log': 'אין לך הרשאה להעלות תמונות ליומן זה',
+  'You are not authorized to upload documents to this log': 'אין לך הרשאה להעלות מסמכים ליומן זה',
+  'You are not authorized to delete photos from this log': 'אין לך הרשאה למחוק תמונות מיומן זה',
+  'You are not authorized to delete documents from this log': 'אין לך הרשאה למחוק מסמכים מיומן זה',
+  'Invalid file type': 'סוג קובץ לא תקין',
+  'File not found': 'הקובץ לא נמצא',
+  'File deleted successfully': 'הקובץ נמחק בהצלחה',
+  'Some error occurred while retrieving the file': 'אירעה שגיאה בעת שליפת הקובץ',
+  'Only image files are allowed!': 'ניתן להעלות קבצי תמונה בלבד!',
+  'Only PDF, DOC, DOCX, XLS, XLSX, and image files are allowed!': 'ניתן להעלות קבצי PDF, DOC, DOCX, XLS, XLSX ותמונות בלבד!',
+  'Some error occurred while uploading photos': 'אירעה שגיאה בעת העלאת התמונות',
+  'Some error occurred while uploading documents': 'אירעה שגיאה בעת העלאת המסמכים',
+  'Some error occurred while deleting the file': 'אירעה שגיאה בעת מחיקת הקובץ',
+
+  // Notifications
+  'Notification not found': 'ההתראה לא נמצאה',
+  'Notification marked as read': 'ההתראה סומנה כנקראה',
+  'All notifications marked as read': 'כל ההתראות סומנו כנקראו',
+  'You are not authorized to mark this notification as read': 'אין לך הרשאה לסמן התראה זו כנקראה',
+  'Some error occurred while retrieving notifications': 'אירעה שגיאה בעת טעינת ההתראות',
+  'Some error occurred while marking notification as read': 'אירעה שגיאה בעת סימון ההתראה כנקראה',
+  'Some error occurred while marking all notifications as read': 'אירעה שגיאה בעת סימון כל ההתראות כנקראו',
+  'You have not submitted a daily log for {{date}} at {{project}}': 'לא הגשת יומן עבודה לתאריך {{date}} בפרויקט {{project}}',
+  'You have an incomplete daily log for {{date}} that needs to be submitted': 'יש לך יומן עבודה לא גמור לתאריך {{date}} שיש להגיש',
+  'Your daily log for {{date}} at {{project}} has been approved': 'יומן העבודה שלך לתאריך {{date}} בפרויקט {{project}} אושר',
+  'Your daily log for {{date}} at {{project}} was returned for revision: {{reason}}': 'יומן העבודה שלך לתאריך {{date}} בפרויקט {{project}} הוחזר לתיקון: {{reason}}',
+  'You attempted to create a duplicate log for {{date}}. Please edit your existing log instead.': 'ניסית ליצור יומן כפול לתאריך {{date}}. נא לערוך את היומן הקיים.',
+  'Notification archived': 'ההתראה הועברה לארכיון',
+  'Notification restored': 'ההתראה שוחזרה',
+  'Notification deleted successfully': 'ההתראה נמחקה בהצלחה',
+  'You are not authorized to archive this notification': 'אין לך הרשאה להעביר התראה זו לארכיון',
+  'You are not authorized to restore this notification': 'אין לך הרשאה לשחזר התראה זו',
+  'You are not authorized to delete this notification': 'אין לך הרשאה למחוק התראה זו',
+  'Invalid cursor': 'סמן דפדוף לא תקין',
+  'Some error occurred while counting unread notifications': 'אירעה שגיאה בעת ספירת ההתראות שלא נקראו',
+  'Some error occurred while archiving the notification': 'אירעה שגיאה בעת העברת ההתראה לארכיון',
+  'Some error occurred while restoring the notification': 'אירעה שגיאה בעת שחזור ההתראה',
+  'Some error occurred while deleting the notification': 'אירעה שגיאה בעת מחיקת ההתראה',
+  'Notification preferences updated successfully': 'העדפות ההתראות עודכנו בהצלחה',
+  'Some error occurred while retrieving notification preferences': 'אירעה שגיאה בעת טעינת העדפות ההתראות',
+  'Some error occurred while updating notification preferences': 'אירעה שגיאה בעת עדכון העדפות ההתראות',
+
+  '{{teamLeader}} has not submitted a daily log for {{date}} at {{project}}': '{{teamLeader}} לא הגיש יומן עבודה לתאריך {{date}} בפרויקט {{project}}',
+  'The daily log of {{teamLeader}} for {{date}} at {{project}} is still a draft': 'יומן העבודה של {{teamLeader}} לתאריך {{date}} בפרויקט {{project}} עדיין בטיוטה',
+  'Daily log summary for {{date}}': 'סיכום יומני עבודה לתאריך {{date}}',
+  '{{project}}: {{missing}} missing, {{approved}} approved, {{submitted}} awaiting approval, {{draft}} draft, {{rejected}} returned for revision': '{{project}}: {{missing}} חסרים, {{approved}} אושרו, {{submitted}} ממתינים לאישור, {{draft}} בטיוטה, {{rejected}} הוחזרו לתיקון',
+
+  // Notification emails
+  'Missing daily log': 'יומן עבודה חסר',
+  'Incomplete daily log': 'יומן עבודה לא גמור',
+  'Daily log approved': 'יומן העבודה אושר',
+  'Daily log returned for revision': 'יומן העבודה הוחזר לתיקון',
+  'Duplicate daily log': 'יומן עבודה כפול',
+  'Daily log overdue': 'יומן עבודה באיחור',
+  'Daily log summary': 'סיכום יומני עבודה',
+  'Daily Work Log notification': 'התראה ממערכת יומן העבודה',
+  'Hello {{name}},': 'שלום {{name}},',
+  'Open the Daily Work Log system': 'פתיחת מערכת יומן העבודה',
+  'You are receiving this email because you enabled email notifications of this type.': 'הודעה זו נשלחה אליך מכיוון שהפעלת התראות בדוא"ל מסוג זה.',
+  'Reset your password': 'איפוס סיסמה',
+  'We received a request to reset the password of your Daily Work Log account. The link below is valid for {{minutes}} minutes and can be used once.': 'התקבלה בקשה לאיפוס הסיסמה של חשבונך במערכת יומן העבודה. הקישור שלהלן תקף למשך {{minutes}} דקות וניתן להשתמש בו פעם אחת בלבד.',
+  'Choose a new password': 'בחירת סיסמה חדשה',
+  'You are invited to the Daily Work Log system': 'הוזמנת למערכת יומן העבודה',
+  'Hello,': 'שלום,',
+  '{{inviter}} invited you to join the Daily Work Log system as {{role}}. Set your password with the link below within {{days}} days.': '{{inviter}} הזמין/ה אותך להצטרף למערכת יומן העבודה בתפקיד {{role}}. יש לבחור סיסמה באמצעות הקישור שלהלן בתוך {{days}} ימים.',
+  'Accept the invitation': 'קבלת ההזמנה',
+  'If you did not expect this invitation, you can ignore this email.': 'אם לא ציפית להזמנה זו, ניתן להתעלם מהודעה זו.',
+  'If you did not request a password reset, you can ignore this email. Your password will not change.': 'אם לא ביקשת לאפס את הסיסמה, ניתן להתעלם מהודעה זו. הסיסמה שלך לא תשתנה.',
+
+  // Work calendar
+  'Project exception deleted successfully': 'החריגה של הפרויקט נמחקה בהצלחה',
+  'Project exception not found': 'החריגה של הפרויקט לא נמצאה',
+  'Some error occurred while retrieving the work calendar': 'אירעה שגיאה בעת טעינת לוח העבודה',
+  'Some error occurred while updating the work calendar': 'אירעה שגיאה בעת עדכון לוח העבודה',
+  'Some error occurred while saving the project exception': 'אירעה שגיאה בעת שמירת החריגה של הפרויקט',
+  'Some error occurred while deleting the project exception': 'אירעה שגיאה בעת מחיקת החריגה של הפרויקט',
+  'The period must end after it starts and span at most a year': 'התקופה חייבת להסתיים אחרי שהיא מתחילה ולהימשך שנה לכל היותר',
+
+  // Background jobs
+  'Job not found': 'המשימה לא נמצאה',
+  'Job is already running': 'המשימה כבר רצה',
+  'Job started': 'המשימה הופעלה',
+  'Some error occurred while retrieving jobs': 'אירעה שגיאה בעת טעינת המשימות',
+  'Some error occurred while retrieving job runs': 'אירעה שגיאה בעת טעינת היסטוריית ההרצות',
+  'Some error occurred while starting the job': 'אירעה שגיאה בעת הפעלת המשימה',
+
+  // Audit log
+  'Some error occurred while retrieving the audit log': 'אירעה שגיאה בעת שליפת יומן הביקורת',
+  'Some error occurred while exporting the audit log': 'אירעה שגיאה בעת ייצוא יומן הביקורת',
+  'Time': 'זמן',
+  'Action': 'פעולה',
+  'Actor': 'מבצע הפעולה',
+  'Actor email': 'דוא"ל מבצע הפעולה',
+  'Target user': 'משתמש היעד',
+  'Entity type': 'סוג הרשומה',
+  'Entity ID': 'מזהה הרשומה',
+  'IP address': 'כתובת IP',
+  'User agent': 'דפדפן',
+  'Before': 'לפני',
+  'After': 'אחרי',
+  'Details': 'פרטים',
+
+  // Reports
+  'No logs found for the selected filters': 'לא נמצאו יומנים לסינון שנבחר',
+  'No valid columns selected. Available fields: {{fields}}': 'לא נבחרו עמודות תקינות. שדות זמינים: {{fields}}',
+  'Some error occurred while exporting the timesheet': 'אירעה שגיאה בעת ייצוא דוח השעות',
+  'Some error occurred while exporting the report': 'אירעה שגיאה בעת ייצוא הדוח',
+
+  // Validation
+  'Preferences must be a non-empty array': 'ההעדפות חייבות להיות רשימה לא ריקה',
+  'Managers must be an array': 'המנהלים חייבים להיות רשימה',
+  'Invalid manager ID': 'מזהה מנהל לא תקין',
+  'Invalid project ID': 'מזהה פרויקט לא תקין',
+  'Invalid log ID': 'מזהה יומן לא תקין',
+  'Invalid file ID': 'מזהה קובץ לא תקין',
+  'Working days must be an array': 'ימי העבודה חייבים להיות רשימה',
+  'Working days must be between 0 (Sunday) and 6 (Saturday)': 'ימי העבודה חייבים להיות בין 0 (ראשון) ל-6 (שבת)',
+  'Holidays must be an array': 'החגים חייבים להיות רשימה',
+  'Holiday date must be in YYYY-MM-DD format': 'תאריך החג חייב להיות בפורמט YYYY-MM-DD',
+  'Holiday name must be text': 'שם החג חייב להיות טקסט',
+  'Exception date must be in YYYY-MM-DD format': 'תאריך החריגה חייב להיות בפורמט YYYY-MM-DD',
+  'isWorkingDay must be a boolean': 'isWorkingDay חייב להיות ערך בוליאני',
+  'Note must be text': 'ההערה חייבת להיות טקסט',
+  'Invalid notification type': 'סוג התראה לא תקין',
+  'Enabled preference must be a boolean': 'העדפת ההפעלה חייבת להיות ערך בוליאני',
+  'Real-time preference must be a boolean': 'העדפת ההתראות בזמן אמת חייבת להיות ערך בוליאני',
+  'Limit must be between 1 and 200': 'המגבלה חייבת להיות בין 1 ל-200',
+  'Limit must be between 1 and 100': 'המגבלה חייבת להיות בין 1 ל-100',
+  'Invalid action': 'פעולה לא תקינה',
+  'Invalid user ID': 'מזהה משתמש לא תקין',
+  'Invalid entity type': 'סוג רשומה לא תקין',
+  'Invalid entity ID': 'מזהה רשומה לא תקין',
+  'isRead must be a boolean': 'isRead חייב להיות ערך בוליאני',
+  'archived must be a boolean': 'archived חייב להיות ערך בוליאני',
+  'isActive must be a boolean': 'isActive חייב להיות ערך בוליאני',
+  'Company name is required': 'שם החברה הוא שדה חובה',
+  'Company name cannot be empty': 'שם החברה אינו יכול להיות ריק',
+  'Email preference must be a boolean': 'העדפת הדוא"ל חייבת להיות ערך בוליאני',
+  'Full name is required': 'שם מלא הוא שדה חובה',
+  'Full name cannot be empty': 'שם מלא אינו יכול להיות ריק',
+  'Valid email is required': 'נדרשת כתובת דוא"ל תקינה',
+  'Password is required': 'סיסמה היא שדה חובה',
+  'Password must be at least 6 characters long': 'הסיסמה חייבת להכיל לפחות 6 תווים',
+  'Current password is required': 'הסיסמה הנוכחית היא שדה חובה',
+  'New password must be at least 6 characters long': 'הסיסמה החדשה חייבת להכיל לפחות 6 תווים',
+  'Unsupported language': 'שפה לא נתמכת',
+  'Position is required': 'תפקיד הוא שדה חובה',
+  'Position cannot be empty': 'תפקיד אינו יכול להיות ריק',
+  'Valid hire date is required': 'נדרש תאריך העסקה תקין',
+  'Project name is required': 'שם הפרויקט הוא שדה חובה',
+  'Project name cannot be empty': 'שם הפרויקט אינו יכול להיות ריק',
+  'Address is required': 'כתובת היא שדה חובה',
+  'Address cannot be empty': 'כתובת אינה יכולה להיות ריקה',
+  'City is required': 'עיר היא שדה חובה',
+  'City cannot be empty': 'עיר אינה יכולה להיות ריקה',
+  'State is required': 'מחוז הוא שדה חובה',
+  'State cannot be empty': 'מחוז אינו יכול להיות ריק',
+  'Zip code is required': 'מיקוד הוא שדה חובה',
+  'Zip code cannot be empty': 'מיקוד אינו יכול להיות ריק',
+  'Valid start date is required': 'נדרש תאריך התחלה תקין',
+  'Valid end date is required': 'נדרש תאריך סיום תקין',
+  'Valid estimated end date is required': 'נדרש תאריך סיום משוער תקין',
+  'Valid actual end date is required': 'נדרש תאריך סיום בפועל תקין',
+  'Valid reference date is required': 'נדרש תאריך ייחוס תקין',
+  'Invalid status value': 'ערך סטטוס לא תקין',
+  'Valid date is required': 'נדרש תאריך תקין',
+  'Valid project ID is required': 'נדרש מזהה פרויקט תקין',
+  'Valid team leader ID is required': 'נדרש מזהה ראש צוות תקין',
+  'Valid employee ID is required': 'נדרש מזהה עובד תקין',
+  'Employees must be an array': 'רשימת העובדים חייבת להיות מערך',
+  'Valid start time is required': 'נדרשת שעת התחלה תקינה',
+  'Valid end time is required': 'נדרשת שעת סיום תקינה',
+  'Valid employee start time is required': 'נדרשת שעת התחלה תקינה לעובד',
+  'Valid employee end time is required': 'נדרשת שעת סיום תקינה לעובד',
+  'Break minutes must be a positive number': 'דקות ההפסקה חייבות להיות מספר חיובי',
+  'Absence flag must be a boolean': 'סימון ההיעדרות חייב להיות ערך בוליאני',
+  'Work description is required': 'תיאור העבודה הוא שדה חובה',
+  'Work description cannot be empty': 'תיאור העבודה אינו יכול להיות ריק',
+  'A reason for rejection is required': 'נדרשת סיבה לדחייה',
+  'Format must be either csv or xlsx': 'הפורמט חייב להיות csv או xlsx',
+  'Group by must be either day or week': 'הקיבוץ חייב להיות לפי יום או שבוע',
+  'Period must be either week or month': 'התקופה חייבת להיות שבוע או חודש',
+  'Label must be a string': 'התווית חייבת להיות מחרוזת',
+  'Expiry must be between 1 and {{max}} days': 'התוקף חייב להיות בין 1 ל-{{max}} ימים',
+  'Client portal settings must be booleans': 'הגדרות פורטל הלקוח חייבות להיות ערכים בוליאניים',
+  'Shared must be a boolean': 'סימון השיתוף חייב להיות ערך בוליאני',
+
+  // PDF export
+  'Daily Work Log': 'יומן עבודה יומי',
+  'Project Work Report': 'דוח עבודה לפרויקט',
+  'Date': 'תאריך',
+  'Project': 'פרויקט',
+  'Location': 'מיקום',
+  'Client': 'לקוח',
+  'Start Date': 'תאריך התחלה',
+  'Estimated End Date': 'תאריך סיום משוער',
+  'Team Leader': 'ראש צוות',
+  'Work Hours': 'שעות עבודה',
+  'Status': 'סטטוס',
+  'Approved By': 'אושר על ידי',
+  'Approved On': 'אושר בתאריך',
+  'Returned for Revision': 'הוחזר לתיקון',
+  'Employees Present': 'עובדים נוכחים',
+  'No employees recorded for this log': 'לא נרשמו עובדים ביומן זה',
+  'Unknown employee': 'עובד לא ידוע',
+  'Absent': 'נעדר',
+  'break {{minutes}} min': 'הפסקה {{minutes}} דק\'',
+  'Regular {{regular}}h, Overtime {{overtime}}h': 'רגילות {{regular}} ש\', נוספות {{overtime}} ש\'',
+  'Total: Regular {{regular}}h, Overtime {{overtime}}h, Payable {{payable}}h': 'סה"כ: רגילות {{regular}} ש\', נוספות {{overtime}} ש\', לתשלום {{payable}} ש\'',
+  'Work Description': 'תיאור העבודה',
+  'Weather': 'מזג אוויר',
+  'Issues Encountered': 'בעיות שנתקלו בהן',
+  'Next Steps': 'השלבים הבאים',
+  'Materials Used': 'חומרים שנוצלו',
+  'Material': 'חומר',
+  'Quantity': 'כמות',
+  'Unit': 'יחידה',
+  'Notes': 'הערות',
+  'Attached Documents': 'מסמכים מצורפים',
+  'Delivery Notes': 'תעודות משלוח',
+  'Receipts': 'קבלות',
+  'Invoices': 'חשבוניות',
+  'Other Documents': 'מסמכים אחרים',
+  'uploaded {{date}}': 'הועלה {{date}}',
+  'Approving Manager': 'מנהל מאשר',
+  'Name': 'שם',
+  'Signature': 'חתימה',
+  'Photo Gallery': 'גלריית תמונות',
+  'Photos': 'תמונות',
+  'Image unavailable': 'התמונה אינה זמינה',
+  'Uploaded': 'הועלה',
+  'Generated on': 'הופק בתאריך',
+  'Page {{page}} of {{count}}': 'עמוד {{page}} מתוך {{count}}',
+  'Summary': 'סיכום',
+  'Daily logs': 'יומנים',
+  'Daily Logs': 'יומנים',
+  'Regular hours': 'שעות רגילות',
+  'Overtime hours': 'שעות נוספות',
+  'Crew': 'צוות',
+  'Hours (Reg/OT)': 'שעות (רגילות/נוספות)',
+  'Hours by Employee': 'שעות לפי עובד',
+  'Employee': 'עובד',
+  'Days': 'ימים',
+  'Regular': 'רגילות',
+  'Overtime': 'נוספות',
+  'Total': 'סה"כ',
+  'Days Used': 'ימי שימוש',
+
+  // Server
+  'Something went wrong on the server': 'משהו השתבש בשרת'
+};
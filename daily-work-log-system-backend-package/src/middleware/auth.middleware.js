@@ -1,107 +1,217 @@
 const jwt = require('jsonwebtoken');
 const authConfig = require('../config/auth.config');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const ShareLink = require('../models/shareLink.model');
+const StreamTicket = require('../models/streamTicket.model');
+const { verifyChallengeToken } = require('../utils/twoFactor');
+const { getRolePermissions, hasPermission } = require('../utils/permissions');
+const { canAccessProject } = require('../utils/projectAccess');
+const { hashToken } = require('../utils/tokens');
+const { runWithTenant, runWithoutTenant } = require('../utils/tenantContext');
 
-// Verify JWT token
-exports.verifyToken = (req, res, next) => {
+// Whether a session can still be used by its user; tokens stop working as soon as their
+// session is revoked, the user is deactivated or moves to another company
+const isSessionValid = async (sessionId, userId, companyId) => {
+  const [session, user] = await Promise.all([
+    sessionId ? Session.findById(sessionId).select('user revokedAt expiresAt') : null,
+    User.findById(userId).select('role isActive company isSuperAdmin').setOptions({ allTenants: true })
+  ]);
+
+  if (!session || !session.isActive() || !session.user.equals(userId)) {
+    return { error: 'Session has expired or was revoked' };
+  }
+
+  if (!user || !user.isActive) {
+    return { error: 'Account is inactive. Please contact an administrator.' };
+  }
+
+  // Tokens issued before the user moved to another company are no longer valid
+  if (!user.company || String(user.company) !== String(companyId)) {
+    return { error: 'Session has expired or was revoked' };
+  }
+
+  return { user };
+};
+
+exports.isSessionValid = isSessionValid;
+
+// Check the session of verified credentials and continue the request as its user
+const authenticate = async (req, res, next, { userId, sessionId, companyId, locale }) => {
+  const { user, error } = await isSessionValid(sessionId, userId, companyId);
+
+  if (error) {
+    return res.status(401).json({
+      message: req.t(error)
+    });
+  }
+
+  // Add user, company, permissions and session to request object
+  req.userId = String(userId);
+  req.userRole = user.role;
+  req.companyId = String(companyId);
+  req.isSuperAdmin = user.isSuperAdmin;
+  req.permissions = await getRolePermissions(user.role);
+  req.sessionId = String(sessionId);
+
+  // The user's own language setting takes precedence over Accept-Language
+  if (locale) {
+    req.locale = locale;
+  }
+
+  // The rest of the request only sees the data of the user's company
+  runWithTenant(companyId, next);
+};
+
+// Verify JWT token and the session it belongs to
+exports.verifyToken = async (req, res, next) => {
   // Get token from Authorization header
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({
-      message: 'No token provided'
+      message: req.t('No token provided')
     });
   }
 
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, authConfig.secret);
-    
-    // Add user ID to request object
-    req.userId = decoded.id;
-    req.userRole = decoded.role;
-    
-    next();
+    decoded = jwt.verify(token, authConfig.secret);
   } catch (error) {
     return res.status(401).json({
-      message: 'Unauthorized - Invalid token'
+      message: req.t('Unauthorized - Invalid token')
+    });
+  }
+
+  try {
+    await authenticate(req, res, next, {
+      userId: decoded.id,
+      sessionId: decoded.sid,
+      companyId: decoded.company,
+      locale: decoded.locale
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while verifying the session')
     });
   }
 };
 
-// Check if user is a Manager
-exports.isManager = (req, res, next) => {
-  User.findById(req.userId)
-    .then(user => {
-      if (!user) {
-        return res.status(404).json({
-          message: 'User not found'
-        });
-      }
-
-      if (user.role !== 'Manager') {
-        return res.status(403).json({
-          message: 'Require Manager Role'
-        });
-      }
-
-      next();
-    })
-    .catch(err => {
-      res.status(500).json({
-        message: err.message || 'Error checking user role'
+// Accept a stream ticket in the query string for clients that cannot set headers (EventSource);
+// each ticket opens one stream and is gone afterwards
+exports.verifyStreamTicket = async (req, res, next) => {
+  try {
+    const ticket = req.query.ticket
+      ? await StreamTicket.findOneAndDelete({ tokenHash: hashToken(String(req.query.ticket)), expiresAt: { $gt: new Date() } })
+      : null;
+
+    if (!ticket) {
+      return res.status(401).json({
+        message: req.t('Stream ticket is invalid or has expired')
       });
+    }
+
+    await authenticate(req, res, next, {
+      userId: ticket.user,
+      sessionId: ticket.session,
+      companyId: ticket.company,
+      locale: ticket.locale
+    });
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while verifying the session')
     });
+  }
+};
+
+// Accept the setup challenge of a login that requires two-factor enrollment, or a regular token
+exports.verifyTokenOrSetupChallenge = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return exports.verifyToken(req, res, next);
+  }
+
+  const userId = verifyChallengeToken(req.body.challengeToken, 'setup');
+
+  if (!userId) {
+    return res.status(401).json({
+      message: req.t('Login challenge has expired. Please log in again.')
+    });
+  }
+
+  // The challenge only names the user, who is looked up by id
+  req.userId = userId;
+  req.twoFactorSetup = true;
+  runWithoutTenant(next);
+};
+
+// Require one of the given permissions
+exports.requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.some(permission => hasPermission(req, permission))) {
+    return res.status(403).json({
+      message: req.t('You do not have permission to perform this action')
+    });
+  }
+
+  next();
 };
 
-// Check if user is a Team Leader
-exports.isTeamLeader = (req, res, next) => {
-  User.findById(req.userId)
-    .then(user => {
-      if (!user) {
-        return res.status(404).json({
-          message: 'User not found'
-        });
-      }
-
-      if (user.role !== 'Team Leader') {
-        return res.status(403).json({
-          message: 'Require Team Leader Role'
-        });
-      }
-
-      next();
-    })
-    .catch(err => {
-      res.status(500).json({
-        message: err.message || 'Error checking user role'
+// Require a super-admin; the rest of the request works across all companies
+exports.requireSuperAdmin = (req, res, next) => {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({
+      message: req.t('You do not have permission to perform this action')
+    });
+  }
+
+  runWithoutTenant(next);
+};
+
+// Require membership of the project in a route parameter (or access to every project)
+exports.requireProjectAccess = (param = 'id') => async (req, res, next) => {
+  try {
+    if (!await canAccessProject(req, req.params[param])) {
+      return res.status(404).json({
+        message: req.t('Project not found')
       });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while checking project access')
     });
+  }
 };
 
-// Check if user is either a Manager or Team Leader
-exports.isManagerOrTeamLeader = (req, res, next) => {
-  User.findById(req.userId)
-    .then(user => {
-      if (!user) {
-        return res.status(404).json({
-          message: 'User not found'
-        });
-      }
-
-      if (user.role !== 'Manager' && user.role !== 'Team Leader') {
-        return res.status(403).json({
-          message: 'Require Manager or Team Leader Role'
-        });
-      }
-
-      next();
-    })
-    .catch(err => {
-      res.status(500).json({
-        message: err.message || 'Error checking user role'
+// Resolve the share link in the token route parameter to its project (client portal, no login)
+exports.verifyShareLink = async (req, res, next) => {
+  try {
+    // The company is only known once the link is found
+    const shareLink = await ShareLink.findOne({ tokenHash: hashToken(req.params.token) })
+      .setOptions({ allTenants: true })
+      .populate({ path: 'project', options: { allTenants: true } });
+
+    if (!shareLink || !shareLink.isActive() || !shareLink.project || !shareLink.project.isActive) {
+      return res.status(404).json({
+        message: req.t('This link is invalid or has expired')
       });
+    }
+
+    await ShareLink.updateOne(
+      { _id: shareLink._id },
+      { $set: { lastAccessedAt: new Date() }, $inc: { accessCount: 1 } },
+      { allTenants: true }
+    );
+
+    req.shareLink = shareLink;
+    req.project = shareLink.project;
+    runWithTenant(shareLink.company, next);
+  } catch (error) {
+    return res.status(500).json({
+      message: error.message || req.t('Some error occurred while verifying the link')
     });
+  }
 };
@@ -0,0 +1,13 @@
+const { localeFromHeader, translate, formatDate } = require('../utils/i18n');
+
+// Resolve the locale of the request from the Accept-Language header
+// verifyToken replaces it with the user's own locale setting when there is one
+exports.setLocale = (req, res, next) => {
+  req.locale = localeFromHeader(req.headers['accept-language']);
+
+  // Translation helpers bound to the locale of the request
+  req.t = (phrase, params) => translate(req.locale, phrase, params);
+  req.formatDate = (date, format) => formatDate(req.locale, date, format);
+
+  next();
+};
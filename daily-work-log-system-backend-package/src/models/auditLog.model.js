@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+// Append-only record of a change or security-relevant event, such as a deleted project or a failed login
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  // User who performed the action; empty for anonymous requests
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // User the action applies to
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Document that was changed, e.g. a Project or DailyLog
+  entityType: {
+    type: String
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Changed fields before and after the action (the whole document when created or deleted)
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ targetUser: 1, createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// Entries are never changed or removed; only moving old entries to a company
+// (see utils/tenants) may update them, with the migration option
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function() {
+  if (!this.getOptions().migration) {
+    throw new Error('Audit log entries cannot be changed');
+  }
+});
+
+AuditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], function() {
+  throw new Error('Audit log entries cannot be deleted');
+});
+
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, function() {
+  throw new Error('Audit log entries cannot be deleted');
+});
+
+AuditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit log entries cannot be changed');
+  }
+});
+
+// Events before sign-in may not belong to a company
+AuditLogSchema.plugin(tenantPlugin, { required: false });
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A company (tenant) sharing the deployment; users, projects, employees, logs and
+// notifications belong to one company and only see its data
+const CompanySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Company name is required'],
+      unique: true,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const Company = mongoose.model('Company', CompanySchema);
+
+module.exports = Company;
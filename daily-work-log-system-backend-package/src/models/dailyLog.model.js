@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { calculateEmployeeHours, summarizeHours } = require('../utils/workHours');
+const { loadCalendar } = require('../utils/workCalendar');
+const tenantPlugin = require('../utils/tenantPlugin');
+const { runWithTenant } = require('../utils/tenantContext');
 
 const MaterialSchema = new mongoose.Schema({
   name: {
@@ -35,6 +39,11 @@ const PhotoSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Selected for the client portal of the project
+  sharedWithClient: {
+    type: Boolean,
+    default: false
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
@@ -61,6 +70,90 @@ const DocumentSchema = new mongoose.Schema({
   }
 });
 
+const LogEmployeeSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: [true, 'Employee is required']
+  },
+  startTime: {
+    type: Date
+  },
+  endTime: {
+    type: Date
+  },
+  breakMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Break minutes cannot be negative']
+  },
+  role: {
+    type: String,
+    trim: true
+  },
+  isAbsent: {
+    type: Boolean,
+    default: false
+  },
+  dayType: {
+    type: String,
+    enum: ['regular', 'weekend', 'holiday'],
+    default: 'regular'
+  },
+  regularHours: {
+    type: Number,
+    default: 0
+  },
+  overtimeHours: {
+    type: Number,
+    default: 0
+  },
+  payableHours: {
+    type: Number,
+    default: 0
+  }
+});
+
+const HoursSummarySchema = new mongoose.Schema(
+  {
+    regularHours: {
+      type: Number,
+      default: 0
+    },
+    overtimeHours: {
+      type: Number,
+      default: 0
+    },
+    payableHours: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+const StatusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected'],
+    required: [true, 'Status is required']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+});
+
 const DailyLogSchema = new mongoose.Schema(
   {
     date: {
@@ -80,10 +173,11 @@ const DailyLogSchema = new mongoose.Schema(
       required: [true, 'Project is required'],
       index: true
     },
-    employees: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Employee'
-    }],
+    employees: [LogEmployeeSchema],
+    hoursSummary: {
+      type: HoursSummarySchema,
+      default: () => ({})
+    },
     startTime: {
       type: Date,
       required: [true, 'Start time is required']
@@ -114,16 +208,28 @@ const DailyLogSchema = new mongoose.Schema(
     documents: [DocumentSchema],
     status: {
       type: String,
-      enum: ['draft', 'submitted', 'approved'],
+      enum: ['draft', 'submitted', 'approved', 'rejected'],
       default: 'draft',
       index: true
     },
+    statusHistory: [StatusChangeSchema],
     approvedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
     approvedAt: {
       type: Date
+    },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: {
+      type: Date
+    },
+    rejectionReason: {
+      type: String,
+      trim: true
     }
   },
   {
@@ -131,9 +237,73 @@ const DailyLogSchema = new mongoose.Schema(
   }
 );
 
+// Fields the hours are calculated from
+const HOURS_FIELDS = ['employees', 'startTime', 'endTime', 'date'];
+
+// Calculate the hours of every employee entry; the work calendar must be loaded
+DailyLogSchema.methods.calculateHours = function() {
+  this.employees.forEach(entry => {
+    if (entry.endTime && entry.startTime && entry.endTime < entry.startTime) {
+      this.invalidate('employees', 'Employee end time must be after start time');
+    }
+    Object.assign(entry, calculateEmployeeHours(entry, this));
+  });
+  this.hoursSummary = summarizeHours(this.employees);
+};
+
+// Calculate the hours before validation when the times change; approved logs keep the
+// hours they were approved with, whatever the calendar or overtime rules say later
+DailyLogSchema.pre('validate', async function() {
+  if (this.status === 'approved' || !(this.isNew || HOURS_FIELDS.some(field => this.isModified(field)))) {
+    return;
+  }
+
+  // Weekends and holidays are paid differently, so make sure the calendar is current
+  await loadCalendar();
+  this.calculateHours();
+});
+
+// Record a status transition in the log's status history
+DailyLogSchema.methods.recordStatusChange = function(status, userId, reason) {
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedBy: userId,
+    changedAt: new Date(),
+    reason
+  });
+};
+
 // Compound index for preventing duplicate logs for the same date and team leader
 DailyLogSchema.index({ date: 1, teamLeader: 1, project: 1 }, { unique: true });
 
+// Convert logs stored with a plain array of employee ids to detailed employee entries
+DailyLogSchema.statics.migrateLegacyEmployees = async function() {
+  const legacyLogs = await this.collection
+    .find({ 'employees.0': { $type: 'objectId' } })
+    .toArray();
+
+  for (const raw of legacyLogs) {
+    await this.collection.updateOne(
+      { _id: raw._id },
+      { $set: { employees: raw.employees.map(employee => ({ _id: new mongoose.Types.ObjectId(), employee })) } }
+    );
+
+    // Legacy logs have no hours yet, so they are calculated once whatever the status,
+    // with the work calendar of the log's company
+    await runWithTenant(raw.company, async () => {
+      const log = await this.findById(raw._id);
+      await loadCalendar();
+      log.calculateHours();
+      await log.save();
+    });
+  }
+
+  return legacyLogs.length;
+};
+
+DailyLogSchema.plugin(tenantPlugin);
+
 const DailyLog = mongoose.model('DailyLog', DailyLogSchema);
 
 module.exports = DailyLog;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
 
 const EmployeeSchema = new mongoose.Schema(
   {
@@ -44,6 +45,8 @@ const EmployeeSchema = new mongoose.Schema(
   }
 );
 
+EmployeeSchema.plugin(tenantPlugin);
+
 const Employee = mongoose.model('Employee', EmployeeSchema);
 
 module.exports = Employee;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+// Invitation for a new user to join; the emailed link carries a single-use token (stored hashed)
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true
+    },
+    // Name of the user's role (see the Role model)
+    role: {
+      type: String,
+      required: [true, 'Role is required']
+    },
+    // Projects the new user joins: as a manager, or as an assigned team leader
+    projects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }],
+    fullName: {
+      type: String,
+      trim: true
+    },
+    locale: {
+      type: String
+    },
+    tokenHash: {
+      type: String,
+      required: [true, 'Token is required'],
+      unique: true,
+      select: false
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Inviting user is required']
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    acceptedAt: {
+      type: Date
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+InvitationSchema.index({ email: 1, createdAt: -1 });
+
+// pending, accepted, revoked or expired
+InvitationSchema.methods.getStatus = function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+InvitationSchema.plugin(tenantPlugin);
+
+const Invitation = mongoose.model('Invitation', InvitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Lock held by the instance currently running a job (the id is the job name)
+const JobLockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String
+    },
+    owner: {
+      type: String,
+      required: [true, 'Lock owner is required']
+    },
+    lockedUntil: {
+      type: Date,
+      required: [true, 'Lock expiry is required']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Take the lock of a job unless an unexpired one is held, even by the same owner,
+// so a manual run and a scheduled run on the same instance do not overlap
+JobLockSchema.statics.acquire = async function(job, owner, seconds) {
+  const now = new Date();
+  try {
+    await this.findOneAndUpdate(
+      { _id: job, lockedUntil: { $lte: now } },
+      { owner, lockedUntil: new Date(now.getTime() + seconds * 1000) },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing lock while it is held
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Extend a lock held by the given owner; resolves with false when the owner lost it
+JobLockSchema.statics.renew = async function(job, owner, seconds) {
+  const result = await this.updateOne(
+    { _id: job, owner },
+    { lockedUntil: new Date(Date.now() + seconds * 1000) }
+  );
+  return result.matchedCount > 0;
+};
+
+// Release a lock held by the given owner
+JobLockSchema.statics.release = function(job, owner) {
+  return this.deleteOne({ _id: job, owner });
+};
+
+const JobLock = mongoose.model('JobLock', JobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const jobsConfig = require('../config/jobs.config');
+
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: [true, 'Job name is required']
+    },
+    // Scheduled time the run belongs to (empty for manual runs)
+    scheduledFor: {
+      type: Date
+    },
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'catch_up', 'manual'],
+      required: [true, 'Trigger is required']
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running'
+    },
+    // Server instance that executed the run
+    instance: {
+      type: String
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+      expires: jobsConfig.historyDays * 24 * 60 * 60
+    },
+    finishedAt: {
+      type: Date
+    },
+    durationMs: {
+      type: Number
+    },
+    // The run is considered interrupted if still running after this time
+    lockExpiresAt: {
+      type: Date
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+      type: String
+    }
+  }
+);
+
+// Each scheduled time runs once, whichever instance gets there first
+JobRunSchema.index(
+  { job: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { scheduledFor: { $exists: true } } }
+);
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.model('JobRun', JobRunSchema);
+
+module.exports = JobRun;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const FieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: [true, 'Field name is required']
+    },
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+const LogRevisionSchema = new mongoose.Schema(
+  {
+    log: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DailyLog',
+      required: [true, 'Log is required'],
+      index: true
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: [1, 'Version must be at least 1']
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'submit', 'approve', 'reject', 'add_photos', 'add_documents', 'delete_file', 'share_photo'],
+      required: [true, 'Action is required']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changes: [FieldChangeSchema],
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'Snapshot is required']
+    }
+  }
+);
+
+// Each version number can only be used once per log
+LogRevisionSchema.index({ log: 1, version: 1 }, { unique: true });
+
+const LogRevision = mongoose.model('LogRevision', LogRevisionSchema);
+
+module.exports = LogRevision;
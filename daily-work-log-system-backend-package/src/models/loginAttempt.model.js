@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const authConfig = require('../config/auth.config');
+
+// A failed login or a password reset request, kept for the IP throttling window
+const LoginAttemptSchema = new mongoose.Schema({
+  ipAddress: {
+    type: String,
+    required: [true, 'IP address is required']
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Failed logins and reset requests are counted per email separately, so reset requests
+  // cannot make unknown emails throttle differently from real accounts at login
+  kind: {
+    type: String,
+    enum: ['login', 'password_reset'],
+    default: 'login'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: authConfig.ipWindowMinutes * 60
+  }
+});
+
+LoginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+LoginAttemptSchema.index({ email: 1, kind: 1, createdAt: -1 });
+
+// Number of failed logins and reset requests matching the filter (an IP address, or an email and kind) within the throttling window
+LoginAttemptSchema.statics.countRecent = function(filter) {
+  return this.countDocuments({
+    ...filter,
+    createdAt: { $gt: new Date(Date.now() - authConfig.ipWindowMinutes * 60 * 1000) }
+  });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+
+module.exports = LoginAttempt;
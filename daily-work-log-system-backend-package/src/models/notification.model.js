@@ -1,4 +1,49 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+const NOTIFICATION_TYPES = [
+  'missing_log',
+  'incomplete_log',
+  'log_approved',
+  'log_rejected',
+  'duplicate_warning',
+  'log_escalation',
+  'daily_digest',
+  'system'
+];
+
+const DeliverySchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      required: [true, 'Delivery channel is required']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String
+    },
+    lastAttemptAt: {
+      type: Date
+    },
+    nextAttemptAt: {
+      type: Date
+    },
+    sentAt: {
+      type: Date
+    }
+  },
+  {
+    _id: false
+  }
+);
 
 const NotificationSchema = new mongoose.Schema(
   {
@@ -10,7 +55,7 @@ const NotificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['missing_log', 'incomplete_log', 'log_approved', 'duplicate_warning', 'system'],
+      enum: NOTIFICATION_TYPES,
       required: [true, 'Notification type is required']
     },
     message: {
@@ -22,6 +67,13 @@ const NotificationSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    isArchived: {
+      type: Boolean,
+      default: false
+    },
+    archivedAt: {
+      type: Date
+    },
     relatedLog: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'DailyLog'
@@ -30,6 +82,32 @@ const NotificationSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Project'
     },
+    // Team leader and work day an escalation or digest refers to
+    relatedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    relatedDate: {
+      type: Date
+    },
+    // Structured content of the notification, e.g. the figures of a digest
+    details: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    // Repeated reminders about the same log are collapsed into one notification
+    reminderCount: {
+      type: Number,
+      default: 1
+    },
+    lastRemindedAt: {
+      type: Date
+    },
+    // When the recipient was last notified (created or reminded again); lists are sorted by it
+    notifiedAt: {
+      type: Date,
+      default: Date.now
+    },
+    deliveries: [DeliverySchema],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -38,6 +116,29 @@ const NotificationSchema = new mongoose.Schema(
   }
 );
 
+// Find an earlier notification to collapse a reminder into
+NotificationSchema.index({ recipient: 1, type: 1, relatedLog: 1 });
+
+// List a user's notifications, most recently notified first
+NotificationSchema.index({ recipient: 1, isArchived: 1, notifiedAt: -1, _id: -1 });
+
+// Find deliveries that failed and are due for another attempt
+NotificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+
+// Set the sort time of notifications from before it existed (in every company);
+// returns the number of notifications updated
+NotificationSchema.statics.migrateNotifiedAt = async function() {
+  const result = await this.updateMany(
+    { notifiedAt: { $exists: false } },
+    [{ $set: { notifiedAt: { $ifNull: ['$lastRemindedAt', '$createdAt'] } } }],
+    { allTenants: true }
+  );
+  return result.modifiedCount;
+};
+
+NotificationSchema.plugin(tenantPlugin);
+
 const Notification = mongoose.model('Notification', NotificationSchema);
 
 module.exports = Notification;
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
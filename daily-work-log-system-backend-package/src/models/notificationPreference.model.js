@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('./notification.model');
+
+const TypePreferenceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: [true, 'Notification type is required']
+    },
+    // Whether notifications of this type are created at all
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Push to connected clients as soon as it is created
+    realtime: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+const NotificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      unique: true
+    },
+    preferences: [TypePreferenceSchema]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Channel settings used for types the user never changed (email is opt-in)
+const DEFAULT_TYPE_PREFERENCE = {
+  enabled: true,
+  realtime: true,
+  email: false
+};
+
+// Get the preference of a notification type
+NotificationPreferenceSchema.methods.getTypePreference = function(type) {
+  const preference = this.preferences.find(item => item.type === type);
+  return preference
+    ? { type, enabled: preference.enabled, realtime: preference.realtime, email: preference.email }
+    : { type, ...DEFAULT_TYPE_PREFERENCE };
+};
+
+// Get the preferences of every notification type for a user
+NotificationPreferenceSchema.statics.getAllForUser = async function(userId) {
+  const document = await this.findOne({ user: userId });
+  return NOTIFICATION_TYPES.map(type => (document
+    ? document.getTypePreference(type)
+    : { type, ...DEFAULT_TYPE_PREFERENCE }));
+};
+
+// Get the preference of one notification type for a user
+NotificationPreferenceSchema.statics.getForUser = async function(userId, type) {
+  const document = await this.findOne({ user: userId });
+  return document ? document.getTypePreference(type) : { type, ...DEFAULT_TYPE_PREFERENCE };
+};
+
+const NotificationPreference = mongoose.model('NotificationPreference', NotificationPreferenceSchema);
+
+module.exports = NotificationPreference;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use token emailed to a user who forgot their password (stored hashed)
+const PasswordResetTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: [true, 'Token is required'],
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+      expires: 0
+    },
+    usedAt: {
+      type: Date
+    },
+    requestedFrom: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
+
+module.exports = PasswordResetToken;
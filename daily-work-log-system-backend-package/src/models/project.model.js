@@ -1,4 +1,21 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+// A team leader running the project for a period; an open end date means ongoing
+const AssignmentSchema = new mongoose.Schema({
+  teamLeader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Team leader is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  }
+});
 
 const ProjectSchema = new mongoose.Schema(
   {
@@ -54,6 +71,45 @@ const ProjectSchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Managers responsible for the project; missing logs are escalated to them
+    managers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Team leaders expected to submit a daily log for the project
+    assignments: [AssignmentSchema],
+    // Other users with access to the project, e.g. office staff or viewers
+    members: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // What clients see through share links; internal details are hidden unless enabled
+    clientPortal: {
+      showIssues: {
+        type: Boolean,
+        default: false
+      },
+      showEmployeeNames: {
+        type: Boolean,
+        default: false
+      },
+      // Labour hours and material quantities are cost figures
+      showHours: {
+        type: Boolean,
+        default: false
+      },
+      showMaterials: {
+        type: Boolean,
+        default: false
+      }
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -64,6 +120,44 @@ const ProjectSchema = new mongoose.Schema(
   }
 );
 
+// Validate assignment periods
+ProjectSchema.pre('validate', function(next) {
+  this.assignments.forEach(assignment => {
+    if (assignment.endDate && assignment.startDate && assignment.endDate < assignment.startDate) {
+      this.invalidate('assignments', 'Assignment end date must be after start date');
+    }
+  });
+  next();
+});
+
+// Find active projects with the team leader assignments that cover a period
+ProjectSchema.statics.findActiveAssignments = async function(start, end) {
+  const projects = await this.find({
+    isActive: true,
+    status: 'active',
+    assignments: {
+      $elemMatch: {
+        startDate: { $lt: end },
+        $or: [{ endDate: null }, { endDate: { $gte: start } }]
+      }
+    }
+  }).populate('assignments.teamLeader', 'fullName locale isActive');
+
+  const assignments = [];
+  projects.forEach(project => {
+    project.assignments.forEach(assignment => {
+      const coversPeriod = assignment.startDate < end && (!assignment.endDate || assignment.endDate >= start);
+      if (coversPeriod && assignment.teamLeader && assignment.teamLeader.isActive) {
+        assignments.push({ project, teamLeader: assignment.teamLeader });
+      }
+    });
+  });
+
+  return assignments;
+};
+
+ProjectSchema.plugin(tenantPlugin);
+
 const Project = mongoose.model('Project', ProjectSchema);
 
 module.exports = Project;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions.config');
+
+// Named set of permissions; users refer to their role by name
+const RoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    permissions: {
+      type: [{
+        type: String,
+        enum: Object.keys(PERMISSIONS)
+      }],
+      default: []
+    },
+    // Created by the system on startup
+    isSystem: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+const Role = mongoose.model('Role', RoleSchema);
+
+module.exports = Role;
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const authConfig = require('../config/auth.config');
+const { createSecret, hashToken } = require('../utils/tokens');
+
+// A signed-in device; the refresh token rotates on every use
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true
+    },
+    refreshTokenHash: {
+      type: String,
+      required: [true, 'Refresh token is required']
+    },
+    // The token replaced by the last rotation; seeing it again means it was stolen
+    previousTokenHash: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    },
+    ipAddress: {
+      type: String
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required'],
+      expires: 0
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'token_reuse', 'user_deactivated', 'password_changed', 'two_factor_reset', 'company_changed', 'company_deactivated', 'revoked']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Whether the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Replace the refresh token with a new one and extend the session; returns the new token
+SessionSchema.methods.rotateRefreshToken = function() {
+  const secret = createSecret();
+  this.previousTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  this.expiresAt = new Date(Date.now() + authConfig.refreshTokenDays * 24 * 60 * 60 * 1000);
+  // The token names its session so it can be looked up without scanning hashes
+  return `${this._id}.${secret}`;
+};
+
+// Check a presented refresh token against the current and previous one
+SessionSchema.methods.matchRefreshToken = function(secret) {
+  const hash = hashToken(secret);
+  if (hash === this.refreshTokenHash) {
+    return 'current';
+  }
+  if (hash === this.previousTokenHash) {
+    return 'previous';
+  }
+  return null;
+};
+
+SessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one
+SessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
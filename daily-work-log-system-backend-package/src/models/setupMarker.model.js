@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One-time setup step that has been done (the id names the step), e.g. creating the first administrator
+const SetupMarkerSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Claim a setup step; only the first of any number of parallel callers gets true
+SetupMarkerSchema.statics.claim = async function(step) {
+  try {
+    await this.create({ _id: step });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Give up a claimed step so it can be tried again
+SetupMarkerSchema.statics.release = function(step) {
+  return this.deleteOne({ _id: step });
+};
+
+const SetupMarker = mongoose.model('SetupMarker', SetupMarkerSchema);
+
+module.exports = SetupMarker;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+// Read-only link to the client portal of one project; the token is stored hashed
+const ShareLinkSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: [true, 'Project is required'],
+      index: true
+    },
+    tokenHash: {
+      type: String,
+      required: [true, 'Token is required'],
+      unique: true,
+      select: false
+    },
+    // Who the link was given to, e.g. the client's name
+    label: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Creating user is required']
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    },
+    revokedAt: {
+      type: Date
+    },
+    lastAccessedAt: {
+      type: Date
+    },
+    accessCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Whether the link can still be used
+ShareLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+ShareLinkSchema.plugin(tenantPlugin);
+
+const ShareLink = mongoose.model('ShareLink', ShareLinkSchema);
+
+module.exports = ShareLink;
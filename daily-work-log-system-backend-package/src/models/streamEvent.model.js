@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const realtimeConfig = require('../config/realtime.config');
+
+const StreamEventSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Recipient is required']
+    },
+    event: {
+      type: String,
+      enum: ['notification', 'log_status'],
+      required: [true, 'Event name is required']
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: realtimeConfig.eventRetentionHours * 60 * 60
+    }
+  }
+);
+
+// Replay events of a user after the last one the client received
+StreamEventSchema.index({ recipient: 1, _id: 1 });
+
+const StreamEvent = mongoose.model('StreamEvent', StreamEventSchema);
+
+module.exports = StreamEvent;
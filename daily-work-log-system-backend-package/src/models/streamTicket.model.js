@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Single-use, short-lived ticket that opens the event stream of a session; EventSource
+// cannot send headers, and the ticket keeps the access token out of URLs and request logs
+const StreamTicketSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token is required'],
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session is required']
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  locale: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+    expires: 0
+  }
+});
+
+const StreamTicket = mongoose.model('StreamTicket', StreamTicketSchema);
+
+module.exports = StreamTicket;
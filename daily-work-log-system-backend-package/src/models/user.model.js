@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const authConfig = require('../config/auth.config');
+const tenantPlugin = require('../utils/tenantPlugin');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -21,9 +24,9 @@ const UserSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters']
     },
+    // Name of the user's role (see the Role model)
     role: {
       type: String,
-      enum: ['Manager', 'Team Leader'],
       required: [true, 'Role is required']
     },
     phone: {
@@ -33,6 +36,56 @@ const UserSchema = new mongoose.Schema(
     isActive: {
       type: Boolean,
       default: true
+    },
+    // Manages the companies of the deployment (see the Company model), besides working in their own
+    isSuperAdmin: {
+      type: Boolean,
+      default: false
+    },
+    locale: {
+      type: String,
+      enum: SUPPORTED_LOCALES
+    },
+    // Consecutive failed logins since the last successful one or lockout
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockUntil: {
+      type: Date
+    },
+    // Lockouts since the last successful login; each one lasts twice as long as the previous
+    lockoutCount: {
+      type: Number,
+      default: 0
+    },
+    // TOTP two-factor authentication; the secret is encrypted and recovery codes are hashed
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      enabledAt: {
+        type: Date
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret of an enrollment that has not been confirmed with a code yet
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Time step of the last accepted code, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false
+      }
     }
   },
   {
@@ -58,6 +111,101 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the account is temporarily locked after too many failed logins
+UserSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Count a failed login and lock the account once the limit is reached; returns true when locked.
+// Both steps are single atomic updates so parallel attempts cannot get past the limit.
+UserSchema.methods.registerFailedLogin = async function() {
+  const counted = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, allTenants: true }
+  );
+  if (!counted) return false;
+
+  let user = counted;
+  if (counted.failedLoginAttempts >= authConfig.maxLoginAttempts) {
+    const minutes = Math.min(
+      authConfig.lockoutMinutes * Math.pow(2, counted.lockoutCount),
+      authConfig.maxLockoutMinutes
+    );
+
+    // Only one of several parallel attempts that reached the limit applies the lockout
+    user = await this.constructor.findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: authConfig.maxLoginAttempts } },
+      {
+        $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + minutes * 60 * 1000) },
+        $inc: { lockoutCount: 1 }
+      },
+      { new: true, allTenants: true }
+    );
+  }
+
+  // Keep this document in step with the database without marking it as changed
+  const source = user || counted;
+  ['failedLoginAttempts', 'lockUntil', 'lockoutCount'].forEach(field => {
+    this[field] = source[field];
+    this.unmarkModified(field);
+  });
+
+  return Boolean(user && user !== counted);
+};
+
+// Clear failed logins and any lockout
+UserSchema.methods.resetLoginAttempts = async function() {
+  if (!this.failedLoginAttempts && !this.lockUntil && !this.lockoutCount) return;
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lockoutCount = 0;
+  await this.save();
+};
+
+// Use a recovery code (by its hash) once; returns false when it is not, or no longer, available.
+// Checked and removed in one conditional update so parallel requests cannot both use it.
+UserSchema.methods.useRecoveryCode = async function(hash) {
+  const user = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } },
+    { new: true, allTenants: true }
+  ).select('+twoFactor.recoveryCodes');
+  if (!user) return false;
+
+  this.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes;
+  this.unmarkModified('twoFactor.recoveryCodes');
+  return true;
+};
+
+// Accept an authenticator code of a time step once; returns false when a code of that step
+// or a later one was already used. One conditional update, like useRecoveryCode.
+UserSchema.methods.useCodeStep = async function(step) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+    { 'twoFactor.lastUsedStep': step },
+    { allTenants: true }
+  );
+  if (result.matchedCount === 0) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  this.unmarkModified('twoFactor.lastUsedStep');
+  return true;
+};
+
+// Turn off two-factor authentication and forget the secret and recovery codes
+UserSchema.methods.clearTwoFactor = function() {
+  this.twoFactor.enabled = false;
+  this.twoFactor.enabledAt = undefined;
+  this.twoFactor.secret = undefined;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.recoveryCodes = [];
+  this.twoFactor.lastUsedStep = undefined;
+};
+
+UserSchema.plugin(tenantPlugin);
+
 const User = mongoose.model('User', UserSchema);
 
 module.exports = User;
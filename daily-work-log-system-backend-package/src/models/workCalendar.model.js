@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const calendarConfig = require('../config/calendar.config');
+const tenantPlugin = require('../utils/tenantPlugin');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const HolidaySchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: [true, 'Holiday date is required'],
+      match: [DATE_PATTERN, 'Holiday date must be in YYYY-MM-DD format']
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    _id: false
+  }
+);
+
+// A day a single project works on a holiday/weekend, or stops on a working day
+const ProjectExceptionSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  date: {
+    type: String,
+    required: [true, 'Exception date is required'],
+    match: [DATE_PATTERN, 'Exception date must be in YYYY-MM-DD format']
+  },
+  isWorkingDay: {
+    type: Boolean,
+    required: [true, 'Working day flag is required']
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+});
+
+const WorkCalendarSchema = new mongoose.Schema(
+  {
+    workingDays: {
+      type: [{
+        type: Number,
+        min: [0, 'Working days must be between 0 (Sunday) and 6 (Saturday)'],
+        max: [6, 'Working days must be between 0 (Sunday) and 6 (Saturday)']
+      }],
+      default: () => calendarConfig.workingDays
+    },
+    holidays: {
+      type: [HolidaySchema],
+      default: () => calendarConfig.holidays.map(date => ({ date }))
+    },
+    projectExceptions: [ProjectExceptionSchema]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Get the calendar of the current company, creating it from the defaults on first use
+WorkCalendarSchema.statics.getCompanyCalendar = async function() {
+  const calendar = await this.findOne();
+  return calendar || this.create({});
+};
+
+// Each company has its own calendar
+WorkCalendarSchema.plugin(tenantPlugin);
+
+const WorkCalendar = mongoose.model('WorkCalendar', WorkCalendarSchema);
+
+module.exports = WorkCalendar;
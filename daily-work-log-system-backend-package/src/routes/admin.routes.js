@@ -0,0 +1,29 @@
+const express = require('express');
+const { query } = require('express-validator');
+const adminController = require('../controllers/admin.controller');
+const { verifyToken, requirePermission, requireSuperAdmin } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+// All routes require permission to manage jobs
+router.use(verifyToken, requirePermission('jobs:manage'));
+
+// List background jobs; their runs cover every company, so only super-admins see them
+router.get('/jobs', requireSuperAdmin, adminController.getJobs);
+
+// Run history of a job (super-admins only, like the job list)
+router.get(
+  '/jobs/:name/runs',
+  requireSuperAdmin,
+  [
+    query('status').optional().isIn(['running', 'succeeded', 'failed']).withMessage(localized('Invalid status value')),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage(localized('Limit must be between 1 and 200'))
+  ],
+  adminController.getJobRuns
+);
+
+// Trigger a job manually; jobs and their locks cover every company, so super-admins only
+router.post('/jobs/:name/run', requireSuperAdmin, adminController.runJob);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditController = require('../controllers/audit.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+// All routes require permission to read the audit log
+router.use(verifyToken, requirePermission('audit:read'));
+
+// Filters shared by the list and the export
+const filterValidation = [
+  query('action').optional().isString().withMessage(localized('Invalid action')),
+  query('actor').optional().isMongoId().withMessage(localized('Invalid user ID')),
+  query('targetUser').optional().isMongoId().withMessage(localized('Invalid user ID')),
+  query('entityType').optional().isString().withMessage(localized('Invalid entity type')),
+  query('entityId').optional().isMongoId().withMessage(localized('Invalid entity ID')),
+  query('startDate').optional().isISO8601().withMessage(localized('Valid start date is required')),
+  query('endDate').optional().isISO8601().withMessage(localized('Valid end date is required'))
+];
+
+// Get audit log entries (paginated with a cursor)
+router.get(
+  '/',
+  [
+    ...filterValidation,
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage(localized('Limit must be between 1 and 100'))
+  ],
+  auditController.getAuditLog
+);
+
+// Export audit log entries as CSV
+router.get('/export', filterValidation, auditController.exportAuditLog);
+
+module.exports = router;
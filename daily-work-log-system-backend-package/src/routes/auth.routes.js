@@ -1,23 +1,25 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const authController = require('../controllers/auth.controller');
-const { verifyToken } = require('../middleware/auth.middleware');
+const { verifyToken, verifyTokenOrSetupChallenge } = require('../middleware/auth.middleware');
+const { SUPPORTED_LOCALES, localized } = require('../utils/i18n');
 
 const router = express.Router();
 
-// Register a new user
+// Register a new user (the first administrator, or a self-registered user when enabled)
 router.post(
   '/register',
   [
     // Validation rules
-    body('fullName').notEmpty().withMessage('Full name is required'),
-    body('email').isEmail().withMessage('Valid email is required'),
+    body('fullName').notEmpty().withMessage(localized('Full name is required')),
+    body('email').isEmail().withMessage(localized('Valid email is required')),
     body('password')
       .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
-    body('role')
-      .isIn(['Manager', 'Team Leader'])
-      .withMessage('Role must be either Manager or Team Leader')
+      .withMessage(localized('Password must be at least 6 characters long')),
+    body('locale')
+      .optional()
+      .isIn(SUPPORTED_LOCALES)
+      .withMessage(localized('Unsupported language'))
   ],
   (req, res, next) => {
     // Check for validation errors
@@ -35,8 +37,8 @@ router.post(
   '/login',
   [
     // Validation rules
-    body('email').isEmail().withMessage('Valid email is required'),
-    body('password').notEmpty().withMessage('Password is required')
+    body('email').isEmail().withMessage(localized('Valid email is required')),
+    body('password').notEmpty().withMessage(localized('Password is required'))
   ],
   (req, res, next) => {
     // Check for validation errors
@@ -49,6 +51,158 @@ router.post(
   authController.login
 );
 
+// Second login step for users with two-factor authentication
+router.post(
+  '/login/2fa',
+  [
+    // Validation rules
+    body('challengeToken').isString().notEmpty().withMessage(localized('Login challenge is required')),
+    body('code')
+      .if(body('recoveryCode').not().exists())
+      .notEmpty()
+      .withMessage(localized('Authentication code or recovery code is required'))
+  ],
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.loginTwoFactor
+);
+
+// Exchange a refresh token for new tokens
+router.post(
+  '/refresh',
+  [
+    // Validation rules
+    body('refreshToken').isString().notEmpty().withMessage(localized('Refresh token is required'))
+  ],
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.refreshToken
+);
+
+// Request a password reset email
+router.post(
+  '/forgot-password',
+  [
+    // Validation rules
+    body('email').isEmail().withMessage(localized('Valid email is required'))
+  ],
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.forgotPassword
+);
+
+// Set a new password with the token from the reset email
+router.post(
+  '/reset-password',
+  [
+    // Validation rules
+    body('token').isString().notEmpty().withMessage(localized('Reset token is required')),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage(localized('Password must be at least 6 characters long'))
+  ],
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.resetPassword
+);
+
+// Log out of the current session (requires authentication)
+router.post('/logout', verifyToken, authController.logout);
+
+// Log out of all devices (requires authentication)
+router.post('/logout-all', verifyToken, authController.logoutAll);
+
+// List active sessions (requires authentication)
+router.get('/sessions', verifyToken, authController.getSessions);
+
+// Revoke one session (requires authentication)
+router.delete('/sessions/:id', verifyToken, authController.revokeSession);
+
+// Start two-factor enrollment (requires authentication or a setup challenge from login)
+router.post('/2fa/setup', verifyTokenOrSetupChallenge, authController.setupTwoFactor);
+
+// Confirm two-factor enrollment with a code (requires authentication or a setup challenge from login)
+router.post(
+  '/2fa/enable',
+  [
+    // Validation rules
+    body('code').notEmpty().withMessage(localized('Authentication code is required'))
+  ],
+  verifyTokenOrSetupChallenge,
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.enableTwoFactor
+);
+
+// Turn off two-factor authentication (requires authentication)
+router.post(
+  '/2fa/disable',
+  [
+    // Validation rules
+    body('password').notEmpty().withMessage(localized('Password is required')),
+    body('code').notEmpty().withMessage(localized('Authentication code is required'))
+  ],
+  verifyToken,
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.disableTwoFactor
+);
+
+// Replace the two-factor recovery codes (requires authentication)
+router.post(
+  '/2fa/recovery-codes',
+  [
+    // Validation rules
+    body('code').notEmpty().withMessage(localized('Authentication code is required'))
+  ],
+  verifyToken,
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.regenerateRecoveryCodes
+);
+
 // Get current user profile (requires authentication)
 router.get('/me', verifyToken, authController.getCurrentUser);
 
@@ -57,10 +211,10 @@ router.post(
   '/change-password',
   [
     // Validation rules
-    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('currentPassword').notEmpty().withMessage(localized('Current password is required')),
     body('newPassword')
       .isLength({ min: 6 })
-      .withMessage('New password must be at least 6 characters long')
+      .withMessage(localized('New password must be at least 6 characters long'))
   ],
   verifyToken,
   (req, res, next) => {
@@ -74,4 +228,25 @@ router.post(
   authController.changePassword
 );
 
+// Change language (requires authentication)
+router.put(
+  '/locale',
+  [
+    // Validation rules
+    body('locale')
+      .isIn(SUPPORTED_LOCALES)
+      .withMessage(localized('Unsupported language'))
+  ],
+  verifyToken,
+  (req, res, next) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+  },
+  authController.changeLocale
+);
+
 module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const calendarController = require('../controllers/calendar.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Get the company work calendar
+router.get('/', calendarController.getCalendar);
+
+// List days of a period with their type
+router.get(
+  '/days',
+  [
+    query('startDate').isISO8601().withMessage(localized('Valid start date is required')),
+    query('endDate').isISO8601().withMessage(localized('Valid end date is required')),
+    query('project').optional().isMongoId().withMessage(localized('Invalid project ID'))
+  ],
+  calendarController.getDays
+);
+
+// Update working weekdays and holidays
+router.put(
+  '/',
+  requirePermission('calendar:manage'),
+  [
+    body('workingDays').optional().isArray().withMessage(localized('Working days must be an array')),
+    body('workingDays.*').isInt({ min: 0, max: 6 }).withMessage(localized('Working days must be between 0 (Sunday) and 6 (Saturday)')).toInt(),
+    body('holidays').optional().isArray().withMessage(localized('Holidays must be an array')),
+    body('holidays.*.date').matches(DATE_PATTERN).withMessage(localized('Holiday date must be in YYYY-MM-DD format')),
+    body('holidays.*.name').optional().isString().withMessage(localized('Holiday name must be text'))
+  ],
+  calendarController.updateCalendar
+);
+
+// Add or replace a project exception
+router.post(
+  '/exceptions',
+  requirePermission('calendar:manage'),
+  [
+    body('project').isMongoId().withMessage(localized('Valid project ID is required')),
+    body('date').matches(DATE_PATTERN).withMessage(localized('Exception date must be in YYYY-MM-DD format')),
+    body('isWorkingDay').isBoolean().withMessage(localized('isWorkingDay must be a boolean')).toBoolean(),
+    body('note').optional().isString().withMessage(localized('Note must be text'))
+  ],
+  calendarController.setProjectException
+);
+
+// Remove a project exception
+router.delete('/exceptions/:id', requirePermission('calendar:manage'), calendarController.deleteProjectException);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const { body } = require('express-validator');
+const companyController = require('../controllers/company.controller');
+const { verifyToken, requireSuperAdmin } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+// All routes are for super-admins and work across companies
+router.use(verifyToken, requireSuperAdmin);
+
+// Get all companies
+router.get('/', companyController.getCompanies);
+
+// Create a company
+router.post(
+  '/',
+  [
+    body('name').isString().trim().notEmpty().withMessage(localized('Company name is required'))
+  ],
+  companyController.createCompany
+);
+
+// Rename, activate or deactivate a company
+router.put(
+  '/:id',
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage(localized('Company name cannot be empty')),
+    body('isActive').optional().isBoolean().withMessage(localized('isActive must be a boolean')).toBoolean()
+  ],
+  companyController.updateCompany
+);
+
+// Get the users of a company
+router.get('/:id/users', companyController.getCompanyUsers);
+
+// Move a user to a company
+router.post(
+  '/:id/users',
+  [
+    body('user').isMongoId().withMessage(localized('Valid user ID is required'))
+  ],
+  companyController.moveUser
+);
+
+module.exports = router;
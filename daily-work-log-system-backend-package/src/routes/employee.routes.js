@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const employeeController = require('../controllers/employee.controller');
-const { verifyToken, isManager, isManagerOrTeamLeader } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -9,45 +10,45 @@ const router = express.Router();
 router.use(verifyToken);
 
 // Get all employees
-router.get('/', isManagerOrTeamLeader, employeeController.getAllEmployees);
+router.get('/', requirePermission('employees:read'), employeeController.getAllEmployees);
 
 // Get active employees
-router.get('/active', isManagerOrTeamLeader, employeeController.getActiveEmployees);
+router.get('/active', requirePermission('employees:read'), employeeController.getActiveEmployees);
 
 // Get employee by ID
-router.get('/:id', isManagerOrTeamLeader, employeeController.getEmployeeById);
+router.get('/:id', requirePermission('employees:read'), employeeController.getEmployeeById);
 
-// Create a new employee (managers only)
+// Create a new employee
 router.post(
   '/',
-  isManager,
+  requirePermission('employees:write'),
   [
     // Validation rules
-    body('fullName').notEmpty().withMessage('Full name is required'),
-    body('position').notEmpty().withMessage('Position is required'),
-    body('email').optional().isEmail().withMessage('Valid email is required')
+    body('fullName').notEmpty().withMessage(localized('Full name is required')),
+    body('position').notEmpty().withMessage(localized('Position is required')),
+    body('email').optional().isEmail().withMessage(localized('Valid email is required'))
   ],
   employeeController.createEmployee
 );
 
-// Update an employee (managers only)
+// Update an employee
 router.put(
   '/:id',
-  isManager,
+  requirePermission('employees:write'),
   [
     // Validation rules (optional fields for update)
-    body('fullName').optional().notEmpty().withMessage('Full name cannot be empty'),
-    body('position').optional().notEmpty().withMessage('Position cannot be empty'),
-    body('email').optional().isEmail().withMessage('Valid email is required'),
-    body('hireDate').optional().isISO8601().withMessage('Valid hire date is required')
+    body('fullName').optional().notEmpty().withMessage(localized('Full name cannot be empty')),
+    body('position').optional().notEmpty().withMessage(localized('Position cannot be empty')),
+    body('email').optional().isEmail().withMessage(localized('Valid email is required')),
+    body('hireDate').optional().isISO8601().withMessage(localized('Valid hire date is required'))
   ],
   employeeController.updateEmployee
 );
 
-// Delete an employee (managers only)
-router.delete('/:id', isManager, employeeController.deleteEmployee);
+// Delete an employee
+router.delete('/:id', requirePermission('employees:write'), employeeController.deleteEmployee);
 
-// Toggle employee active status (managers only)
-router.patch('/:id/toggle-status', isManager, employeeController.toggleEmployeeStatus);
+// Toggle employee active status
+router.patch('/:id/toggle-status', requirePermission('employees:write'), employeeController.toggleEmployeeStatus);
 
 module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const invitationController = require('../controllers/invitation.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { SUPPORTED_LOCALES, localized } = require('../utils/i18n');
+const { isExistingRole } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Accept an invitation; the emailed token stands in for authentication
+router.post(
+  '/accept',
+  [
+    body('token').isString().notEmpty().withMessage(localized('Invitation token is required')),
+    body('fullName').optional().notEmpty().withMessage(localized('Full name cannot be empty')),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage(localized('Password must be at least 6 characters long')),
+    body('locale')
+      .optional()
+      .isIn(SUPPORTED_LOCALES)
+      .withMessage(localized('Unsupported language'))
+  ],
+  invitationController.acceptInvitation
+);
+
+// All other routes require permission to manage users
+router.use(verifyToken, requirePermission('users:manage'));
+
+// Get invitations
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']).withMessage(localized('Invalid status value'))
+  ],
+  invitationController.getInvitations
+);
+
+// Invite a new user
+router.post(
+  '/',
+  [
+    body('email').isEmail().withMessage(localized('Valid email is required')),
+    body('role')
+      .custom(isExistingRole)
+      .withMessage(localized('Role not found')),
+    body('fullName').optional().notEmpty().withMessage(localized('Full name cannot be empty')),
+    body('projects').optional().isArray().withMessage(localized('Projects must be an array')),
+    body('projects.*').isMongoId().withMessage(localized('Invalid project ID')),
+    body('locale')
+      .optional()
+      .isIn(SUPPORTED_LOCALES)
+      .withMessage(localized('Unsupported language'))
+  ],
+  invitationController.createInvitation
+);
+
+// Send an invitation again with a new link
+router.post('/:id/resend', invitationController.resendInvitation);
+
+// Revoke an invitation
+router.delete('/:id', invitationController.revokeInvitation);
+
+module.exports = router;
@@ -1,34 +1,48 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const logController = require('../controllers/log.controller');
-const { verifyToken, isManager, isTeamLeader, isManagerOrTeamLeader } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
 
 const router = express.Router();
 
+// Employee entries are detailed objects or, from older clients, plain employee ids
+const isObjectId = value => typeof value === 'string' && /^[a-f\d]{24}$/i.test(value);
+const isEmployeeEntry = entry => (entry && typeof entry === 'object' ? isObjectId(entry.employee) : isObjectId(entry));
+
 // All routes require authentication
 router.use(verifyToken);
 
 // Get all logs (with filtering)
-router.get('/', isManagerOrTeamLeader, logController.getAllLogs);
+router.get('/', requirePermission('logs:read', 'logs:write'), logController.getAllLogs);
 
 // Get logs for current team leader
-router.get('/my-logs', isTeamLeader, logController.getMyLogs);
+router.get('/my-logs', requirePermission('logs:write'), logController.getMyLogs);
 
 // Get log by ID
-router.get('/:id', isManagerOrTeamLeader, logController.getLogById);
+router.get('/:id', requirePermission('logs:read', 'logs:write'), logController.getLogById);
+
+// Get the revision history of a log
+router.get('/:id/history', requirePermission('logs:read', 'logs:write'), logController.getLogHistory);
 
 // Create a new log (team leaders only)
 router.post(
   '/',
-  isTeamLeader,
+  requirePermission('logs:write'),
   [
     // Validation rules
-    body('date').isISO8601().withMessage('Valid date is required'),
-    body('project').isMongoId().withMessage('Valid project ID is required'),
-    body('employees').isArray().withMessage('Employees must be an array'),
-    body('startTime').isISO8601().withMessage('Valid start time is required'),
-    body('endTime').isISO8601().withMessage('Valid end time is required'),
-    body('workDescription').notEmpty().withMessage('Work description is required')
+    body('date').isISO8601().withMessage(localized('Valid date is required')),
+    body('project').isMongoId().withMessage(localized('Valid project ID is required')),
+    body('employees').isArray().withMessage(localized('Employees must be an array')),
+    body('employees.*').custom(isEmployeeEntry).withMessage(localized('Valid employee ID is required')),
+    body('employees.*.startTime').optional().isISO8601().withMessage(localized('Valid employee start time is required')),
+    body('employees.*.endTime').optional().isISO8601().withMessage(localized('Valid employee end time is required')),
+    body('employees.*.breakMinutes').optional().isInt({ min: 0 }).withMessage(localized('Break minutes must be a positive number')),
+    body('employees.*.isAbsent').optional().isBoolean().withMessage(localized('Absence flag must be a boolean')),
+    body('startTime').isISO8601().withMessage(localized('Valid start time is required')),
+    body('endTime').isISO8601().withMessage(localized('Valid end time is required')),
+    body('workDescription').notEmpty().withMessage(localized('Work description is required')),
+    body('status').optional().isIn(['draft', 'submitted']).withMessage(localized('Invalid status value'))
   ],
   logController.createLog
 );
@@ -36,29 +50,46 @@ router.post(
 // Update a log (team leaders only)
 router.put(
   '/:id',
-  isTeamLeader,
+  requirePermission('logs:write'),
   [
     // Validation rules (optional fields for update)
-    body('date').optional().isISO8601().withMessage('Valid date is required'),
-    body('project').optional().isMongoId().withMessage('Valid project ID is required'),
-    body('employees').optional().isArray().withMessage('Employees must be an array'),
-    body('startTime').optional().isISO8601().withMessage('Valid start time is required'),
-    body('endTime').optional().isISO8601().withMessage('Valid end time is required'),
-    body('workDescription').optional().notEmpty().withMessage('Work description cannot be empty')
+    body('date').optional().isISO8601().withMessage(localized('Valid date is required')),
+    body('project').optional().isMongoId().withMessage(localized('Valid project ID is required')),
+    body('employees').optional().isArray().withMessage(localized('Employees must be an array')),
+    body('employees.*').custom(isEmployeeEntry).withMessage(localized('Valid employee ID is required')),
+    body('employees.*.startTime').optional().isISO8601().withMessage(localized('Valid employee start time is required')),
+    body('employees.*.endTime').optional().isISO8601().withMessage(localized('Valid employee end time is required')),
+    body('employees.*.breakMinutes').optional().isInt({ min: 0 }).withMessage(localized('Break minutes must be a positive number')),
+    body('employees.*.isAbsent').optional().isBoolean().withMessage(localized('Absence flag must be a boolean')),
+    body('startTime').optional().isISO8601().withMessage(localized('Valid start time is required')),
+    body('endTime').optional().isISO8601().withMessage(localized('Valid end time is required')),
+    body('workDescription').optional().notEmpty().withMessage(localized('Work description cannot be empty')),
+    body('status').optional().isIn(['draft', 'submitted']).withMessage(localized('Invalid status value'))
   ],
   logController.updateLog
 );
 
 // Submit a log (team leaders only)
-router.patch('/:id/submit', isTeamLeader, logController.submitLog);
+router.patch('/:id/submit', requirePermission('logs:write'), logController.submitLog);
 
-// Approve a log (managers only)
-router.patch('/:id/approve', isManager, logController.approveLog);
+// Approve a log
+router.patch('/:id/approve', requirePermission('logs:approve'), logController.approveLog);
+
+// Reject a log and return it for revision
+router.patch(
+  '/:id/reject',
+  requirePermission('logs:approve'),
+  [
+    // Validation rules
+    body('reason').trim().notEmpty().withMessage(localized('A reason for rejection is required'))
+  ],
+  logController.rejectLog
+);
 
 // Delete a log
-router.delete('/:id', isManagerOrTeamLeader, logController.deleteLog);
+router.delete('/:id', requirePermission('logs:write', 'logs:manage'), logController.deleteLog);
 
 // Export log to PDF
-router.get('/:id/export-pdf', isManagerOrTeamLeader, logController.exportLogToPdf);
+router.get('/:id/export-pdf', requirePermission('logs:read', 'logs:write'), logController.exportLogToPdf);
 
 module.exports = router;
@@ -1,14 +1,53 @@
 const express = require('express');
+const { body, query } = require('express-validator');
 const notificationController = require('../controllers/notification.controller');
-const { verifyToken } = require('../middleware/auth.middleware');
+const Notification = require('../models/notification.model');
+const { verifyToken, verifyStreamTicket } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
 
 const router = express.Router();
 
+// Stream of real-time events; EventSource clients cannot send headers, so they pass a
+// single-use ticket (see POST /stream-ticket) in the query string
+router.get('/stream', verifyStreamTicket, notificationController.streamEvents);
+
 // All routes require authentication
 router.use(verifyToken);
 
-// Get notifications for the current user
-router.get('/', notificationController.getUserNotifications);
+// Get a ticket for opening the event stream
+router.post('/stream-ticket', notificationController.createStreamTicket);
+
+// Get notifications for the current user (paginated with a cursor)
+router.get(
+  '/',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage(localized('Limit must be between 1 and 100')),
+    query('type').optional().custom(value => value.split(',').every(type => Notification.NOTIFICATION_TYPES.includes(type)))
+      .withMessage(localized('Invalid notification type')),
+    query('isRead').optional().isBoolean().withMessage(localized('isRead must be a boolean')),
+    query('archived').optional().isBoolean().withMessage(localized('archived must be a boolean'))
+  ],
+  notificationController.getUserNotifications
+);
+
+// Get the number of unread notifications
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// Get notification preferences of the current user
+router.get('/preferences', notificationController.getPreferences);
+
+// Update notification preferences of the current user
+router.put(
+  '/preferences',
+  [
+    body('preferences').isArray({ min: 1 }).withMessage(localized('Preferences must be a non-empty array')),
+    body('preferences.*.type').isIn(Notification.NOTIFICATION_TYPES).withMessage(localized('Invalid notification type')),
+    body('preferences.*.enabled').optional().isBoolean().withMessage(localized('Enabled preference must be a boolean')).toBoolean(),
+    body('preferences.*.realtime').optional().isBoolean().withMessage(localized('Real-time preference must be a boolean')).toBoolean(),
+    body('preferences.*.email').optional().isBoolean().withMessage(localized('Email preference must be a boolean')).toBoolean()
+  ],
+  notificationController.updatePreferences
+);
 
 // Mark a notification as read
 router.put('/:id/read', notificationController.markAsRead);
@@ -16,4 +55,13 @@ router.put('/:id/read', notificationController.markAsRead);
 // Mark all notifications as read
 router.put('/read-all', notificationController.markAllAsRead);
 
+// Archive a notification
+router.put('/:id/archive', notificationController.archiveNotification);
+
+// Restore an archived notification
+router.put('/:id/unarchive', notificationController.unarchiveNotification);
+
+// Delete a notification
+router.delete('/:id', notificationController.deleteNotification);
+
 module.exports = router;
@@ -1,61 +1,146 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const projectController = require('../controllers/project.controller');
-const { verifyToken, isManager } = require('../middleware/auth.middleware');
+const shareController = require('../controllers/share.controller');
+const authConfig = require('../config/auth.config');
+const { verifyToken, requirePermission, requireProjectAccess } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(verifyToken);
 
-// Get all projects
+// Get all projects the user belongs to
 router.get('/', projectController.getAllProjects);
 
-// Get active projects
+// Get active projects the user belongs to
 router.get('/active', projectController.getActiveProjects);
 
 // Get project by ID
-router.get('/:id', projectController.getProjectById);
+router.get('/:id', requireProjectAccess(), projectController.getProjectById);
 
-// Create a new project (managers only)
+// Get the members of a project
+router.get('/:id/members', requireProjectAccess(), projectController.getProjectMembers);
+
+// Add a manager or member to a project
+router.post(
+  '/:id/members',
+  requirePermission('projects:write'),
+  requireProjectAccess(),
+  [
+    body('user').isMongoId().withMessage(localized('Valid user ID is required')),
+    body('projectRole').isIn(['manager', 'member']).withMessage(localized('Project role must be either manager or member'))
+  ],
+  projectController.addProjectMember
+);
+
+// Remove a manager or member from a project
+router.delete('/:id/members/:userId', requirePermission('projects:write'), requireProjectAccess(), projectController.removeProjectMember);
+
+// Get the client share links of a project
+router.get('/:id/share-links', requirePermission('projects:write'), requireProjectAccess(), shareController.getShareLinks);
+
+// Create a client share link to a project
+router.post(
+  '/:id/share-links',
+  requirePermission('projects:write'),
+  requireProjectAccess(),
+  [
+    body('label').optional().isString().withMessage(localized('Label must be a string')),
+    body('expiresInDays').optional().isInt({ min: 1, max: authConfig.shareLinkMaxDays })
+      .withMessage(localized('Expiry must be between 1 and {{max}} days', { max: authConfig.shareLinkMaxDays }))
+  ],
+  shareController.createShareLink
+);
+
+// Revoke a client share link
+router.delete('/:id/share-links/:linkId', requirePermission('projects:write'), requireProjectAccess(), shareController.revokeShareLink);
+
+// Choose what clients see of a project
+router.put(
+  '/:id/client-portal',
+  requirePermission('projects:write'),
+  requireProjectAccess(),
+  [
+    body(['showIssues', 'showEmployeeNames', 'showHours', 'showMaterials'])
+      .optional().isBoolean().withMessage(localized('Client portal settings must be booleans')).toBoolean()
+  ],
+  shareController.updatePortalSettings
+);
+
+// Create a new project
 router.post(
   '/',
-  isManager,
+  requirePermission('projects:write'),
   [
     // Validation rules
-    body('name').notEmpty().withMessage('Project name is required'),
-    body('address').notEmpty().withMessage('Address is required'),
-    body('city').notEmpty().withMessage('City is required'),
-    body('state').notEmpty().withMessage('State is required'),
-    body('zipCode').notEmpty().withMessage('Zip code is required'),
-    body('startDate').isISO8601().withMessage('Valid start date is required')
+    body('name').notEmpty().withMessage(localized('Project name is required')),
+    body('address').notEmpty().withMessage(localized('Address is required')),
+    body('city').notEmpty().withMessage(localized('City is required')),
+    body('state').notEmpty().withMessage(localized('State is required')),
+    body('zipCode').notEmpty().withMessage(localized('Zip code is required')),
+    body('startDate').isISO8601().withMessage(localized('Valid start date is required')),
+    body('managers').optional().isArray().withMessage(localized('Managers must be an array')),
+    body('managers.*').isMongoId().withMessage(localized('Invalid manager ID'))
   ],
   projectController.createProject
 );
 
-// Update a project (managers only)
+// Update a project
 router.put(
   '/:id',
-  isManager,
+  requirePermission('projects:write'),
+  requireProjectAccess(),
   [
     // Validation rules (optional fields for update)
-    body('name').optional().notEmpty().withMessage('Project name cannot be empty'),
-    body('address').optional().notEmpty().withMessage('Address cannot be empty'),
-    body('city').optional().notEmpty().withMessage('City cannot be empty'),
-    body('state').optional().notEmpty().withMessage('State cannot be empty'),
-    body('zipCode').optional().notEmpty().withMessage('Zip code cannot be empty'),
-    body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
-    body('estimatedEndDate').optional().isISO8601().withMessage('Valid estimated end date is required'),
-    body('actualEndDate').optional().isISO8601().withMessage('Valid actual end date is required'),
-    body('status').optional().isIn(['active', 'completed', 'on-hold', 'cancelled']).withMessage('Invalid status value')
+    body('name').optional().notEmpty().withMessage(localized('Project name cannot be empty')),
+    body('address').optional().notEmpty().withMessage(localized('Address cannot be empty')),
+    body('city').optional().notEmpty().withMessage(localized('City cannot be empty')),
+    body('state').optional().notEmpty().withMessage(localized('State cannot be empty')),
+    body('zipCode').optional().notEmpty().withMessage(localized('Zip code cannot be empty')),
+    body('startDate').optional().isISO8601().withMessage(localized('Valid start date is required')),
+    body('estimatedEndDate').optional().isISO8601().withMessage(localized('Valid estimated end date is required')),
+    body('actualEndDate').optional().isISO8601().withMessage(localized('Valid actual end date is required')),
+    body('status').optional().isIn(['active', 'completed', 'on-hold', 'cancelled']).withMessage(localized('Invalid status value')),
+    body('managers').optional().isArray().withMessage(localized('Managers must be an array')),
+    body('managers.*').isMongoId().withMessage(localized('Invalid manager ID'))
   ],
   projectController.updateProject
 );
 
-// Delete a project (managers only)
-router.delete('/:id', isManager, projectController.deleteProject);
+// Assign a team leader to a project
+router.post(
+  '/:id/assignments',
+  requirePermission('projects:write'),
+  requireProjectAccess(),
+  [
+    body('teamLeader').isMongoId().withMessage(localized('Valid team leader ID is required')),
+    body('startDate').isISO8601().withMessage(localized('Valid start date is required')),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage(localized('Valid end date is required'))
+  ],
+  projectController.addAssignment
+);
+
+// Update a team leader assignment
+router.put(
+  '/:id/assignments/:assignmentId',
+  requirePermission('projects:write'),
+  requireProjectAccess(),
+  [
+    body('startDate').optional().isISO8601().withMessage(localized('Valid start date is required')),
+    body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage(localized('Valid end date is required'))
+  ],
+  projectController.updateAssignment
+);
+
+// Remove a team leader assignment
+router.delete('/:id/assignments/:assignmentId', requirePermission('projects:write'), requireProjectAccess(), projectController.deleteAssignment);
+
+// Delete a project
+router.delete('/:id', requirePermission('projects:write'), requireProjectAccess(), projectController.deleteProject);
 
-// Toggle project active status (managers only)
-router.patch('/:id/toggle-status', isManager, projectController.toggleProjectStatus);
+// Toggle project active status
+router.patch('/:id/toggle-status', requirePermission('projects:write'), requireProjectAccess(), projectController.toggleProjectStatus);
 
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const { query } = require('express-validator');
+const reportController = require('../controllers/report.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Export approved logs as a payroll timesheet
+router.get(
+  '/timesheet',
+  requirePermission('reports:export'),
+  [
+    // Validation rules
+    query('format').optional().isIn(['csv', 'xlsx']).withMessage(localized('Format must be either csv or xlsx')),
+    query('groupBy').optional().isIn(['day', 'week']).withMessage(localized('Group by must be either day or week')),
+    query('startDate').optional().isISO8601().withMessage(localized('Valid start date is required')),
+    query('endDate').optional().isISO8601().withMessage(localized('Valid end date is required')),
+    query('project').optional().isMongoId().withMessage(localized('Valid project ID is required')),
+    query('teamLeader').optional().isMongoId().withMessage(localized('Valid team leader ID is required'))
+  ],
+  reportController.exportTimesheet
+);
+
+// Export a consolidated PDF report of the logs matching the filters
+router.get(
+  '/logs-pdf',
+  requirePermission('reports:view'),
+  [
+    // Validation rules
+    query('period').optional().isIn(['week', 'month']).withMessage(localized('Period must be either week or month')),
+    query('date').optional().isISO8601().withMessage(localized('Valid reference date is required')),
+    query('startDate').optional().isISO8601().withMessage(localized('Valid start date is required')),
+    query('endDate').optional().isISO8601().withMessage(localized('Valid end date is required')),
+    query('project').optional().isMongoId().withMessage(localized('Valid project ID is required')),
+    query('teamLeader').optional().isMongoId().withMessage(localized('Valid team leader ID is required'))
+  ],
+  reportController.exportLogsReportPdf
+);
+
+module.exports = router;
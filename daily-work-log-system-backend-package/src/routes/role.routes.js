@@ -0,0 +1,51 @@
+const express = require('express');
+const { body } = require('express-validator');
+const roleController = require('../controllers/role.controller');
+const { verifyToken, requirePermission, requireSuperAdmin } = require('../middleware/auth.middleware');
+const { PERMISSIONS } = require('../config/permissions.config');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Get all roles (also needed to assign roles to users)
+router.get('/', requirePermission('roles:manage', 'users:manage'), roleController.getRoles);
+
+// List available permissions
+router.get('/permissions', requirePermission('roles:manage'), roleController.getPermissions);
+
+// Roles are shared by all companies, so only super-admins change them
+
+// Create a role
+router.post(
+  '/',
+  requirePermission('roles:manage'),
+  requireSuperAdmin,
+  [
+    body('name').isString().trim().notEmpty().withMessage(localized('Role name is required')),
+    body('description').optional().isString().withMessage(localized('Description must be text')),
+    body('permissions').isArray().withMessage(localized('Permissions must be an array')),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage(localized('Invalid permission'))
+  ],
+  roleController.createRole
+);
+
+// Update a role
+router.put(
+  '/:id',
+  requirePermission('roles:manage'),
+  requireSuperAdmin,
+  [
+    body('description').optional().isString().withMessage(localized('Description must be text')),
+    body('permissions').optional().isArray().withMessage(localized('Permissions must be an array')),
+    body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage(localized('Invalid permission'))
+  ],
+  roleController.updateRole
+);
+
+// Delete a role
+router.delete('/:id', requirePermission('roles:manage'), requireSuperAdmin, roleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const shareController = require('../controllers/share.controller');
+const reportController = require('../controllers/report.controller');
+const { verifyShareLink } = require('../middleware/auth.middleware');
+const { localized } = require('../utils/i18n');
+
+const router = express.Router();
+
+// Client portal: the share link in the URL gives read-only access to one project, no login needed
+router.use('/:token', verifyShareLink);
+
+// Date range validation for the shared logs
+const dateRangeRules = [
+  query('startDate').optional().isISO8601().withMessage(localized('Valid start date is required')),
+  query('endDate').optional().isISO8601().withMessage(localized('Valid end date is required'))
+];
+
+// Get the shared project
+router.get('/:token', shareController.getSharedProject);
+
+// Get the approved logs of the shared project
+router.get('/:token/logs', dateRangeRules, shareController.getSharedLogs);
+
+// Get the photos selected for the client
+router.get('/:token/photos', dateRangeRules, shareController.getSharedPhotos);
+
+// Download a photo selected for the client
+router.get(
+  '/:token/photos/:photoId',
+  [
+    param('photoId').isMongoId().withMessage(localized('Invalid file ID'))
+  ],
+  shareController.getSharedPhotoFile
+);
+
+// Export the consolidated PDF report of the shared project
+router.get(
+  '/:token/report',
+  [
+    // Validation rules
+    query('period').optional().isIn(['week', 'month']).withMessage(localized('Period must be either week or month')),
+    query('date').optional().isISO8601().withMessage(localized('Valid reference date is required')),
+    ...dateRangeRules
+  ],
+  reportController.exportSharedReportPdf
+);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
+const { body, param } = require('express-validator');
 const uploadController = require('../controllers/upload.controller');
-const { verifyToken, isManagerOrTeamLeader } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
 const { uploadPhotos, uploadDocuments } = require('../middleware/upload.middleware');
+const { localized } = require('../utils/i18n');
 
 const router = express.Router();
 
@@ -11,7 +13,7 @@ router.use(verifyToken);
 // Upload photos to a daily log
 router.post(
   '/:logId/photos',
-  isManagerOrTeamLeader,
+  requirePermission('logs:write', 'logs:manage'),
   uploadPhotos.array('photos', 10), // Allow up to 10 photos
   uploadController.uploadPhotos
 );
@@ -19,15 +21,36 @@ router.post(
 // Upload documents to a daily log
 router.post(
   '/:logId/documents',
-  isManagerOrTeamLeader,
+  requirePermission('logs:write', 'logs:manage'),
   uploadDocuments.array('documents', 10), // Allow up to 10 documents
   uploadController.uploadDocuments
 );
 
+// Select a photo for the client portal of the log's project
+router.patch(
+  '/:logId/photos/:photoId/share',
+  requirePermission('logs:approve', 'logs:manage'),
+  [
+    body('shared').isBoolean().withMessage(localized('Shared must be a boolean')).toBoolean()
+  ],
+  uploadController.setPhotoShared
+);
+
+// Download a file (photo or document)
+router.get(
+  '/:logId/:fileType/:fileId',
+  requirePermission('logs:read', 'logs:write'),
+  [
+    param('logId').isMongoId().withMessage(localized('Invalid log ID')),
+    param('fileId').isMongoId().withMessage(localized('Invalid file ID'))
+  ],
+  uploadController.getFile
+);
+
 // Delete a file (photo or document)
 router.delete(
   '/:logId/:fileType/:fileId',
-  isManagerOrTeamLeader,
+  requirePermission('logs:write', 'logs:manage'),
   uploadController.deleteFile
 );
 
@@ -1,64 +1,80 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const userController = require('../controllers/user.controller');
-const { verifyToken, isManager } = require('../middleware/auth.middleware');
+const { verifyToken, requirePermission } = require('../middleware/auth.middleware');
+const { SUPPORTED_LOCALES, localized } = require('../utils/i18n');
+const { isExistingRole } = require('../utils/permissions');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(verifyToken);
 
-// Get all users (managers only)
-router.get('/', isManager, userController.getAllUsers);
+// Get all users
+router.get('/', requirePermission('users:manage'), userController.getAllUsers);
 
-// Get team leaders (for manager dashboard)
-router.get('/team-leaders', isManager, userController.getTeamLeaders);
+// Get team leaders (users who write daily logs)
+router.get('/team-leaders', requirePermission('users:manage', 'projects:write', 'logs:read'), userController.getTeamLeaders);
 
 // Get user by ID
 router.get('/:id', userController.getUserById);
 
-// Create a new user (managers only)
+// Create a new user
 router.post(
   '/',
-  isManager,
+  requirePermission('users:manage'),
   [
     // Validation rules
-    body('fullName').notEmpty().withMessage('Full name is required'),
-    body('email').isEmail().withMessage('Valid email is required'),
+    body('fullName').notEmpty().withMessage(localized('Full name is required')),
+    body('email').isEmail().withMessage(localized('Valid email is required')),
     body('password')
       .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
+      .withMessage(localized('Password must be at least 6 characters long')),
     body('role')
-      .isIn(['Manager', 'Team Leader'])
-      .withMessage('Role must be either Manager or Team Leader')
+      .custom(isExistingRole)
+      .withMessage(localized('Role not found')),
+    body('locale')
+      .optional()
+      .isIn(SUPPORTED_LOCALES)
+      .withMessage(localized('Unsupported language'))
   ],
   userController.createUser
 );
 
-// Update a user (managers only)
+// Update a user
 router.put(
   '/:id',
-  isManager,
+  requirePermission('users:manage'),
   [
     // Validation rules (optional fields for update)
-    body('fullName').optional().notEmpty().withMessage('Full name cannot be empty'),
-    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('fullName').optional().notEmpty().withMessage(localized('Full name cannot be empty')),
+    body('email').optional().isEmail().withMessage(localized('Valid email is required')),
     body('password')
       .optional()
       .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long'),
+      .withMessage(localized('Password must be at least 6 characters long')),
     body('role')
       .optional()
-      .isIn(['Manager', 'Team Leader'])
-      .withMessage('Role must be either Manager or Team Leader')
+      .custom(isExistingRole)
+      .withMessage(localized('Role not found')),
+    body('locale')
+      .optional()
+      .isIn(SUPPORTED_LOCALES)
+      .withMessage(localized('Unsupported language'))
   ],
   userController.updateUser
 );
 
-// Delete a user (managers only)
-router.delete('/:id', isManager, userController.deleteUser);
+// Delete a user
+router.delete('/:id', requirePermission('users:manage'), userController.deleteUser);
+
+// Toggle user active status
+router.patch('/:id/toggle-status', requirePermission('users:manage'), userController.toggleUserStatus);
+
+// Unlock an account locked after failed logins
+router.patch('/:id/unlock', requirePermission('users:manage'), userController.unlockUser);
 
-// Toggle user active status (managers only)
-router.patch('/:id/toggle-status', isManager, userController.toggleUserStatus);
+// Reset a user's two-factor authentication
+router.delete('/:id/2fa', requirePermission('users:manage'), userController.resetTwoFactor);
 
 module.exports = router;
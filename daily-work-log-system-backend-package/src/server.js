@@ -1,56 +1,11 @@
 require('dotenv').config();
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const path = require('path');
+const app = require('./app');
 const { initScheduledTasks } = require('./utils/scheduler');
-
-// Import routes
-const authRoutes = require('./routes/auth.routes');
-const userRoutes = require('./routes/user.routes');
-const projectRoutes = require('./routes/project.routes');
-const employeeRoutes = require('./routes/employee.routes');
-const logRoutes = require('./routes/log.routes');
-const uploadRoutes = require('./routes/upload.routes');
-const notificationRoutes = require('./routes/notification.routes');
-
-// Create Express app
-const app = express();
-
-// Set up middleware
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Parse JSON request body
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request body
-app.use(morgan('dev')); // HTTP request logger
-
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
-// API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/projects', projectRoutes);
-app.use('/api/employees', employeeRoutes);
-app.use('/api/logs', logRoutes);
-app.use('/api/uploads', uploadRoutes);
-app.use('/api/notifications', notificationRoutes);
-
-// Root route
-app.get('/', (req, res) => {
-  res.json({ message: 'Welcome to Daily Work Log System API' });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    message: err.message || 'Something went wrong on the server',
-    error: process.env.NODE_ENV === 'development' ? err : {}
-  });
-});
+const DailyLog = require('./models/dailyLog.model');
+const Notification = require('./models/notification.model');
+const { initRoles } = require('./utils/permissions');
+const { initTenants } = require('./utils/tenants');
 
 // Connect to MongoDB and start server
 const PORT = process.env.PORT || 5000;
@@ -61,17 +16,46 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true
   })
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+
+    // Create the default roles and move users of the old Manager/Team Leader roles before serving requests
+    const migratedUsers = await initRoles();
+    if (migratedUsers > 0) {
+      console.log(`Moved ${migratedUsers} users from the legacy roles`);
+    }
+
+    // Move data from before companies were introduced to the default company; the
+    // administrators it makes super-admins are found by their migrated role
+    const movedDocuments = await initTenants();
+    if (movedDocuments > 0) {
+      console.log(`Moved ${movedDocuments} documents to the default company`);
+    }
+
+    // Give notifications from before they were sorted by notification time their sort time
+    const sortedNotifications = await Notification.migrateNotifiedAt();
+    if (sortedNotifications > 0) {
+      console.log(`Set the notification time of ${sortedNotifications} notifications`);
+    }
+
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server is running on port ${PORT}`);
     });
     
-    // Initialize scheduled tasks for notifications
+    // Start the background job runner (catches up runs missed while the server was down)
     initScheduledTasks();
+
+    // Convert logs that still store a plain list of employee ids
+    DailyLog.migrateLegacyEmployees()
+      .then(count => {
+        if (count > 0) {
+          console.log(`Migrated employee entries of ${count} daily logs`);
+        }
+      })
+      .catch(err => console.error('Failed to migrate legacy employee entries', err));
   })
   .catch(err => {
-    console.error('Failed to connect to MongoDB', err);
+    console.error('Failed to start the server', err);
     process.exit(1);
   });
 
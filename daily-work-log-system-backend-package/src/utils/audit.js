@@ -0,0 +1,63 @@
+const AuditLog = require('../models/auditLog.model');
+
+// Fields that never go into the audit log
+const SECRET_FIELDS = ['password', 'twoFactor', 'tokenHash', '__v'];
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+// Plain copy of a document (or object) without secrets
+const toSnapshot = (doc) => {
+  if (!doc) {
+    return undefined;
+  }
+
+  const snapshot = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  SECRET_FIELDS.forEach(field => delete snapshot[field]);
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Keep only the fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+  const pick = snapshot => Object.fromEntries(changed.map(field => [field, snapshot[field]]));
+  return { before: pick(before), after: pick(after) };
+};
+
+// Record an audit entry for a request; failures are logged and never break the request.
+// With both `before` and `after` (documents or objects) only the changed fields are kept.
+// Entries belong to the company of the request, or to `company` outside one (e.g. at login).
+const recordAudit = async (req, action, { targetUser, entityType, entityId, before, after, details, company } = {}) => {
+  try {
+    let beforeSnapshot = toSnapshot(before);
+    let afterSnapshot = toSnapshot(after);
+
+    if (beforeSnapshot && afterSnapshot) {
+      ({ before: beforeSnapshot, after: afterSnapshot } = diffSnapshots(beforeSnapshot, afterSnapshot));
+    }
+
+    await AuditLog.create({
+      action,
+      actor: req.userId,
+      targetUser,
+      entityType,
+      entityId,
+      before: beforeSnapshot,
+      after: afterSnapshot,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      details,
+      company
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry ${action}:`, error.message);
+  }
+};
+
+module.exports = {
+  toSnapshot,
+  recordAudit
+};
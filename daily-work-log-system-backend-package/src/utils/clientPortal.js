@@ -0,0 +1,88 @@
+// Parts of the project's logs its clients may see, from the project's client portal settings
+const getPortalVisibility = (project) => {
+  const settings = project.clientPortal || {};
+
+  return {
+    issues: Boolean(settings.showIssues),
+    employeeNames: Boolean(settings.showEmployeeNames),
+    hours: Boolean(settings.showHours),
+    materials: Boolean(settings.showMaterials),
+    sharedPhotosOnly: true
+  };
+};
+
+// DailyLog query filter for the logs clients see: the approved logs of the project, optionally within a date range
+const buildSharedLogFilter = (project, { startDate, endDate }) => {
+  const filter = { project: project._id, status: 'approved' };
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+// Photos of a log selected for the client portal
+const getSharedPhotos = log => log.photos.filter(photo => photo.sharedWithClient);
+
+// A log as shown to clients: internal fields (documents, status history, approvers) are never
+// included and the others only when the project's settings allow it
+const redactLog = (log, visibility) => {
+  const crew = log.employees.filter(entry => !entry.isAbsent);
+
+  const shared = {
+    _id: log._id,
+    date: log.date,
+    startTime: log.startTime,
+    endTime: log.endTime,
+    workDescription: log.workDescription,
+    weather: log.weather,
+    nextSteps: log.nextSteps,
+    crewSize: crew.length,
+    photos: getSharedPhotos(log).map(photo => ({
+      _id: photo._id,
+      path: photo.path,
+      description: photo.description,
+      uploadedAt: photo.uploadedAt
+    }))
+  };
+
+  if (visibility.employeeNames) {
+    shared.teamLeader = log.teamLeader ? log.teamLeader.fullName : undefined;
+    shared.crew = crew.map(entry => ({
+      name: entry.employee ? entry.employee.fullName : undefined,
+      role: entry.role,
+      ...(visibility.hours ? { regularHours: entry.regularHours, overtimeHours: entry.overtimeHours } : {})
+    }));
+  }
+
+  if (visibility.hours) {
+    shared.hoursSummary = {
+      regularHours: log.hoursSummary.regularHours,
+      overtimeHours: log.hoursSummary.overtimeHours
+    };
+  }
+
+  if (visibility.materials) {
+    shared.materialsUsed = log.materialsUsed.map(material => ({
+      name: material.name,
+      quantity: material.quantity,
+      unit: material.unit
+    }));
+  }
+
+  if (visibility.issues) {
+    shared.issuesEncountered = log.issuesEncountered;
+  }
+
+  return shared;
+};
+
+module.exports = {
+  getPortalVisibility,
+  buildSharedLogFilter,
+  getSharedPhotos,
+  redactLog
+};
@@ -0,0 +1,39 @@
+// Text that spreadsheet programs would run as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a single CSV value when it contains the delimiter, quotes or line breaks; text that
+// looks like a formula is prefixed with an apostrophe so it is shown as text (numbers stay numbers)
+const escapeCsvValue = (value, delimiter = ',') => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  const isFormula = typeof value !== 'number' && FORMULA_PREFIX.test(text);
+  if (isFormula) {
+    text = `'${text}`;
+  }
+
+  if (isFormula || text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+// Build CSV content from a list of { key, header } columns and row objects
+const toCsv = (columns, rows, delimiter = ',') => {
+  const lines = [columns.map(column => escapeCsvValue(column.header, delimiter)).join(delimiter)];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column.key], delimiter)).join(delimiter));
+  });
+
+  return lines.join('\r\n');
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
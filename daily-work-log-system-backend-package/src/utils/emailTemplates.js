@@ -0,0 +1,101 @@
+const mailConfig = require('../config/mail.config');
+const { translate, isRtl } = require('./i18n');
+
+// Email subject for each notification type
+const SUBJECTS = {
+  missing_log: 'Missing daily log',
+  incomplete_log: 'Incomplete daily log',
+  log_approved: 'Daily log approved',
+  log_rejected: 'Daily log returned for revision',
+  duplicate_warning: 'Duplicate daily log',
+  log_escalation: 'Daily log overdue',
+  daily_digest: 'Daily log summary',
+  system: 'Daily Work Log notification'
+};
+
+// Escape text for use inside HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Build the email for a notification in the recipient's language
+const renderNotificationEmail = (notification, user) => {
+  const locale = user.locale;
+  const link = notification.relatedLog
+    ? `${mailConfig.appUrl}/logs/${notification.relatedLog}`
+    : `${mailConfig.appUrl}/notifications`;
+
+  const subject = translate(locale, SUBJECTS[notification.type] || SUBJECTS.system);
+  const greeting = translate(locale, 'Hello {{name}},', { name: user.fullName });
+  const action = translate(locale, 'Open the Daily Work Log system');
+  const footer = translate(locale, 'You are receiving this email because you enabled email notifications of this type.');
+
+  const text = `${greeting}\n\n${notification.message}\n\n${action}: ${link}\n\n${footer}`;
+  const html = `<div dir="${isRtl(locale) ? 'rtl' : 'ltr'}" style="font-family: Arial, sans-serif;">
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(notification.message).replace(/\n/g, '<br>')}</p>
+  <p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+  <p style="color: #888; font-size: 12px;">${escapeHtml(footer)}</p>
+</div>`;
+
+  return { subject, text, html };
+};
+
+// Build the password reset email in the user's language
+const renderPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const locale = user.locale;
+  const link = `${mailConfig.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  const subject = translate(locale, 'Reset your password');
+  const greeting = translate(locale, 'Hello {{name}},', { name: user.fullName });
+  const body = translate(locale, 'We received a request to reset the password of your Daily Work Log account. The link below is valid for {{minutes}} minutes and can be used once.', { minutes: expiresInMinutes });
+  const action = translate(locale, 'Choose a new password');
+  const footer = translate(locale, 'If you did not request a password reset, you can ignore this email. Your password will not change.');
+
+  const text = `${greeting}\n\n${body}\n\n${action}: ${link}\n\n${footer}`;
+  const html = `<div dir="${isRtl(locale) ? 'rtl' : 'ltr'}" style="font-family: Arial, sans-serif;">
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(body)}</p>
+  <p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+  <p style="color: #888; font-size: 12px;">${escapeHtml(footer)}</p>
+</div>`;
+
+  return { subject, text, html };
+};
+
+// Build the invitation email in the invitation's language
+const renderInvitationEmail = (invitation, inviter, token) => {
+  const locale = invitation.locale;
+  const link = `${mailConfig.appUrl}/accept-invite?token=${encodeURIComponent(token)}`;
+  const role = translate(locale, invitation.role);
+
+  const subject = translate(locale, 'You are invited to the Daily Work Log system');
+  const greeting = invitation.fullName
+    ? translate(locale, 'Hello {{name}},', { name: invitation.fullName })
+    : translate(locale, 'Hello,');
+  const body = translate(locale, '{{inviter}} invited you to join the Daily Work Log system as {{role}}. Set your password with the link below within {{days}} days.', {
+    inviter: inviter.fullName,
+    role,
+    days: Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000))
+  });
+  const action = translate(locale, 'Accept the invitation');
+  const footer = translate(locale, 'If you did not expect this invitation, you can ignore this email.');
+
+  const text = `${greeting}\n\n${body}\n\n${action}: ${link}\n\n${footer}`;
+  const html = `<div dir="${isRtl(locale) ? 'rtl' : 'ltr'}" style="font-family: Arial, sans-serif;">
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(body)}</p>
+  <p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+  <p style="color: #888; font-size: 12px;">${escapeHtml(footer)}</p>
+</div>`;
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  renderNotificationEmail,
+  renderPasswordResetEmail,
+  renderInvitationEmail
+};
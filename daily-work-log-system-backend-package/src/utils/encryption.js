@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive a 256-bit key from the configured secret
+const deriveKey = secret => crypto.createHash('sha256').update(String(secret)).digest();
+
+// Encrypt a string; the result holds the IV, auth tag and ciphertext
+const encrypt = (text, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret), iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+// Decrypt a string produced by encrypt; throws when it was tampered with or the key is wrong
+const decrypt = (payload, secret) => {
+  const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(secret), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
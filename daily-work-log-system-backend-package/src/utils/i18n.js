@@ -0,0 +1,89 @@
+const moment = require('moment-timezone');
+const he = require('../locales/he');
+const calendarConfig = require('../config/calendar.config');
+
+// Load the moment locales used for dates; requiring a locale also makes it global, so reset to English
+require('moment/locale/he');
+moment.locale('en');
+
+// Translations are keyed by the English phrase, so English needs no catalog
+const CATALOGS = {
+  en: {},
+  he
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const RTL_LOCALES = ['he'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : 'en';
+
+// Map a language tag (e.g. "he-IL") to its language code
+const languageOf = (tag) => {
+  const language = tag.toLowerCase().split(/[-_]/)[0];
+  // "iw" is the legacy language code for Hebrew
+  return language === 'iw' ? 'he' : language;
+};
+
+// Return a supported locale, falling back to the default one
+const normalizeLocale = (locale) => {
+  if (!locale) {
+    return DEFAULT_LOCALE;
+  }
+
+  const language = languageOf(locale);
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+// Pick the best supported locale from an Accept-Language header
+const localeFromHeader = (header) => {
+  if (!header) {
+    return DEFAULT_LOCALE;
+  }
+
+  const requested = header
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const qualityParam = params.find(param => param.trim().startsWith('q='));
+      return { tag, quality: qualityParam ? parseFloat(qualityParam.trim().slice(2)) : 1 };
+    })
+    .filter(item => item.tag && item.quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+
+  const match = requested.find(item => SUPPORTED_LOCALES.includes(languageOf(item.tag)));
+
+  return match ? languageOf(match.tag) : DEFAULT_LOCALE;
+};
+
+// Translate a phrase, replacing {{name}} placeholders with the given parameters
+const translate = (locale, phrase, params = {}) => {
+  const catalog = CATALOGS[normalizeLocale(locale)];
+  const template = catalog[phrase] || phrase;
+
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+};
+
+// Format a date with a moment format in the given locale, in the timezone of the work sites
+const formatDate = (locale, date, format = 'L') => moment.tz(date, calendarConfig.timezone)
+  .locale(normalizeLocale(locale))
+  .format(format);
+
+// Whether text in the given locale is written right to left
+const isRtl = (locale) => RTL_LOCALES.includes(normalizeLocale(locale));
+
+// Validation message that is translated with the locale of the request (for express-validator)
+const localized = (phrase, params) => (value, { req }) => translate(req.locale, phrase, params);
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  localeFromHeader,
+  translate,
+  formatDate,
+  isRtl,
+  localized
+};
@@ -0,0 +1,187 @@
+const os = require('os');
+const cron = require('node-cron');
+const cronParser = require('cron-parser');
+const JobRun = require('../models/jobRun.model');
+const JobLock = require('../models/jobLock.model');
+const jobsConfig = require('../config/jobs.config');
+const calendarConfig = require('../config/calendar.config');
+const { runWithoutTenant } = require('./tenantContext');
+
+// Identifies this server process in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// A run that starts this long after its scheduled time counts as a catch-up
+const CATCH_UP_THRESHOLD_MS = 2 * 60 * 1000;
+
+// Registered jobs by name
+const jobs = new Map();
+
+// Register a job: a cron schedule (in the work sites' timezone) and an async handler
+// that returns a result summary and throws when the job fails
+const defineJob = ({ name, schedule, description, handler, lockSeconds = jobsConfig.lockSeconds }) => {
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid schedule for job ${name}: ${schedule}`);
+  }
+  jobs.set(name, { name, schedule, description, handler, lockSeconds });
+};
+
+const getJob = name => jobs.get(name);
+
+const getJobs = () => [...jobs.values()];
+
+const parseSchedule = (job, currentDate) => cronParser.parseExpression(job.schedule, {
+  currentDate,
+  tz: calendarConfig.timezone
+});
+
+// Most recent scheduled time at or before a date
+const getPreviousRunTime = (job, date = new Date()) => parseSchedule(job, date).prev().toDate();
+
+// Next scheduled time after a date
+const getNextRunTime = (job, date = new Date()) => parseSchedule(job, date).next().toDate();
+
+// Keep extending the lock (and the run's lock expiry) while a run is in progress, so a
+// run longer than the lock time is not taken over or marked interrupted; returns a stop function
+const startLockHeartbeat = (job, run) => {
+  const renew = async () => {
+    try {
+      if (!await JobLock.renew(job.name, INSTANCE_ID, job.lockSeconds)) {
+        console.error(`Job ${job.name} lost its lock while running`);
+        return;
+      }
+      await JobRun.updateOne(
+        { _id: run._id, status: 'running' },
+        { lockExpiresAt: new Date(Date.now() + job.lockSeconds * 1000) }
+      );
+    } catch (error) {
+      console.error(`Error renewing the lock of job ${job.name}:`, error);
+    }
+  };
+
+  const timer = setInterval(renew, (job.lockSeconds * 1000) / 3);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+// Execute the handler of a started run and record the outcome
+const executeRun = async (job, run) => {
+  const stopHeartbeat = startLockHeartbeat(job, run);
+  try {
+    const result = await job.handler();
+    run.status = 'succeeded';
+    run.result = result;
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    stopHeartbeat();
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    await JobLock.release(job.name, INSTANCE_ID);
+  }
+  return run;
+};
+
+// Take the job's lock and record a new run; returns null when the job is
+// already running elsewhere or the scheduled time was already handled
+const startRun = async (job, { trigger, scheduledFor, triggeredBy }) => {
+  if (!await JobLock.acquire(job.name, INSTANCE_ID, job.lockSeconds)) {
+    return null;
+  }
+
+  try {
+    const startedAt = new Date();
+    return await JobRun.create({
+      job: job.name,
+      scheduledFor,
+      trigger,
+      triggeredBy,
+      instance: INSTANCE_ID,
+      startedAt,
+      lockExpiresAt: new Date(startedAt.getTime() + job.lockSeconds * 1000)
+    });
+  } catch (error) {
+    await JobLock.release(job.name, INSTANCE_ID);
+    // Another instance already ran this scheduled time
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Run a job by hand; resolves with the started run (the job keeps running in the background)
+const triggerJob = async (name, userId) => {
+  const job = getJob(name);
+  const run = await startRun(job, { trigger: 'manual', triggeredBy: userId });
+
+  if (run) {
+    executeRun(job, run).catch(error => console.error(`Error recording run of job ${name}:`, error));
+  }
+  return run;
+};
+
+// Run every job whose latest scheduled time has not been handled yet,
+// including runs missed while no instance was up (within the catch-up window)
+const runDueJobs = async () => {
+  const now = new Date();
+
+  // Runs whose instance died before finishing
+  await JobRun.updateMany(
+    { status: 'running', lockExpiresAt: { $lt: now } },
+    { status: 'failed', error: 'Interrupted before finishing', finishedAt: now }
+  );
+
+  for (const job of jobs.values()) {
+    const scheduledFor = getPreviousRunTime(job, now);
+    if (now - scheduledFor > jobsConfig.catchUpHours * 60 * 60 * 1000) {
+      continue;
+    }
+
+    if (await JobRun.exists({ job: job.name, scheduledFor })) {
+      continue;
+    }
+
+    const trigger = now - scheduledFor > CATCH_UP_THRESHOLD_MS ? 'catch_up' : 'scheduled';
+    const run = await startRun(job, { trigger, scheduledFor });
+    if (run) {
+      console.log(`Running job ${job.name} (${trigger})`);
+      await executeRun(job, run);
+    }
+  }
+};
+
+// Check for due jobs now and then every minute
+const startJobRunner = () => {
+  let checking = false;
+
+  const tick = async () => {
+    // A long job may still be running from the previous minute
+    if (checking) {
+      return;
+    }
+    checking = true;
+    try {
+      // Scheduled runs cover every company (see forEachCompany in utils/tenants)
+      await runWithoutTenant(runDueJobs);
+    } catch (error) {
+      console.error('Error running scheduled jobs:', error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  cron.schedule('* * * * *', tick);
+  tick();
+};
+
+module.exports = {
+  defineJob,
+  getJob,
+  getJobs,
+  getNextRunTime,
+  triggerJob,
+  startJobRunner
+};
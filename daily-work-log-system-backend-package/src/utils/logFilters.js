@@ -0,0 +1,67 @@
+const { hasPermission } = require('./permissions');
+const { getAccessibleProjectIds } = require('./projectAccess');
+
+// Build a DailyLog query filter from the query string filters supported by the log list,
+// limited to the logs the user of the request may see
+const buildLogFilter = async (query, req) => {
+  const {
+    startDate,
+    endDate,
+    project,
+    status,
+    teamLeader,
+    searchTerm
+  } = query;
+
+  // Build filter object
+  const filter = {};
+
+  // Date range filter
+  if (startDate && endDate) {
+    filter.date = {
+      $gte: new Date(startDate),
+      $lte: new Date(endDate)
+    };
+  } else if (startDate) {
+    filter.date = { $gte: new Date(startDate) };
+  } else if (endDate) {
+    filter.date = { $lte: new Date(endDate) };
+  }
+
+  // Project filter
+  if (project) {
+    filter.project = project;
+  }
+
+  // Status filter
+  if (status) {
+    filter.status = status;
+  }
+
+  // Team leader filter
+  if (teamLeader) {
+    filter.teamLeader = teamLeader;
+  }
+
+  // Text search in work description
+  if (searchTerm) {
+    filter.workDescription = { $regex: searchTerm, $options: 'i' };
+  }
+
+  // Users who may not read all logs only see their own
+  if (!hasPermission(req, 'logs:read')) {
+    filter.teamLeader = req.userId;
+  }
+
+  // Only logs of the projects the user belongs to
+  const projectIds = await getAccessibleProjectIds(req);
+  if (projectIds !== null) {
+    filter.$and = [{ project: { $in: projectIds } }];
+  }
+
+  return filter;
+};
+
+module.exports = {
+  buildLogFilter
+};
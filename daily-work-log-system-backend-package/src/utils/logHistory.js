@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const LogRevision = require('../models/logRevision.model');
+
+// Fields of a daily log that are tracked in its revision history
+const TRACKED_FIELDS = [
+  'date',
+  'project',
+  'teamLeader',
+  'employees',
+  'startTime',
+  'endTime',
+  'workDescription',
+  'weather',
+  'issuesEncountered',
+  'nextSteps',
+  'materialsUsed',
+  'photos',
+  'documents',
+  'status',
+  'approvedBy',
+  'approvedAt',
+  'rejectionReason'
+];
+
+// Convert a value into plain JSON so that snapshots can be stored and compared
+// (ObjectIds become strings, dates become ISO strings, subdocument ids are dropped)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+
+  if (typeof value === 'object') {
+    // Populated documents are compared by their id only
+    if (value._id && value.constructor && value.constructor.modelName) {
+      return value._id.toString();
+    }
+
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+    const result = {};
+    Object.keys(plain).forEach(key => {
+      if (key !== '_id' && key !== 'id') {
+        result[key] = normalizeValue(plain[key]);
+      }
+    });
+    return result;
+  }
+
+  return value;
+};
+
+// Build a plain snapshot of the tracked fields of a log
+const createSnapshot = (log) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = normalizeValue(log.get ? log.get(field) : log[field]);
+  });
+  return snapshot;
+};
+
+// Compare two snapshots and list the fields whose values differ
+const diffSnapshots = (before, after) => {
+  const changes = [];
+
+  TRACKED_FIELDS.forEach(field => {
+    const oldValue = before ? before[field] : null;
+    const newValue = after[field];
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, oldValue, newValue });
+    }
+  });
+
+  return changes;
+};
+
+// How often a revision is retried when a parallel change took its version number
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Store a new revision of a log
+// `previousSnapshot` is the snapshot taken before the change (null for a new log)
+const recordRevision = async (log, action, userId, previousSnapshot = null) => {
+  const snapshot = createSnapshot(log);
+  const changes = diffSnapshots(previousSnapshot, snapshot);
+
+  for (let attempt = 1; ; attempt++) {
+    const lastRevision = await LogRevision.findOne({ log: log._id })
+      .sort({ version: -1 })
+      .select('version');
+
+    const revision = new LogRevision({
+      log: log._id,
+      version: lastRevision ? lastRevision.version + 1 : 1,
+      action,
+      changedBy: userId,
+      changedAt: new Date(),
+      changes,
+      snapshot
+    });
+
+    try {
+      return await revision.save();
+    } catch (error) {
+      // The unique index on log and version rejects a number that was just taken; take the next one
+      if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  createSnapshot,
+  diffSnapshots,
+  recordRevision
+};
@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail.config');
+
+let transporter = null;
+
+// Create the SMTP transport on first use
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: mailConfig.host,
+      port: mailConfig.port,
+      secure: mailConfig.secure,
+      auth: mailConfig.user ? { user: mailConfig.user, pass: mailConfig.password } : undefined,
+      connectionTimeout: mailConfig.connectionTimeoutSeconds * 1000,
+      greetingTimeout: mailConfig.greetingTimeoutSeconds * 1000,
+      socketTimeout: mailConfig.socketTimeoutSeconds * 1000
+    });
+  }
+  return transporter;
+};
+
+// Send an email; rejects when the SMTP server does not accept the message
+const sendMail = ({ to, subject, text, html }) => getTransporter().sendMail({
+  from: mailConfig.from,
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  sendMail
+};
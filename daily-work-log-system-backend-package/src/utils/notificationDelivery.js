@@ -0,0 +1,103 @@
+const Notification = require('../models/notification.model');
+const User = require('../models/user.model');
+const mailConfig = require('../config/mail.config');
+const { sendMail } = require('./mailer');
+const { renderNotificationEmail } = require('./emailTemplates');
+
+// Delivery channels; each decides whether the user wants it and how to send
+const CHANNELS = {
+  email: {
+    isEnabled: (preference, user) => Boolean(preference.email && user.email),
+    send: (notification, user) => sendMail({
+      to: user.email,
+      ...renderNotificationEmail(notification, user)
+    })
+  }
+};
+
+// Delay before the next attempt, doubling after every failure
+const getRetryDelay = (attempts) => mailConfig.retryDelayMinutes * 60 * 1000 * Math.pow(2, attempts - 1);
+
+// Try to send a notification through one channel and record the outcome
+const attemptDelivery = async (notification, channelName, user) => {
+  let delivery = notification.deliveries.find(item => item.channel === channelName);
+  if (!delivery) {
+    notification.deliveries.push({ channel: channelName });
+    delivery = notification.deliveries[notification.deliveries.length - 1];
+  }
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    await CHANNELS[channelName].send(notification, user);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.lastError = error.message;
+    // Stop retrying once the maximum number of attempts is reached
+    delivery.nextAttemptAt = delivery.attempts < mailConfig.maxAttempts
+      ? new Date(Date.now() + getRetryDelay(delivery.attempts))
+      : undefined;
+  }
+};
+
+// Send a new notification through every channel the recipient opted into
+const deliverNotification = async (notification, preference) => {
+  const user = await User.findById(notification.recipient).select('fullName email locale isActive');
+
+  if (!user || !user.isActive) {
+    return;
+  }
+
+  const channelNames = Object.keys(CHANNELS).filter(name => CHANNELS[name].isEnabled(preference, user));
+
+  if (channelNames.length === 0) {
+    return;
+  }
+
+  for (const channelName of channelNames) {
+    await attemptDelivery(notification, channelName, user);
+  }
+
+  await notification.save();
+};
+
+// Retry failed deliveries that are due (used by scheduled job)
+const retryFailedDeliveries = async () => {
+  const now = new Date();
+  const notifications = await Notification.find({
+    deliveries: { $elemMatch: { status: 'failed', nextAttemptAt: { $lte: now } } }
+  });
+
+  for (const notification of notifications) {
+    const user = await User.findById(notification.recipient).select('fullName email locale isActive');
+
+    for (const delivery of notification.deliveries) {
+      if (delivery.status !== 'failed' || !delivery.nextAttemptAt || delivery.nextAttemptAt > now) {
+        continue;
+      }
+
+      if (!user || !user.isActive || !user.email) {
+        // Nobody left to deliver to, give up on this delivery
+        delivery.nextAttemptAt = undefined;
+        continue;
+      }
+
+      await attemptDelivery(notification, delivery.channel, user);
+    }
+
+    await notification.save();
+  }
+
+  return notifications.length;
+};
+
+module.exports = {
+  CHANNELS,
+  deliverNotification,
+  retryFailedDeliveries
+};
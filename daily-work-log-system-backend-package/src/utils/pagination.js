@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// The cursor points at the last document of a page (the date it is sorted by and its id)
+const encodeCursor = (doc, field = 'createdAt') => Buffer
+  .from(`${doc[field].toISOString()}_${doc._id}`)
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [value, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const date = new Date(value);
+  if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { date, id };
+};
+
+// Filter for the documents after a cursor, newest first (sort by the date field and _id descending)
+const afterCursor = (position, field = 'createdAt') => ({
+  $or: [
+    { [field]: { $lt: position.date } },
+    { [field]: position.date, _id: { $lt: position.id } }
+  ]
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const pdfConfig = require('../config/pdf.config');
+const { isRtl } = require('./i18n');
+
+// Characters of right-to-left scripts (Hebrew and Arabic blocks)
+const RTL_CHARACTERS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+const LTR_CHARACTERS = /[A-Za-z0-9\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/;
+
+// Reorder the words of a single line into visual order
+// The font engine already reverses the letters inside each right-to-left word,
+// so only the order of the words needs to be resolved here
+const toVisualOrder = (line, rtl) => {
+  if (!RTL_CHARACTERS.test(line)) {
+    return line;
+  }
+
+  const words = line.split(' ');
+  const directions = words.map(word => {
+    if (RTL_CHARACTERS.test(word)) return 'rtl';
+    if (LTR_CHARACTERS.test(word)) return 'ltr';
+    return null;
+  });
+
+  // Neutral words (punctuation) follow their neighbours, or the base direction between two different ones
+  const base = rtl ? 'rtl' : 'ltr';
+  const resolved = directions.map((direction, index) => {
+    if (direction) return direction;
+    const previous = directions.slice(0, index).reverse().find(Boolean);
+    const next = directions.slice(index + 1).find(Boolean);
+    return previous && previous === next ? previous : base;
+  });
+
+  // Group consecutive words with the same direction into runs
+  const runs = [];
+  words.forEach((word, index) => {
+    const last = runs[runs.length - 1];
+    if (last && last.direction === resolved[index]) {
+      last.words.push(word);
+    } else {
+      runs.push({ direction: resolved[index], words: [word] });
+    }
+  });
+
+  const ordered = rtl ? runs.reverse() : runs;
+  return ordered
+    .map(run => (run.direction === 'rtl' ? run.words.reverse() : run.words).join(' '))
+    .join(' ');
+};
+
+// Break text into lines that fit the width, the way pdfkit wraps words
+const wrapLines = (doc, text, width, options) => text.split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+  paragraph.split(' ').forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && doc.widthOfString(candidate, options) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  lines.push(line);
+  return lines;
+});
+
+// Create a PDF document with an embedded Unicode font and the text direction of the locale
+const createPdfDocument = (locale, options = {}) => {
+  const doc = new PDFDocument({ margin: 50, ...options });
+  doc.registerFont('Body', pdfConfig.fontPath);
+  doc.font('Body');
+  doc.rtl = isRtl(locale);
+
+  // In right-to-left documents text is wrapped into lines first, each line is put in
+  // visual order and the lines are right-aligned unless another alignment is given
+  const text = doc.text;
+  doc.text = function(value, x, y, textOptions) {
+    if (!this.rtl) {
+      return text.call(this, value, x, y, textOptions);
+    }
+
+    // Like pdfkit, the position may be left out
+    if (typeof x === 'object' && x !== null) {
+      textOptions = x;
+      x = undefined;
+      y = undefined;
+    }
+    const lineOptions = { align: 'right', ...textOptions };
+
+    const content = `${value}`;
+    let lines;
+    if (lineOptions.lineBreak === false) {
+      lines = [content];
+    } else {
+      const left = x !== undefined ? x : this.x;
+      const width = lineOptions.width !== undefined ? lineOptions.width : this.page.width - left - this.page.margins.right;
+      lines = wrapLines(this, content, width, lineOptions);
+    }
+
+    const visual = lines.map(line => toVisualOrder(line.trim(), true)).join('\n');
+    return x === undefined
+      ? text.call(this, visual, lineOptions)
+      : text.call(this, visual, x, y, lineOptions);
+  };
+
+  return doc;
+};
+
+// Resolve a stored upload path (e.g. /uploads/photos/x.jpg) to a file on disk
+const resolveUploadPath = (uploadPath) => path.join(__dirname, '..', uploadPath);
+
+// Bottom of the writable area of the current page
+const pageBottom = (doc) => doc.page.height - doc.page.margins.bottom;
+
+// Width of the writable area of the current page
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page when the given height does not fit on the current one
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > pageBottom(doc)) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+};
+
+// Print a section heading followed by the regular body font size
+const sectionTitle = (doc, title) => {
+  ensureSpace(doc, 40);
+  doc.x = doc.page.margins.left;
+  doc.fontSize(14).text(title);
+  doc.fontSize(10).moveDown(0.5);
+};
+
+// Draw a table whose rows wrap their text and continue on new pages with repeated headers
+// `columns` is a list of { header, key, width } where widths are fractions of the page width
+const drawTable = (doc, columns, rows, options = {}) => {
+  const fontSize = options.fontSize || 10;
+  const padding = 4;
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  const widths = columns.map(column => column.width * width);
+
+  const rowHeight = (cells) => Math.max(...cells.map((cell, index) =>
+    doc.heightOfString(cell, { width: widths[index] - padding * 2 })
+  )) + padding * 2;
+
+  const drawRow = (cells, bold) => {
+    const top = doc.y;
+    const height = rowHeight(cells);
+    // Right-to-left documents start the first column on the right
+    let x = doc.rtl ? left + width : left;
+
+    cells.forEach((cell, index) => {
+      if (doc.rtl) {
+        x -= widths[index];
+      }
+      doc.text(cell, x + padding, top + padding, { width: widths[index] - padding * 2 });
+      if (!doc.rtl) {
+        x += widths[index];
+      }
+    });
+
+    doc.moveTo(left, top + height)
+      .lineTo(left + width, top + height)
+      .lineWidth(bold ? 1 : 0.5)
+      .stroke();
+
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  const drawHeader = () => drawRow(columns.map(column => column.header), true);
+
+  doc.fontSize(fontSize);
+  ensureSpace(doc, rowHeight(columns.map(column => column.header)) * 2);
+  drawHeader();
+
+  rows.forEach(row => {
+    const cells = columns.map(column => {
+      const value = row[column.key];
+      return value === undefined || value === null || value === '' ? '-' : String(value);
+    });
+
+    if (ensureSpace(doc, rowHeight(cells))) {
+      drawHeader();
+    }
+    drawRow(cells, false);
+  });
+
+  doc.x = left;
+  doc.moveDown();
+};
+
+// Draw an image scaled to fit the box; returns false when the file is missing or unsupported
+const drawImage = (doc, uploadPath, x, y, fit) => {
+  const filePath = resolveUploadPath(uploadPath);
+
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+
+  try {
+    doc.image(filePath, x, y, { fit, align: 'center', valign: 'center' });
+    return true;
+  } catch (error) {
+    // pdfkit only supports JPEG and PNG images
+    return false;
+  }
+};
+
+// Write a footer with page numbers on every buffered page
+// The document must be created with `bufferPages: true`; `t` translates the page label
+const addPageFooters = (doc, text, t) => {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Temporarily remove the bottom margin so writing in it does not add a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    const pageLabel = t('Page {{page}} of {{count}}', { page: index + 1, count: range.count });
+    const footer = text ? `${text}  |  ${pageLabel}` : pageLabel;
+    doc.fontSize(8).text(footer, doc.page.margins.left, doc.page.height - bottomMargin / 2 - 4, {
+      width: contentWidth(doc),
+      align: 'center',
+      lineBreak: false
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+module.exports = {
+  toVisualOrder,
+  createPdfDocument,
+  resolveUploadPath,
+  pageBottom,
+  contentWidth,
+  ensureSpace,
+  sectionTitle,
+  drawTable,
+  drawImage,
+  addPageFooters
+};
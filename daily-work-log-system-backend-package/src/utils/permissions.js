@@ -0,0 +1,81 @@
+const Role = require('../models/role.model');
+const User = require('../models/user.model');
+const Invitation = require('../models/invitation.model');
+const permissionsConfig = require('../config/permissions.config');
+const { runWithoutTenant } = require('./tenantContext');
+
+// Permissions of every role, kept in memory so checks do not query the database
+let cachedRoles = null;
+let loadedAt = 0;
+
+// Read the roles unless the cached copy is still fresh; returns a map of role name to permissions
+const loadRoles = async (force = false) => {
+  if (!force && cachedRoles && Date.now() - loadedAt < permissionsConfig.cacheSeconds * 1000) {
+    return cachedRoles;
+  }
+
+  const roles = await Role.find().select('name permissions');
+  cachedRoles = new Map(roles.map(role => [role.name, role.permissions.slice()]));
+  loadedAt = Date.now();
+  return cachedRoles;
+};
+
+// Permissions of a role; an unknown role has none
+const getRolePermissions = async (roleName) => (await loadRoles()).get(roleName) || [];
+
+// Whether a role grants a permission
+const roleHasPermission = async (roleName, permission) => (await getRolePermissions(roleName)).includes(permission);
+
+// Whether the authenticated user of a request has a permission (loaded by verifyToken)
+const hasPermission = (req, permission) => (req.permissions || []).includes(permission);
+
+// Names of the roles that grant a permission, for user queries
+const getRolesWithPermission = async (permission) => {
+  const roles = await loadRoles();
+  return [...roles.keys()].filter(name => roles.get(name).includes(permission));
+};
+
+// express-validator check that a role exists
+const isExistingRole = async (value) => {
+  if (!(await loadRoles()).has(value)) {
+    throw new Error('Role not found');
+  }
+  return true;
+};
+
+// Create missing default roles, give the administrator role every permission and move
+// users of the legacy Manager/Team Leader roles (in every company); returns the number of users moved
+const initRoles = () => runWithoutTenant(async () => {
+  for (const { permissions, ...role } of permissionsConfig.DEFAULT_ROLES) {
+    const update = { $setOnInsert: { ...role, isSystem: true } };
+
+    // The administrator role always has every permission, including ones added since the last start
+    if (role.name === permissionsConfig.adminRole) {
+      update.$set = { permissions };
+    } else {
+      update.$setOnInsert.permissions = permissions;
+    }
+
+    await Role.updateOne({ name: role.name }, update, { upsert: true });
+  }
+
+  let migrated = 0;
+  for (const [legacyRole, role] of Object.entries(permissionsConfig.legacyRoles)) {
+    const result = await User.updateMany({ role: legacyRole }, { role });
+    await Invitation.updateMany({ role: legacyRole }, { role });
+    migrated += result.modifiedCount;
+  }
+
+  await loadRoles(true);
+  return migrated;
+});
+
+module.exports = {
+  loadRoles,
+  getRolePermissions,
+  roleHasPermission,
+  hasPermission,
+  getRolesWithPermission,
+  isExistingRole,
+  initRoles
+};
@@ -0,0 +1,63 @@
+const Project = require('../models/project.model');
+const { hasPermission } = require('./permissions');
+
+// Projects a user belongs to: as a manager, as an assigned team leader or as another member
+const membershipFilter = userId => ({
+  $or: [
+    { managers: userId },
+    { 'assignments.teamLeader': userId },
+    { 'members.user': userId }
+  ]
+});
+
+// Ids of the users who belong to a project (see membershipFilter), as strings
+const getProjectMemberIds = project => [
+  ...project.managers,
+  ...project.assignments.map(assignment => assignment.teamLeader._id || assignment.teamLeader),
+  ...project.members.map(member => member.user)
+].map(String);
+
+// Ids of the projects the user of a request belongs to, or null when they may access every
+// project; looked up once per request
+const getAccessibleProjectIds = async (req) => {
+  if (hasPermission(req, 'projects:all')) {
+    return null;
+  }
+
+  if (!req.accessibleProjectIds) {
+    const projects = await Project.find(membershipFilter(req.userId)).select('_id');
+    req.accessibleProjectIds = projects.map(project => project._id);
+  }
+
+  return req.accessibleProjectIds;
+};
+
+// Whether the user of a request may access a project (an id or a populated project)
+const canAccessProject = async (req, project) => {
+  const ids = await getAccessibleProjectIds(req);
+  if (ids === null) {
+    return true;
+  }
+
+  const projectId = String(project && project._id ? project._id : project);
+  return ids.some(id => id.toString() === projectId);
+};
+
+// The user wrote the log
+const isOwnLog = (req, log) => String(log.teamLeader._id || log.teamLeader) === req.userId;
+
+// Whether the user of a request may view a log: their own, or any log of their projects when allowed to read logs
+const canViewLog = async (req, log) => isOwnLog(req, log)
+  || (hasPermission(req, 'logs:read') && await canAccessProject(req, log.project));
+
+// Whether the user of a request may change a log: their own, or any log of their projects when allowed to manage logs
+const canManageLog = async (req, log) => isOwnLog(req, log)
+  || (hasPermission(req, 'logs:manage') && await canAccessProject(req, log.project));
+
+module.exports = {
+  getProjectMemberIds,
+  getAccessibleProjectIds,
+  canAccessProject,
+  canViewLog,
+  canManageLog
+};
@@ -0,0 +1,150 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const StreamEvent = require('../models/streamEvent.model');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const { getRolesWithPermission } = require('./permissions');
+const { getProjectMemberIds } = require('./projectAccess');
+const realtimeConfig = require('../config/realtime.config');
+
+// Connected clients listen on a channel named after their user id
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Ids of the events pushed by this instance recently, so an event is pushed once
+// whether it was published here or picked up by polling
+const deliveredEvents = new Map();
+
+let poller = null;
+let lastPolledAt = null;
+
+// Push an event to the clients of its recipient connected to this instance
+const deliver = (streamEvent) => {
+  const id = streamEvent._id.toString();
+  if (deliveredEvents.has(id)) {
+    return;
+  }
+  deliveredEvents.set(id, Date.now());
+  emitter.emit(streamEvent.recipient.toString(), streamEvent);
+};
+
+// Pick up the events other instances stored for the users connected here
+const pollEvents = async () => {
+  const recipients = emitter.eventNames();
+  const startedAt = new Date();
+  const since = new Date((lastPolledAt || startedAt).getTime() - realtimeConfig.pollOverlapMilliseconds);
+
+  const events = await StreamEvent.find({ recipient: { $in: recipients }, createdAt: { $gte: since } })
+    .sort({ _id: 1 });
+  events.forEach(deliver);
+  lastPolledAt = startedAt;
+
+  // Forget delivered events once no poll can return them any more
+  const cutoff = Date.now() - 2 * realtimeConfig.pollOverlapMilliseconds - realtimeConfig.pollMilliseconds;
+  deliveredEvents.forEach((deliveredAt, id) => {
+    if (deliveredAt < cutoff) {
+      deliveredEvents.delete(id);
+    }
+  });
+};
+
+// Poll while at least one client is connected to this instance
+const startPolling = () => {
+  if (poller) {
+    return;
+  }
+  lastPolledAt = new Date();
+  poller = setInterval(() => {
+    pollEvents().catch(error => console.error('Error polling stream events:', error.message));
+  }, realtimeConfig.pollMilliseconds);
+  poller.unref();
+};
+
+const stopPolling = () => {
+  if (poller && emitter.eventNames().length === 0) {
+    clearInterval(poller);
+    poller = null;
+  }
+};
+
+// Store an event for each recipient and push it to the ones connected to this instance;
+// the other instances pick it up from the database
+const publish = async (recipientIds, event, data) => {
+  const recipients = [...new Set(recipientIds.map(id => id.toString()))];
+  if (recipients.length === 0) {
+    return;
+  }
+
+  const events = await StreamEvent.insertMany(
+    recipients.map(recipient => ({ recipient, event, data }))
+  );
+
+  events.forEach(deliver);
+};
+
+// Listen for new events of a user; returns a function that stops listening
+const subscribe = (userId, listener) => {
+  const channel = userId.toString();
+  emitter.on(channel, listener);
+  startPolling();
+  return () => {
+    emitter.removeListener(channel, listener);
+    stopPolling();
+  };
+};
+
+// Get the stored events a user missed after the given event id
+const getMissedEvents = (userId, lastEventId) => {
+  if (!lastEventId || !mongoose.Types.ObjectId.isValid(lastEventId)) {
+    return Promise.resolve([]);
+  }
+
+  return StreamEvent.find({ recipient: userId, _id: { $gt: lastEventId } }).sort({ _id: 1 });
+};
+
+// Push a new notification to its recipient
+const publishNotification = (notification) => {
+  const { deliveries, ...data } = notification.toObject();
+  return publish([notification.recipient], 'notification', data);
+};
+
+// Tell the people concerned that a log changed status: users who approve logs and can
+// access its project (its members, or users with access to every project) review submitted
+// ones, the team leader follows approvals and rejections
+const publishLogStatusChange = async (log, changedBy) => {
+  let recipients;
+  if (log.status === 'submitted') {
+    const project = await Project.findById(log.project._id || log.project).select('managers assignments.teamLeader members.user');
+    const managers = await User.find({
+      role: { $in: await getRolesWithPermission('logs:approve') },
+      isActive: true,
+      $or: [
+        { role: { $in: await getRolesWithPermission('projects:all') } },
+        { _id: { $in: project ? getProjectMemberIds(project) : [] } }
+      ]
+    }).select('_id');
+    recipients = managers.map(manager => manager._id);
+  } else if (log.status === 'approved' || log.status === 'rejected') {
+    recipients = [log.teamLeader._id || log.teamLeader];
+  } else {
+    return;
+  }
+
+  await publish(recipients, 'log_status', {
+    log: log._id,
+    project: log.project._id || log.project,
+    date: log.date,
+    status: log.status,
+    reason: log.status === 'rejected' ? log.rejectionReason : undefined,
+    changedBy,
+    changedAt: new Date()
+  });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  getMissedEvents,
+  publishNotification,
+  publishLogStatusChange
+};
@@ -1,28 +1,55 @@
-const cron = require('node-cron');
 const notificationController = require('../controllers/notification.controller');
+const { retryFailedDeliveries } = require('./notificationDelivery');
+const { defineJob, startJobRunner } = require('./jobRunner');
+const { forEachCompany } = require('./tenants');
+const notificationConfig = require('../config/notification.config');
 
-// Schedule tasks to run at specific times
+// Background jobs; schedules are cron expressions in the work sites' timezone.
+// Notification jobs run for each company in turn, so they only combine data of one company.
 
 // Check for missing logs every day at 9:00 AM
-const scheduleMissingLogCheck = () => {
-  cron.schedule('0 9 * * *', async () => {
-    console.log('Running scheduled task: Check for missing logs');
-    await notificationController.createMissingLogNotifications();
-  });
-};
+defineJob({
+  name: 'missing-log-check',
+  schedule: '0 9 * * *',
+  description: 'Notify team leaders of missing daily logs',
+  handler: forEachCompany(notificationController.createMissingLogNotifications)
+});
 
-// Check for incomplete logs every day at 10:00 AM
-const scheduleIncompleteLogCheck = () => {
-  cron.schedule('0 10 * * *', async () => {
-    console.log('Running scheduled task: Check for incomplete logs');
-    await notificationController.createIncompleteLogNotifications();
-  });
-};
+// Remind team leaders of draft logs (every day at 10:00 AM by default)
+defineJob({
+  name: 'incomplete-log-check',
+  schedule: notificationConfig.incompleteLogSchedule,
+  description: 'Remind team leaders of draft logs',
+  handler: forEachCompany(notificationController.createIncompleteLogNotifications)
+});
+
+// Escalate missing and draft logs to managers every hour
+defineJob({
+  name: 'log-escalation',
+  schedule: '0 * * * *',
+  description: 'Escalate overdue missing and draft logs to managers',
+  handler: forEachCompany(notificationController.createEscalationNotifications)
+});
+
+// Send the managers' morning digest
+defineJob({
+  name: 'daily-digest',
+  schedule: notificationConfig.digestSchedule,
+  description: 'Send managers a summary of the previous working day',
+  handler: forEachCompany(notificationController.createDailyDigestNotifications)
+});
+
+// Retry failed notification deliveries every 5 minutes
+defineJob({
+  name: 'delivery-retry',
+  schedule: '*/5 * * * *',
+  description: 'Retry failed notification emails',
+  handler: async () => ({ notifications: await retryFailedDeliveries() })
+});
 
 // Initialize all scheduled tasks
 const initScheduledTasks = () => {
-  scheduleMissingLogCheck();
-  scheduleIncompleteLogCheck();
+  startJobRunner();
   console.log('Scheduled tasks initialized');
 };
 
@@ -0,0 +1,27 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The company (tenant) whose data the current request or job works on; database
+// queries of tenant models are limited to it (see utils/tenantPlugin)
+const storage = new AsyncLocalStorage();
+
+// Run a function, and everything it starts, on the data of one company
+const runWithTenant = (companyId, fn) => storage.run({ companyId: companyId ? String(companyId) : null }, fn);
+
+// Run a function on the data of every company (super-admin requests)
+const runWithoutTenant = fn => storage.run({ companyId: null }, fn);
+
+// Id of the current company, or null outside a company (public routes, super-admin requests, startup)
+const getTenantId = () => {
+  const store = storage.getStore();
+  return store ? store.companyId : null;
+};
+
+// Whether the current code runs inside runWithTenant or runWithoutTenant
+const hasTenantContext = () => storage.getStore() !== undefined;
+
+module.exports = {
+  runWithTenant,
+  runWithoutTenant,
+  getTenantId,
+  hasTenantContext
+};
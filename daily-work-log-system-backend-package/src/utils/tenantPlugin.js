@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { getTenantId, hasTenantContext } = require('./tenantContext');
+
+// Query operations limited to the current company
+const QUERY_OPERATIONS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Company a query of the model is limited to (null for every company); a query outside any
+// tenant context fails unless it asks for every company, so a missing context cannot leak data
+const queryCompany = (modelName, allTenants) => {
+  if (allTenants) {
+    return null;
+  }
+
+  if (!hasTenantContext()) {
+    throw new Error(`${modelName} queried outside a tenant context`);
+  }
+
+  return getTenantId();
+};
+
+// Mongoose plugin for models whose documents belong to a company: inside a company's
+// context (see utils/tenantContext) queries only see its documents and new documents join it.
+// A query can look across companies with the `allTenants` option, e.g. to keep emails unique.
+const tenantPlugin = (schema, { required = true } = {}) => {
+  schema.add({
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: required ? [true, 'Company is required'] : false,
+      index: true
+    }
+  });
+
+  schema.pre(QUERY_OPERATIONS, function() {
+    const companyId = queryCompany(this.model.modelName, this.getOptions().allTenants);
+    if (companyId) {
+      this.where({ company: companyId });
+
+      // Documents cannot be moved to another company from inside one
+      const update = this.getUpdate();
+      if (update) {
+        delete update.company;
+        if (update.$set) {
+          delete update.$set.company;
+        }
+      }
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const companyId = queryCompany(this.model().modelName, this.options.allTenants);
+    if (companyId) {
+      this.pipeline().unshift({ $match: { company: new mongoose.Types.ObjectId(companyId) } });
+    }
+  });
+
+  schema.pre('validate', function() {
+    const companyId = getTenantId();
+    if (companyId && this.isNew) {
+      this.company = companyId;
+    }
+  });
+};
+
+module.exports = tenantPlugin;
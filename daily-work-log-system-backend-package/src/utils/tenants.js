@@ -0,0 +1,77 @@
+const Company = require('../models/company.model');
+const User = require('../models/user.model');
+const Project = require('../models/project.model');
+const Employee = require('../models/employee.model');
+const DailyLog = require('../models/dailyLog.model');
+const Notification = require('../models/notification.model');
+const Invitation = require('../models/invitation.model');
+const ShareLink = require('../models/shareLink.model');
+const AuditLog = require('../models/auditLog.model');
+const WorkCalendar = require('../models/workCalendar.model');
+const tenantConfig = require('../config/tenant.config');
+const permissionsConfig = require('../config/permissions.config');
+const { runWithTenant, runWithoutTenant, getTenantId } = require('./tenantContext');
+
+// Models whose documents belong to a company
+const TENANT_MODELS = [User, Project, Employee, DailyLog, Notification, Invitation, ShareLink, WorkCalendar];
+
+// The first company; data from before companies existed and self-registered users belong to it
+const getDefaultCompany = () => Company.findOne().sort({ createdAt: 1 });
+
+// Create the default company on the first start and move documents without a company to it;
+// returns the number of documents moved. Runs after initRoles, so users of the legacy
+// Manager role already have the administrator role when super-admins are chosen.
+const initTenants = () => runWithoutTenant(async () => {
+  let company = await getDefaultCompany();
+
+  if (!company) {
+    company = await Company.create({ name: tenantConfig.defaultCompanyName });
+
+    // Administrators of a single-company installation go on managing the whole deployment
+    await User.updateMany({ role: permissionsConfig.adminRole }, { isSuperAdmin: true });
+    await AuditLog.updateMany({ company: null }, { company: company._id }, { migration: true });
+  }
+
+  let moved = 0;
+  for (const Model of TENANT_MODELS) {
+    const result = await Model.updateMany({ company: null }, { company: company._id });
+    moved += result.modifiedCount;
+  }
+
+  return moved;
+});
+
+// Wrap a job handler to run once for every active company, adding up the counts it returns;
+// when started inside a company (runWithTenant) it only runs for that company.
+// A company whose run fails is listed in failedCompanies and the other companies still run.
+const forEachCompany = handler => async () => {
+  if (getTenantId()) {
+    return handler();
+  }
+
+  const companies = await Company.find({ isActive: true }).select('_id');
+  const totals = {};
+  const failedCompanies = [];
+
+  for (const company of companies) {
+    try {
+      const result = await runWithTenant(company._id, handler);
+      Object.entries(result || {}).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+          totals[key] = (totals[key] || 0) + value;
+        }
+      });
+    } catch (error) {
+      console.error(`Job failed for company ${company._id}:`, error);
+      failedCompanies.push({ company: company._id, error: error.message });
+    }
+  }
+
+  return failedCompanies.length ? { ...totals, failedCompanies } : totals;
+};
+
+module.exports = {
+  getDefaultCompany,
+  initTenants,
+  forEachCompany
+};
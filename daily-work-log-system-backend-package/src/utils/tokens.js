@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Random secret for tokens handed out to users (refresh, password reset)
+const createSecret = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Such tokens are stored as hashes only, so a database leak does not expose them
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  createSecret,
+  hashToken
+};
@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const authConfig = require('../config/auth.config');
+const twoFactorConfig = require('../config/twoFactor.config');
+const { encrypt, decrypt } = require('./encryption');
+const { createSecret, hashToken } = require('./tokens');
+
+// Accept codes from the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+// Create a TOTP secret; returns it encrypted for storage along with the enrollment details
+const createEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, twoFactorConfig.issuer, secret);
+
+  return {
+    encryptedSecret: encrypt(secret, twoFactorConfig.encryptionKey),
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Check a code against an encrypted secret; returns its time step, or null when invalid
+const verifyCode = (encryptedSecret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!encryptedSecret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, decrypt(encryptedSecret, twoFactorConfig.encryptionKey));
+  if (delta === null) return null;
+
+  // The options set above leave out the defaults, so the step comes from the effective options
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = code => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Generate recovery codes; returns the codes to show once and their hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: twoFactorConfig.recoveryCodeCount }, () => {
+    const code = createSecret(5);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+// Hash a recovery code entered by the user for comparison with the stored hashes
+const hashRecoveryCode = code => hashToken(normalizeRecoveryCode(code));
+
+// Short-lived token proving the password step of a login ('verify' or 'setup')
+const createChallengeToken = (user, purpose) => jwt.sign(
+  { id: user._id, twoFactor: purpose },
+  authConfig.secret,
+  { expiresIn: twoFactorConfig.challengeExpiresIn }
+);
+
+// Decode a challenge token; returns the user id, or null when invalid, expired or for another purpose
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, authConfig.secret);
+    return decoded.twoFactor === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the user's role has to use two-factor authentication
+const isTwoFactorRequired = user => twoFactorConfig.requiredRoles.includes(user.role);
+
+module.exports = {
+  createEnrollment,
+  verifyCode,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  createChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired
+};
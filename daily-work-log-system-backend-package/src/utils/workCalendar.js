@@ -0,0 +1,116 @@
+const moment = require('moment-timezone');
+const WorkCalendar = require('../models/workCalendar.model');
+const calendarConfig = require('../config/calendar.config');
+const { getTenantId } = require('./tenantContext');
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// Calendars kept in memory by company so day checks can stay synchronous
+const cachedCalendars = new Map();
+
+// Calendar used before the company calendar has been loaded
+const getDefaultCalendar = () => ({
+  workingDays: calendarConfig.workingDays,
+  holidays: calendarConfig.holidays.map(date => ({ date })),
+  projectExceptions: []
+});
+
+// Read the calendar of the current company from the database unless the cached copy is still fresh
+const loadCalendar = async (force = false) => {
+  const companyId = getTenantId();
+  const cached = cachedCalendars.get(companyId);
+  if (!force && cached && Date.now() - cached.loadedAt < calendarConfig.cacheSeconds * 1000) {
+    return cached.calendar;
+  }
+
+  const calendar = (await WorkCalendar.getCompanyCalendar()).toObject();
+  cachedCalendars.set(companyId, { calendar, loadedAt: Date.now() });
+  return calendar;
+};
+
+const getCalendar = () => {
+  const cached = cachedCalendars.get(getTenantId());
+  return cached ? cached.calendar : getDefaultCalendar();
+};
+
+// Calendar day (YYYY-MM-DD) of a date in the configured timezone
+const toDayKey = (date) => moment.tz(date, calendarConfig.timezone).format(DAY_FORMAT);
+
+// Today's calendar day, optionally shifted by a number of days
+const getDayKey = (offsetDays = 0) => moment.tz(calendarConfig.timezone).add(offsetDays, 'days').format(DAY_FORMAT);
+
+// Start and end of a calendar day in the configured timezone, for date range queries
+const getDayRange = (dayKey) => {
+  const start = moment.tz(dayKey, DAY_FORMAT, calendarConfig.timezone).startOf('day');
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, 'day').toDate()
+  };
+};
+
+const findHoliday = (dayKey) => getCalendar().holidays.find(holiday => holiday.date === dayKey);
+
+const findProjectException = (dayKey, projectId) => {
+  if (!projectId) {
+    return undefined;
+  }
+  return getCalendar().projectExceptions.find(exception => (
+    exception.date === dayKey && exception.project.toString() === projectId.toString()
+  ));
+};
+
+// Whether a day is a regular working day, a weekend day or a holiday for the company (used for pay)
+const getDayType = (date) => {
+  const dayKey = toDayKey(date);
+
+  if (findHoliday(dayKey)) {
+    return 'holiday';
+  }
+
+  const weekday = moment.tz(dayKey, DAY_FORMAT, calendarConfig.timezone).day();
+  if (!getCalendar().workingDays.includes(weekday)) {
+    return 'weekend';
+  }
+
+  return 'regular';
+};
+
+// Whether a log is expected on a day; project exceptions override the company calendar
+const isWorkingDay = (date, projectId) => {
+  const exception = findProjectException(toDayKey(date), projectId);
+  if (exception) {
+    return exception.isWorkingDay;
+  }
+
+  return getDayType(date) === 'regular';
+};
+
+// Whether any project works on a day (the company calendar or a project exception says so)
+const isWorkingDayForAnyProject = (date) => {
+  const dayKey = toDayKey(date);
+  return getDayType(dayKey) === 'regular'
+    || getCalendar().projectExceptions.some(exception => exception.date === dayKey && exception.isWorkingDay);
+};
+
+// The last working day before a date (looks back at most a month)
+const getPreviousWorkingDay = (date) => {
+  const day = moment.tz(toDayKey(date), DAY_FORMAT, calendarConfig.timezone);
+  for (let i = 1; i <= 31; i++) {
+    const candidate = day.clone().subtract(i, 'days').format(DAY_FORMAT);
+    if (isWorkingDayForAnyProject(candidate)) {
+      return candidate;
+    }
+  }
+  return day.subtract(1, 'day').format(DAY_FORMAT);
+};
+
+module.exports = {
+  loadCalendar,
+  toDayKey,
+  getDayKey,
+  getDayRange,
+  getDayType,
+  isWorkingDay,
+  isWorkingDayForAnyProject,
+  getPreviousWorkingDay
+};
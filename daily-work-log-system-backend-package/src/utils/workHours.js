@@ -0,0 +1,75 @@
+const moment = require('moment');
+const workHoursConfig = require('../config/workHours.config');
+const { getDayType } = require('./workCalendar');
+
+// Round hours to two decimal places
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+// Accept both the legacy plain array of employee ids and the detailed entries
+const normalizeEmployeeEntries = (employees) => {
+  if (!Array.isArray(employees)) {
+    return employees;
+  }
+
+  return employees.map(entry => {
+    if (entry && typeof entry === 'object' && entry.employee) {
+      return {
+        employee: entry.employee,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        breakMinutes: entry.breakMinutes,
+        role: entry.role,
+        isAbsent: entry.isAbsent
+      };
+    }
+
+    return { employee: entry };
+  });
+};
+
+// Calculate regular, overtime and payable hours for one employee entry
+// Missing start/end times fall back to the times of the log itself;
+// the work calendar must be loaded (see loadCalendar) for weekends and holidays
+const calculateEmployeeHours = (entry, log) => {
+  const dayType = getDayType(log.date);
+  const dayMultiplier = dayType === 'holiday'
+    ? workHoursConfig.holidayMultiplier
+    : dayType === 'weekend' ? workHoursConfig.weekendMultiplier : 1;
+
+  const startTime = entry.startTime || log.startTime;
+  const endTime = entry.endTime || log.endTime;
+
+  if (entry.isAbsent || !startTime || !endTime) {
+    return { dayType, regularHours: 0, overtimeHours: 0, payableHours: 0 };
+  }
+
+  const workedMinutes = moment(endTime).diff(moment(startTime), 'minutes') - (entry.breakMinutes || 0);
+  const workedHours = Math.max(workedMinutes, 0) / 60;
+
+  const regularHours = Math.min(workedHours, workHoursConfig.regularHoursPerDay);
+  const overtimeHours = Math.max(workedHours - workHoursConfig.regularHoursPerDay, 0);
+  const payableHours = (regularHours + overtimeHours * workHoursConfig.overtimeMultiplier) * dayMultiplier;
+
+  return {
+    dayType,
+    regularHours: roundHours(regularHours),
+    overtimeHours: roundHours(overtimeHours),
+    payableHours: roundHours(payableHours)
+  };
+};
+
+// Sum the hours of all employee entries of a log
+const summarizeHours = (entries) => entries.reduce(
+  (summary, entry) => ({
+    regularHours: roundHours(summary.regularHours + (entry.regularHours || 0)),
+    overtimeHours: roundHours(summary.overtimeHours + (entry.overtimeHours || 0)),
+    payableHours: roundHours(summary.payableHours + (entry.payableHours || 0))
+  }),
+  { regularHours: 0, overtimeHours: 0, payableHours: 0 }
+);
+
+module.exports = {
+  normalizeEmployeeEntries,
+  calculateEmployeeHours,
+  summarizeHours
+};
@@ -0,0 +1,56 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+const { publish } = require('../src/utils/realtime');
+
+describe('event stream', () => {
+  let server;
+  let session;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await createUser(await createCompany(), { email: 'user@example.com' });
+    session = await login(server.request, 'user@example.com');
+  });
+
+  // Open the stream and read it until the text contains `expected`, giving up after a few seconds
+  const readStream = async (headers, expected, whileOpen) => {
+    const { body: { ticket } } = await server.request('POST', '/notifications/stream-ticket', { token: session.token });
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    const response = await fetch(`${server.baseUrl}/notifications/stream?ticket=${ticket}`, {
+      headers,
+      signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    let text = decoder.decode((await reader.read()).value);
+    await whileOpen();
+    while (!text.includes(expected)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value);
+    }
+    clearTimeout(timeout);
+    controller.abort();
+    return text;
+  };
+
+  it('delivers live events whose id sorts below the last event id of the client', async () => {
+    // An id the events stored by any instance from now on sort below
+    const text = await readStream(
+      { 'Last-Event-ID': 'ffffffffffffffffffffffff' },
+      'event: notification',
+      () => publish([session.id], 'notification', { message: 'Live' })
+    );
+
+    assert.match(text, /event: notification\ndata: {"message":"Live"}/);
+  });
+});
@@ -0,0 +1,85 @@
+// Test setup: the Express app on in-memory collections (see memoryDb) with default
+// roles, plus helpers to create companies and users and to call the API over HTTP
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BOOTSTRAP_TOKEN = 'test-bootstrap-token';
+process.env.MAX_LOGIN_ATTEMPTS = '3';
+process.env.IP_MAX_LOGIN_ATTEMPTS = '50';
+
+const mongoose = require('mongoose');
+
+// Operations the in-memory collections do not handle fail at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+mongoose.set('autoIndex', false);
+mongoose.set('autoCreate', false);
+
+const app = require('../../src/app');
+const Company = require('../../src/models/company.model');
+const User = require('../../src/models/user.model');
+const { initRoles } = require('../../src/utils/permissions');
+const { runWithTenant } = require('../../src/utils/tenantContext');
+const { useMemoryDatabase } = require('./memoryDb');
+
+const db = useMemoryDatabase();
+
+// Empty every collection and create the default roles again
+const resetDatabase = async () => {
+  db.reset();
+  await initRoles();
+};
+
+const createCompany = (name = 'Test Company') => Company.create({ name });
+
+// Create a user in a company; the password is the same for every test user
+const PASSWORD = 'Secret123';
+
+const createUser = (company, fields = {}) => runWithTenant(company._id, () => User.create({
+  fullName: 'Test User',
+  password: PASSWORD,
+  role: 'Admin',
+  ...fields,
+  email: fields.email || `user${new mongoose.Types.ObjectId()}@example.com`
+}));
+
+// Start the app on a free port; `request` sends JSON and resolves with the status and body,
+// `baseUrl` is for requests that do not fit it (e.g. event streams)
+const startServer = () => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    const request = async (method, path, { body, token, headers = {} } = {}) => {
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const text = await response.text();
+      return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+
+    resolve({
+      baseUrl,
+      request,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+// Log in with the test password; resolves with the response body
+const login = async (request, email, password = PASSWORD) => (
+  await request('POST', '/auth/login', { body: { email, password } })
+).body;
+
+module.exports = {
+  db,
+  PASSWORD,
+  resetDatabase,
+  createCompany,
+  createUser,
+  startServer,
+  login
+};
@@ -0,0 +1,320 @@
+const mongoose = require('mongoose');
+const sift = require('sift');
+
+const { BSON, ObjectId } = mongoose.mongo;
+
+// In-memory stand-in for the MongoDB collections of the models, so the tests run the real
+// models, queries and middleware without a database server. Every operation on a single
+// collection is applied at once, like MongoDB's single-document atomicity; only the query
+// and update features the application uses are supported.
+
+// Copy a document the way a round trip through the database would
+const copy = doc => BSON.deserialize(BSON.serialize(doc, { ignoreUndefined: true }));
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach((key, index) => {
+    if (target[key] == null || typeof target[key] !== 'object') {
+      target[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent) {
+    delete parent[keys[keys.length - 1]];
+  }
+};
+
+const isPlainObject = value => Boolean(value) && value.constructor === Object;
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Whether an array element matches the condition of $pull
+const matchesCondition = (condition, element) => (isPlainObject(condition)
+  ? sift(condition)(element)
+  : isSame(condition, element));
+
+const applyUpdate = (doc, update, isInsert) => {
+  if (Array.isArray(update)) {
+    throw new Error('Aggregation pipeline updates are not supported in tests');
+  }
+
+  Object.entries(update).forEach(([operator, fields]) => {
+    // A replacement-style field outside an operator
+    if (!operator.startsWith('$')) {
+      setPath(doc, operator, fields);
+      return;
+    }
+
+    Object.entries(fields).forEach(([path, value]) => {
+      if (path.includes('$')) {
+        throw new Error(`Positional update of ${path} is not supported in tests`);
+      }
+
+      const items = isPlainObject(value) && value.$each ? value.$each : [value];
+      const array = () => getPath(doc, path) || [];
+
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, value);
+          break;
+        case '$setOnInsert':
+          if (isInsert) {
+            setPath(doc, path, value);
+          }
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case '$push':
+          setPath(doc, path, [...array(), ...items]);
+          break;
+        case '$addToSet':
+          setPath(doc, path, items.reduce((list, item) => (
+            list.some(existing => isSame(existing, item)) ? list : [...list, item]
+          ), array()));
+          break;
+        case '$pull':
+          setPath(doc, path, array().filter(element => !matchesCondition(value, element)));
+          break;
+        case '$pullAll':
+          setPath(doc, path, array().filter(element => !value.some(item => isSame(item, element))));
+          break;
+        default:
+          throw new Error(`Update operator ${operator} is not supported in tests`);
+      }
+    });
+  });
+};
+
+const comparable = (value) => {
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const compareValues = (a, b) => {
+  if (a == null || b == null) {
+    return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  }
+  const [x, y] = [comparable(a), comparable(b)];
+  if (x < y) return -1;
+  return x > y ? 1 : 0;
+};
+
+const sortDocuments = (docs, sort) => {
+  if (!sort) {
+    return docs;
+  }
+  const fields = Array.isArray(sort) ? sort : Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const order = compareValues(getPath(a, field), getPath(b, field));
+      if (order) {
+        return [-1, 'desc', 'descending'].includes(direction) ? -order : order;
+      }
+    }
+    return 0;
+  });
+};
+
+const cursorOf = docs => ({
+  toArray: async () => docs.map(copy)
+});
+
+const duplicateKeyError = (collectionName, keyValue) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${collectionName} dup key: ${JSON.stringify(keyValue)}`),
+  { code: 11000, keyValue }
+);
+
+// Collection of one model, enforcing _id and the unique indexes of its schema
+const createCollection = (model) => {
+  let docs = [];
+
+  const uniqueIndexes = [
+    [{ _id: 1 }, { unique: true }],
+    ...model.schema.indexes().filter(([, options]) => options && options.unique)
+  ].map(([fields, options]) => ({ fields: Object.keys(fields), options }));
+
+  const indexKey = (index, doc) => {
+    const values = index.fields.map(field => getPath(doc, field));
+    if (index.options.sparse && values.every(value => value === undefined)) return null;
+    if (index.options.partialFilterExpression && !sift(index.options.partialFilterExpression)(doc)) return null;
+    return JSON.stringify(values.map(value => (value === undefined ? null : value)));
+  };
+
+  // A new or updated document (replacing a stored one) may not repeat a unique key
+  const checkUnique = (doc, replacing = null) => {
+    uniqueIndexes.forEach((index) => {
+      const key = indexKey(index, doc);
+      if (key !== null && docs.some(other => other !== replacing && indexKey(index, other) === key)) {
+        throw duplicateKeyError(model.collection.collectionName, Object.fromEntries(
+          index.fields.map(field => [field, getPath(doc, field)])
+        ));
+      }
+    });
+  };
+
+  const matching = (filter, sort) => sortDocuments(docs.filter(sift(filter || {})), sort);
+
+  const insert = (doc) => {
+    const stored = copy(doc);
+    if (stored._id === undefined) {
+      stored._id = new ObjectId();
+    }
+    checkUnique(stored);
+    docs.push(stored);
+    return stored;
+  };
+
+  // New document of an upsert: the equality conditions of the filter plus the update
+  const upsert = (filter, update) => {
+    const doc = {};
+    Object.entries(filter || {}).forEach(([path, value]) => {
+      const isCondition = isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+      if (!path.startsWith('$') && !isCondition) {
+        setPath(doc, path, value);
+      }
+    });
+    applyUpdate(doc, update, true);
+    return insert(doc);
+  };
+
+  // Apply an update to a stored document; resolves with the updated copy
+  const replaceWithUpdate = (target, update) => {
+    const next = copy(target);
+    applyUpdate(next, update, false);
+    checkUnique(next, target);
+    docs[docs.indexOf(target)] = next;
+    return next;
+  };
+
+  const updateDocuments = (filter, update, options = {}, multi) => {
+    const targets = matching(filter).slice(0, multi ? undefined : 1);
+
+    if (targets.length === 0 && options.upsert) {
+      const doc = upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+
+    let modifiedCount = 0;
+    targets.forEach((target) => {
+      if (!isSame(replaceWithUpdate(target, update), target)) {
+        modifiedCount++;
+      }
+    });
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  };
+
+  const deleteDocuments = (filter, multi) => {
+    const targets = matching(filter).slice(0, multi ? undefined : 1);
+    docs = docs.filter(doc => !targets.includes(doc));
+    return { acknowledged: true, deletedCount: targets.length };
+  };
+
+  const withMetadata = (value, options, found) => (options.includeResultMetadata === false
+    ? value
+    : { value, ok: 1, lastErrorObject: { n: value ? 1 : 0, updatedExisting: found } });
+
+  const runPipeline = pipeline => pipeline.reduce((result, stage) => {
+    const [[name, value]] = Object.entries(stage);
+    switch (name) {
+      case '$match': return result.filter(sift(value));
+      case '$sort': return sortDocuments(result, value);
+      case '$skip': return result.slice(value);
+      case '$limit': return result.slice(0, value);
+      case '$count': return [{ [value]: result.length }];
+      default: throw new Error(`Aggregation stage ${name} is not supported in tests`);
+    }
+  }, docs);
+
+  return {
+    reset: () => {
+      docs = [];
+    },
+    documents: () => docs.map(copy),
+
+    find: (filter, options = {}) => {
+      const found = matching(filter, options.sort);
+      const start = options.skip || 0;
+      return cursorOf(found.slice(start, options.limit ? start + options.limit : undefined));
+    },
+    findOne: async (filter, options = {}) => {
+      const [doc] = matching(filter, options.sort);
+      return doc ? copy(doc) : null;
+    },
+    countDocuments: async filter => matching(filter).length,
+    estimatedDocumentCount: async () => docs.length,
+    distinct: async (field, filter) => {
+      const values = matching(filter).flatMap(doc => getPath(doc, field)).filter(value => value !== undefined);
+      return values.filter((value, index) => values.findIndex(other => isSame(other, value)) === index);
+    },
+    aggregate: pipeline => cursorOf(runPipeline(pipeline)),
+
+    insertOne: async (doc) => {
+      const stored = insert(doc);
+      return { acknowledged: true, insertedId: stored._id };
+    },
+    insertMany: async (list) => {
+      const stored = list.map(insert);
+      return { acknowledged: true, insertedCount: stored.length, insertedIds: stored.map(doc => doc._id) };
+    },
+    updateOne: async (filter, update, options) => updateDocuments(filter, update, options, false),
+    updateMany: async (filter, update, options) => updateDocuments(filter, update, options, true),
+    deleteOne: async filter => deleteDocuments(filter, false),
+    deleteMany: async filter => deleteDocuments(filter, true),
+
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      const [target] = matching(filter, options.sort);
+      const returnUpdated = options.returnDocument === 'after' || options.returnOriginal === false || options.new;
+
+      if (!target) {
+        const inserted = options.upsert ? upsert(filter, update) : null;
+        return withMetadata(inserted && returnUpdated ? copy(inserted) : null, options, false);
+      }
+
+      const before = copy(target);
+      const after = replaceWithUpdate(target, update);
+      return withMetadata(copy(returnUpdated ? after : before), options, true);
+    },
+    findOneAndDelete: async (filter, options = {}) => {
+      const [target] = matching(filter, options.sort);
+      if (target) {
+        docs = docs.filter(doc => doc !== target);
+      }
+      return withMetadata(target ? copy(target) : null, options, Boolean(target));
+    }
+  };
+};
+
+// Replace the collections of every registered model; returns the in-memory collections
+// by model name and a function that empties them all between tests
+const useMemoryDatabase = () => {
+  const collections = {};
+
+  mongoose.modelNames().forEach((name) => {
+    const model = mongoose.model(name);
+    collections[name] = createCollection(model);
+    Object.assign(model.collection, collections[name]);
+  });
+
+  return {
+    collections,
+    reset: () => Object.values(collections).forEach(collection => collection.reset())
+  };
+};
+
+module.exports = {
+  useMemoryDatabase
+};
@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const JobLock = require('../src/models/jobLock.model');
+const { defineJob, triggerJob } = require('../src/utils/jobRunner');
+const { db, resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+
+// A job that runs until it is told to finish; its lock expires quickly so the heartbeat must keep it
+const LOCK_SECONDS = 1;
+const pendingRuns = [];
+const finishJob = () => pendingRuns.splice(0).forEach(resolve => resolve({ done: true }));
+
+defineJob({
+  name: 'test-job',
+  schedule: '0 3 * * *',
+  description: 'Test job',
+  lockSeconds: LOCK_SECONDS,
+  handler: () => new Promise((resolve) => {
+    pendingRuns.push(resolve);
+  })
+});
+
+// Wait until the run recorded for the test job has finished
+const waitForRun = async () => {
+  while (db.collections.JobRun.documents().some(run => run.status === 'running')) {
+    await sleep(20);
+  }
+};
+
+describe('job locks', () => {
+  beforeEach(() => resetDatabase());
+
+  it('are held by one owner at a time', async () => {
+    assert.equal(await JobLock.acquire('job', 'first', 60), true);
+    assert.equal(await JobLock.acquire('job', 'second', 60), false);
+    assert.equal(await JobLock.acquire('job', 'first', 60), false, 'not even the owner may take it again');
+  });
+
+  it('are taken by a single owner when acquired in parallel', async () => {
+    const results = await Promise.all(['a', 'b', 'c'].map(owner => JobLock.acquire('job', owner, 60)));
+
+    assert.deepEqual(results.filter(Boolean), [true]);
+  });
+
+  it('can be taken over once expired', async () => {
+    await JobLock.acquire('job', 'first', 0.05);
+    await sleep(100);
+
+    assert.equal(await JobLock.acquire('job', 'second', 60), true);
+    assert.equal(await JobLock.renew('job', 'first', 60), false, 'the previous owner lost the lock');
+  });
+
+  it('are renewed and released only by their owner', async () => {
+    await JobLock.acquire('job', 'first', 60);
+
+    assert.equal(await JobLock.renew('job', 'second', 60), false);
+    await JobLock.release('job', 'second');
+    assert.equal(await JobLock.acquire('job', 'second', 60), false);
+
+    await JobLock.release('job', 'first');
+    assert.equal(await JobLock.acquire('job', 'second', 60), true);
+  });
+});
+
+describe('job runs', () => {
+  beforeEach(() => resetDatabase());
+
+  it('do not start while the job is running and keep the lock past its expiry', async () => {
+    const run = await triggerJob('test-job');
+    const [lock] = db.collections.JobLock.documents();
+
+    await sleep(LOCK_SECONDS * 1000 * 2);
+    const concurrent = await triggerJob('test-job');
+    const [renewed] = db.collections.JobLock.documents();
+    const [running] = db.collections.JobRun.documents();
+
+    finishJob();
+    await waitForRun();
+
+    assert.ok(run);
+    assert.equal(concurrent, null);
+    assert.ok(renewed.lockedUntil > lock.lockedUntil);
+    assert.ok(running.lockExpiresAt > run.lockExpiresAt);
+    assert.equal(db.collections.JobLock.documents().length, 0, 'the lock is released when the run finishes');
+    assert.equal(db.collections.JobRun.documents()[0].status, 'succeeded');
+  });
+
+  it('start again once the previous run finished', async () => {
+    await triggerJob('test-job');
+    finishJob();
+    await waitForRun();
+
+    const run = await triggerJob('test-job');
+    finishJob();
+    await waitForRun();
+
+    assert.ok(run);
+    assert.equal(db.collections.JobRun.documents().length, 2);
+  });
+});
+
+describe('job administration', () => {
+  let server;
+  let company;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+  });
+
+  it('shows jobs and their history only to super-admins', async () => {
+    await createUser(company, { email: 'admin@example.com' });
+    await createUser(company, { email: 'super@example.com', isSuperAdmin: true });
+    const admin = await login(server.request, 'admin@example.com');
+    const superAdmin = await login(server.request, 'super@example.com');
+
+    const adminJobs = await server.request('GET', '/admin/jobs', { token: admin.token });
+    const adminRuns = await server.request('GET', '/admin/jobs/test-job/runs', { token: admin.token });
+    const superJobs = await server.request('GET', '/admin/jobs', { token: superAdmin.token });
+    const superRuns = await server.request('GET', '/admin/jobs/test-job/runs', { token: superAdmin.token });
+
+    assert.equal(adminJobs.status, 403);
+    assert.equal(adminRuns.status, 403);
+    assert.equal(superJobs.status, 200);
+    assert.deepEqual(superJobs.body.map(job => job.name), ['test-job']);
+    assert.equal(superRuns.status, 200);
+  });
+
+  it('lets only super-admins run a job by hand', async () => {
+    await createUser(company, { email: 'admin@example.com' });
+    await createUser(company, { email: 'super@example.com', isSuperAdmin: true });
+    const admin = await login(server.request, 'admin@example.com');
+    const superAdmin = await login(server.request, 'super@example.com');
+
+    const byAdmin = await server.request('POST', '/admin/jobs/test-job/run', { token: admin.token });
+    const bySuperAdmin = await server.request('POST', '/admin/jobs/test-job/run', { token: superAdmin.token });
+    finishJob();
+    await waitForRun();
+
+    assert.equal(byAdmin.status, 403);
+    assert.equal(bySuperAdmin.status, 202);
+    assert.equal(db.collections.JobRun.documents().length, 1);
+  });
+});
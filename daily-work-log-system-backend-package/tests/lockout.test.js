@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, PASSWORD, resetDatabase, createCompany, createUser, startServer } = require('./helpers/app');
+
+// MAX_LOGIN_ATTEMPTS is 3 in the tests (see helpers/app)
+const MAX_ATTEMPTS = 3;
+
+describe('login lockout', () => {
+  let server;
+  let company;
+
+  const attempt = (email, password) => server.request('POST', '/auth/login', { body: { email, password } });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+  });
+
+  it('rejects a wrong password and an unknown email alike', async () => {
+    await createUser(company, { email: 'user@example.com' });
+
+    const wrongPassword = await attempt('user@example.com', 'wrong-password');
+    const unknownEmail = await attempt('nobody@example.com', PASSWORD);
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownEmail.status, 401);
+    assert.equal(wrongPassword.body.message, unknownEmail.body.message);
+  });
+
+  it('locks the account after too many failed logins, even with the right password', async () => {
+    await createUser(company, { email: 'user@example.com' });
+
+    for (let count = 0; count < MAX_ATTEMPTS; count++) {
+      assert.equal((await attempt('user@example.com', 'wrong-password')).status, 401);
+    }
+
+    const locked = await attempt('user@example.com', PASSWORD);
+
+    assert.equal(locked.status, 429);
+    const [user] = db.collections.User.documents();
+    assert.ok(user.lockUntil > new Date());
+    assert.equal(user.lockoutCount, 1);
+  });
+
+  it('applies a single lockout when failed logins arrive in parallel', async () => {
+    await createUser(company, { email: 'user@example.com' });
+
+    const responses = await Promise.all(
+      Array.from({ length: MAX_ATTEMPTS * 4 }, () => attempt('user@example.com', 'wrong-password'))
+    );
+
+    assert.ok(responses.every(response => [401, 429].includes(response.status)));
+    const [user] = db.collections.User.documents();
+    assert.equal(user.lockoutCount, 1);
+    const lockouts = db.collections.AuditLog.documents().filter(entry => entry.action === 'account_locked');
+    assert.equal(lockouts.length, 1);
+  });
+
+  it('clears the failed logins after a successful one', async () => {
+    await createUser(company, { email: 'user@example.com' });
+
+    await attempt('user@example.com', 'wrong-password');
+    const success = await attempt('user@example.com', PASSWORD);
+
+    assert.equal(success.status, 200);
+    const [user] = db.collections.User.documents();
+    assert.equal(user.failedLoginAttempts, 0);
+  });
+
+  it('throttles unknown emails like existing accounts', async () => {
+    for (let count = 0; count < MAX_ATTEMPTS; count++) {
+      await attempt('nobody@example.com', 'wrong-password');
+    }
+
+    const response = await attempt('nobody@example.com', 'wrong-password');
+
+    assert.equal(response.status, 429);
+  });
+});
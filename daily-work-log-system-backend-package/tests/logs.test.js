@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Project = require('../src/models/project.model');
+const { runWithTenant } = require('../src/utils/tenantContext');
+const { db, resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+
+describe('log review', () => {
+  let server;
+  let company;
+  let project;
+  let leader;
+  let reviewer;
+
+  const newLog = () => ({
+    date: '2026-03-02',
+    project: String(project._id),
+    employees: [],
+    startTime: '2026-03-02T06:00:00.000Z',
+    endTime: '2026-03-02T14:00:00.000Z',
+    workDescription: 'Poured the foundations'
+  });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+    const teamLeader = await createUser(company, { email: 'leader@example.com', role: 'Site Supervisor' });
+    await createUser(company, { email: 'reviewer@example.com' });
+    project = await runWithTenant(company._id, () => Project.create({
+      name: 'Project',
+      address: '1 Main Street',
+      city: 'Tel Aviv',
+      state: 'Center',
+      zipCode: '61000',
+      startDate: new Date(),
+      members: [{ user: teamLeader._id }]
+    }));
+    leader = await login(server.request, 'leader@example.com');
+    reviewer = await login(server.request, 'reviewer@example.com');
+  });
+
+  it('returns a rejected log for revision and accepts it again once resubmitted', async () => {
+    const created = await server.request('POST', '/logs', { token: leader.token, body: newLog() });
+    const logId = created.body._id;
+    await server.request('PATCH', `/logs/${logId}/submit`, { token: leader.token });
+
+    const rejected = await server.request('PATCH', `/logs/${logId}/reject`, {
+      token: reviewer.token,
+      body: { reason: 'Hours are missing' }
+    });
+    const edited = await server.request('PUT', `/logs/${logId}`, {
+      token: leader.token,
+      body: { workDescription: 'Poured the foundations, 8 hours' }
+    });
+    const resubmitted = await server.request('PATCH', `/logs/${logId}/submit`, { token: leader.token });
+    const approved = await server.request('PATCH', `/logs/${logId}/approve`, { token: reviewer.token });
+
+    assert.equal(created.status, 201);
+    assert.equal(rejected.status, 200);
+    assert.equal(rejected.body.status, 'rejected');
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.status, 'rejected', 'editing does not change the status');
+    assert.equal(resubmitted.status, 200);
+    assert.equal(approved.status, 200);
+
+    const [log] = db.collections.DailyLog.documents();
+    assert.equal(log.workDescription, 'Poured the foundations, 8 hours');
+    assert.equal(log.rejectionReason, 'Hours are missing');
+    assert.deepEqual(
+      log.statusHistory.map(change => [change.status, change.changedBy.toHexString(), change.reason]),
+      [
+        ['draft', leader.id, undefined],
+        ['submitted', leader.id, undefined],
+        ['rejected', reviewer.id, 'Hours are missing'],
+        ['submitted', leader.id, undefined],
+        ['approved', reviewer.id, undefined]
+      ]
+    );
+  });
+
+  it('requires a reason to reject a log', async () => {
+    const created = await server.request('POST', '/logs', { token: leader.token, body: newLog() });
+    await server.request('PATCH', `/logs/${created.body._id}/submit`, { token: leader.token });
+
+    const response = await server.request('PATCH', `/logs/${created.body._id}/reject`, {
+      token: reviewer.token,
+      body: { reason: ' ' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(db.collections.DailyLog.documents()[0].status, 'submitted');
+  });
+
+  it('only rejects submitted logs', async () => {
+    const created = await server.request('POST', '/logs', { token: leader.token, body: newLog() });
+
+    const response = await server.request('PATCH', `/logs/${created.body._id}/reject`, {
+      token: reviewer.token,
+      body: { reason: 'Hours are missing' }
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('only creates logs as drafts or submitted', async () => {
+    const approved = await server.request('POST', '/logs', { token: leader.token, body: { ...newLog(), status: 'approved' } });
+    const submitted = await server.request('POST', '/logs', { token: leader.token, body: { ...newLog(), status: 'submitted' } });
+
+    assert.equal(approved.status, 400);
+    assert.equal(submitted.status, 201);
+    const [log] = db.collections.DailyLog.documents();
+    assert.deepEqual(log.statusHistory.map(change => change.status), ['submitted']);
+  });
+
+  it('announces submitted logs only to approvers who can access the project', async () => {
+    const member = await createUser(company, { email: 'member@example.com', role: 'Project Manager' });
+    await createUser(company, { email: 'outsider@example.com', role: 'Project Manager' });
+    await runWithTenant(company._id, async () => Project.updateOne({ _id: project._id }, { managers: [member._id] }));
+
+    await server.request('POST', '/logs', { token: leader.token, body: { ...newLog(), status: 'submitted' } });
+
+    const recipients = db.collections.StreamEvent.documents()
+      .filter(event => event.event === 'log_status')
+      .map(event => event.recipient.toHexString())
+      .sort();
+    assert.deepEqual(recipients, [String(member._id), reviewer.id].sort());
+  });
+});
@@ -0,0 +1,106 @@
+// Every day is a working day, so the reminder jobs run whatever day the tests run on
+process.env.WEEKEND_DAYS = ',';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DailyLog = require('../src/models/dailyLog.model');
+const Project = require('../src/models/project.model');
+const notificationController = require('../src/controllers/notification.controller');
+const { getDayKey } = require('../src/utils/workCalendar');
+const { runWithTenant } = require('../src/utils/tenantContext');
+const { db, resetDatabase, createCompany, createUser } = require('./helpers/app');
+
+describe('log reminder jobs', () => {
+  let company;
+  let teamLeader;
+  let manager;
+
+  const createProject = name => Project.create({
+    name,
+    address: '1 Main Street',
+    city: 'Tel Aviv',
+    state: 'Center',
+    zipCode: '61000',
+    startDate: new Date(),
+    managers: [manager._id],
+    members: [{ user: teamLeader._id }]
+  });
+
+  // A draft log started a few days ago
+  const createDraft = (project, daysAgo) => DailyLog.create({
+    date: getDayKey(-daysAgo),
+    teamLeader: teamLeader._id,
+    project: project._id,
+    startTime: new Date(),
+    endTime: new Date(),
+    workDescription: 'Poured the foundations',
+    status: 'draft',
+    createdAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000)
+  });
+
+  // Two draft logs, one of them of a project that was deleted since
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+    teamLeader = await createUser(company, { email: 'leader@example.com', role: 'Site Supervisor' });
+    manager = await createUser(company, { email: 'manager@example.com', role: 'Project Manager' });
+
+    await runWithTenant(company._id, async () => {
+      const kept = await createProject('Kept');
+      const deleted = await createProject('Deleted');
+      await createDraft(kept, 3);
+      await createDraft(deleted, 3);
+      await Project.deleteOne({ _id: deleted._id });
+    });
+  });
+
+  it('remind team leaders of draft logs and skip logs of deleted projects', async () => {
+    const result = await runWithTenant(company._id, () => notificationController.createIncompleteLogNotifications());
+
+    assert.equal(result.notifications, 1);
+    const notifications = db.collections.Notification.documents();
+    assert.equal(notifications.length, 1);
+    assert.ok(notifications[0].recipient.equals(teamLeader._id));
+  });
+
+  it('escalate draft logs to managers and skip logs of deleted projects', async () => {
+    const result = await runWithTenant(company._id, () => notificationController.createEscalationNotifications());
+
+    assert.equal(result.notifications, 1);
+    const [notification] = db.collections.Notification.documents();
+    assert.equal(notification.type, 'log_escalation');
+    assert.ok(notification.recipient.equals(manager._id));
+  });
+});
+
+describe('missing log job', () => {
+  let company;
+  let teamLeader;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+    teamLeader = await createUser(company, { email: 'leader@example.com', role: 'Site Supervisor' });
+
+    await runWithTenant(company._id, () => Project.create({
+      name: 'Project',
+      address: '1 Main Street',
+      city: 'Tel Aviv',
+      state: 'Center',
+      zipCode: '61000',
+      startDate: new Date(),
+      assignments: [{ teamLeader: teamLeader._id, startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }]
+    }));
+  });
+
+  it('reminds a team leader of a missing log once, however often it runs', async () => {
+    const first = await runWithTenant(company._id, () => notificationController.createMissingLogNotifications());
+    const second = await runWithTenant(company._id, () => notificationController.createMissingLogNotifications());
+
+    assert.equal(first.notifications, 1);
+    assert.equal(second.notifications, 0);
+    const notifications = db.collections.Notification.documents();
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].type, 'missing_log');
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createCompany, createUser, startServer } = require('./helpers/app');
+
+// MAX_LOGIN_ATTEMPTS is 3 in the tests (see helpers/app)
+const MAX_ATTEMPTS = 3;
+
+describe('password reset requests', () => {
+  let server;
+
+  const requestReset = email => server.request('POST', '/auth/forgot-password', { body: { email } });
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    await createUser(await createCompany(), { email: 'user@example.com' });
+  });
+
+  it('are throttled per email without revealing unknown emails', async () => {
+    const known = [];
+    const unknown = [];
+    for (let count = 0; count <= MAX_ATTEMPTS; count++) {
+      known.push((await requestReset('user@example.com')).status);
+      unknown.push((await requestReset('nobody@example.com')).status);
+    }
+
+    assert.deepEqual(known, [200, 200, 200, 429]);
+    assert.deepEqual(unknown, known);
+  });
+
+  it('do not make logins of unknown emails throttle differently from real accounts', async () => {
+    for (let count = 0; count < MAX_ATTEMPTS; count++) {
+      await requestReset('user@example.com');
+      await requestReset('nobody@example.com');
+    }
+
+    const known = await server.request('POST', '/auth/login', { body: { email: 'user@example.com', password: 'wrong-password' } });
+    const unknown = await server.request('POST', '/auth/login', { body: { email: 'nobody@example.com', password: 'wrong-password' } });
+
+    assert.equal(known.status, 401);
+    assert.equal(unknown.status, 401);
+  });
+});
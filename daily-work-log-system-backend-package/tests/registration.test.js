@@ -0,0 +1,52 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, PASSWORD, resetDatabase, createCompany, createUser, startServer } = require('./helpers/app');
+
+describe('first administrator', () => {
+  const admin = { fullName: 'First Admin', email: 'admin@example.com', password: PASSWORD };
+  let server;
+  let company;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+  });
+
+  it('requires the bootstrap token', async () => {
+    const missing = await server.request('POST', '/auth/register', { body: admin });
+    const wrong = await server.request('POST', '/auth/register', { body: { ...admin, bootstrapToken: 'wrong' } });
+
+    assert.equal(missing.status, 403);
+    assert.equal(wrong.status, 403);
+    assert.equal(db.collections.User.documents().length, 0);
+  });
+
+  it('is created once, as a super-admin, even by parallel requests', async () => {
+    const responses = await Promise.all([1, 2, 3].map(index => server.request('POST', '/auth/register', {
+      body: { ...admin, email: `admin${index}@example.com`, bootstrapToken: 'test-bootstrap-token' }
+    })));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 403, 403]);
+    const users = db.collections.User.documents();
+    assert.equal(users.length, 1);
+    assert.equal(users[0].role, 'Admin');
+    assert.equal(users[0].isSuperAdmin, true);
+    assert.ok(users[0].company.equals(company._id));
+  });
+
+  it('closes registration afterwards', async () => {
+    await createUser(company);
+
+    const response = await server.request('POST', '/auth/register', {
+      body: { ...admin, bootstrapToken: 'test-bootstrap-token' }
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+
+describe('sessions', () => {
+  let server;
+  let company;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+  });
+
+  it('logs in and reads the current user with the access token', async () => {
+    const user = await createUser(company, { email: 'user@example.com' });
+
+    const session = await login(server.request, 'user@example.com');
+    const me = await server.request('GET', '/auth/me', { token: session.token });
+
+    assert.ok(session.token);
+    assert.ok(session.refreshToken);
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, 'user@example.com');
+    assert.equal(String(me.body._id), String(user._id));
+  });
+
+  it('stops accepting the access token after logout', async () => {
+    await createUser(company, { email: 'user@example.com' });
+    const session = await login(server.request, 'user@example.com');
+
+    const logout = await server.request('POST', '/auth/logout', { token: session.token });
+    const me = await server.request('GET', '/auth/me', { token: session.token });
+
+    assert.equal(logout.status, 200);
+    assert.equal(me.status, 401);
+  });
+
+  it('rotates refresh tokens and revokes the session when an old one is replayed', async () => {
+    await createUser(company, { email: 'user@example.com' });
+    const session = await login(server.request, 'user@example.com');
+
+    const refreshed = await server.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    const replayed = await server.request('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    const afterReplay = await server.request('POST', '/auth/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, session.refreshToken);
+    assert.equal(replayed.status, 401);
+    assert.equal(afterReplay.status, 401);
+  });
+});
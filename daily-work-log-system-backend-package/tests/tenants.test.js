@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+const Project = require('../src/models/project.model');
+const { runWithTenant, runWithoutTenant, getTenantId } = require('../src/utils/tenantContext');
+const { forEachCompany } = require('../src/utils/tenants');
+
+// Create a project in a company
+const createProject = (company, name) => runWithTenant(company._id, () => Project.create({
+  name,
+  address: '1 Main Street',
+  city: 'Tel Aviv',
+  state: 'Center',
+  zipCode: '61000',
+  startDate: new Date()
+}));
+
+describe('tenant isolation', () => {
+  let server;
+  let companyA;
+  let companyB;
+  let projectA;
+  let projectB;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    companyA = await createCompany('Company A');
+    companyB = await createCompany('Company B');
+    await createUser(companyA, { email: 'admin@a.example.com' });
+    await createUser(companyB, { email: 'admin@b.example.com' });
+    projectA = await createProject(companyA, 'Project A');
+    projectB = await createProject(companyB, 'Project B');
+  });
+
+  describe('API', () => {
+    it('lists only the projects of the user\'s company', async () => {
+      const { token } = await login(server.request, 'admin@a.example.com');
+
+      const response = await server.request('GET', '/projects', { token });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.map(project => project.name), ['Project A']);
+    });
+
+    it('does not find a project of another company by id', async () => {
+      const { token } = await login(server.request, 'admin@a.example.com');
+
+      const own = await server.request('GET', `/projects/${projectA._id}`, { token });
+      const other = await server.request('GET', `/projects/${projectB._id}`, { token });
+      const otherMembers = await server.request('GET', `/projects/${projectB._id}/members`, { token });
+
+      assert.equal(own.status, 200);
+      assert.equal(other.status, 404);
+      assert.equal(otherMembers.status, 404);
+    });
+
+    it('does not let a user share a project of another company', async () => {
+      const { token } = await login(server.request, 'admin@a.example.com');
+
+      const response = await server.request('POST', `/projects/${projectB._id}/share-links`, { token, body: {} });
+
+      assert.equal(response.status, 404);
+    });
+
+    it('refuses users of an inactive company', async () => {
+      companyB.isActive = false;
+      await companyB.save();
+
+      const active = await server.request('POST', '/auth/login', { body: { email: 'admin@a.example.com', password: PASSWORD } });
+      const inactive = await server.request('POST', '/auth/login', { body: { email: 'admin@b.example.com', password: PASSWORD } });
+
+      assert.equal(active.status, 200);
+      assert.equal(inactive.status, 403);
+    });
+
+    it('opens a share link in the company of its project', async () => {
+      const { token } = await login(server.request, 'admin@b.example.com');
+      const link = await server.request('POST', `/projects/${projectB._id}/share-links`, { token, body: {} });
+
+      const shared = await server.request('GET', `/share/${link.body.token}`);
+
+      assert.equal(link.status, 201);
+      assert.equal(shared.status, 200);
+      assert.equal(shared.body.project.name, 'Project B');
+    });
+  });
+
+  describe('queries', () => {
+    it('are limited to the company of the context', async () => {
+      const projects = await runWithTenant(companyA._id, async () => Project.find());
+
+      assert.deepEqual(projects.map(project => project.name), ['Project A']);
+    });
+
+    it('save new documents in the company of the context', async () => {
+      assert.ok(projectA.company.equals(companyA._id));
+      assert.ok(projectB.company.equals(companyB._id));
+    });
+
+    it('fail outside a tenant context', async () => {
+      await assert.rejects(() => Project.find().exec(), /queried outside a tenant context/);
+      await assert.rejects(() => Project.countDocuments().exec(), /queried outside a tenant context/);
+    });
+
+    it('cover every company when asked to', async () => {
+      const everywhere = await runWithoutTenant(async () => Project.countDocuments());
+      const allTenants = await Project.countDocuments().setOptions({ allTenants: true });
+
+      assert.equal(everywhere, 2);
+      assert.equal(allTenants, 2);
+    });
+  });
+
+  describe('jobs', () => {
+    it('run for every company and go on after a company fails', async () => {
+      const handler = forEachCompany(async () => {
+        if (getTenantId() === String(companyA._id)) {
+          throw new Error('Broken data');
+        }
+        return { notifications: await Project.countDocuments() };
+      });
+
+      const result = await runWithoutTenant(handler);
+
+      assert.equal(result.notifications, 1);
+      assert.deepEqual(result.failedCompanies.map(failure => [String(failure.company), failure.error]), [
+        [String(companyA._id), 'Broken data']
+      ]);
+    });
+  });
+});
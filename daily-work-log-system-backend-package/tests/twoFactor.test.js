@@ -0,0 +1,133 @@
+// Administrators must use two-factor authentication in these tests
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'Admin';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const { db, resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+const User = require('../src/models/user.model');
+const { hashRecoveryCode } = require('../src/utils/twoFactor');
+
+// Authenticator code of the next time step, so it was not used by an earlier request
+const nextCode = secret => authenticator.clone({ epoch: Date.now() + authenticator.allOptions().step * 1000 }).generate(secret);
+
+describe('two-factor authentication', () => {
+  let server;
+  let company;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+    await createUser(company, { email: 'admin@example.com' });
+  });
+
+  // Log in and enroll in two-factor authentication; resolves with the secret and recovery codes
+  const enroll = async () => {
+    const { challengeToken } = await login(server.request, 'admin@example.com');
+    const setup = await server.request('POST', '/auth/2fa/setup', { body: { challengeToken } });
+    const enabled = await server.request('POST', '/auth/2fa/enable', {
+      body: { challengeToken, code: authenticator.generate(setup.body.secret) }
+    });
+    return { secret: setup.body.secret, enabled };
+  };
+
+  it('makes required roles enroll before they get a token', async () => {
+    const response = await server.request('POST', '/auth/login', {
+      body: { email: 'admin@example.com', password: 'Secret123' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.twoFactorSetupRequired, true);
+    assert.equal(response.body.token, undefined);
+  });
+
+  it('enables two-factor authentication with a valid code and signs the user in', async () => {
+    const { challengeToken } = await login(server.request, 'admin@example.com');
+    const setup = await server.request('POST', '/auth/2fa/setup', { body: { challengeToken } });
+
+    const wrong = await server.request('POST', '/auth/2fa/enable', { body: { challengeToken, code: '000000' } });
+    const enabled = await server.request('POST', '/auth/2fa/enable', {
+      body: { challengeToken, code: authenticator.generate(setup.body.secret) }
+    });
+
+    assert.equal(wrong.status, 400);
+    assert.equal(enabled.status, 200);
+    assert.ok(enabled.body.token);
+    assert.equal(enabled.body.recoveryCodes.length, 10);
+    const [user] = db.collections.User.documents();
+    assert.equal(user.twoFactor.enabled, true);
+    assert.notEqual(user.twoFactor.secret, setup.body.secret, 'the secret is stored encrypted');
+  });
+
+  it('asks enrolled users for a code and accepts each code once', async () => {
+    const { secret } = await enroll();
+
+    const { challengeToken, twoFactorRequired } = await login(server.request, 'admin@example.com');
+    const code = nextCode(secret);
+    const first = await server.request('POST', '/auth/login/2fa', { body: { challengeToken, code } });
+    const replay = await server.request('POST', '/auth/login/2fa', { body: { challengeToken, code } });
+
+    assert.equal(twoFactorRequired, true);
+    assert.equal(first.status, 200);
+    assert.ok(first.body.token);
+    assert.equal(replay.status, 401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { enabled } = await enroll();
+    const [recoveryCode] = enabled.body.recoveryCodes;
+
+    const { challengeToken } = await login(server.request, 'admin@example.com');
+    const first = await server.request('POST', '/auth/login/2fa', { body: { challengeToken, recoveryCode } });
+    const reused = await server.request('POST', '/auth/login/2fa', { body: { challengeToken, recoveryCode } });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.recoveryCodesRemaining, 9);
+    assert.equal(reused.status, 401);
+  });
+
+  it('accepts a code step and a recovery code once when two requests loaded the user', async () => {
+    const { enabled } = await enroll();
+    const [recoveryCode] = enabled.body.recoveryCodes;
+
+    // Both requests read the user before either of them uses the code
+    const load = () => User.findOne({ email: 'admin@example.com' })
+      .select('+twoFactor.recoveryCodes')
+      .setOptions({ allTenants: true });
+    const [first, second] = [await load(), await load()];
+    const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + 1;
+
+    assert.equal(await first.useCodeStep(step), true);
+    assert.equal(await second.useCodeStep(step), false);
+    assert.equal(await first.useRecoveryCode(hashRecoveryCode(recoveryCode)), true);
+    assert.equal(await second.useRecoveryCode(hashRecoveryCode(recoveryCode)), false);
+    assert.equal(first.twoFactor.recoveryCodes.length, 9);
+  });
+
+  it('does not accept an enrollment challenge for the code step', async () => {
+    const { challengeToken } = await login(server.request, 'admin@example.com');
+
+    const response = await server.request('POST', '/auth/login/2fa', { body: { challengeToken, code: '123456' } });
+
+    assert.equal(response.status, 401);
+  });
+
+  it('counts wrong codes towards the account lockout', async () => {
+    await enroll();
+    const { challengeToken } = await login(server.request, 'admin@example.com');
+
+    // MAX_LOGIN_ATTEMPTS is 3 in the tests (see helpers/app)
+    for (let count = 0; count < 3; count++) {
+      await server.request('POST', '/auth/login/2fa', { body: { challengeToken, code: '000000' } });
+    }
+    const locked = await server.request('POST', '/auth/login/2fa', { body: { challengeToken, code: '000000' } });
+
+    assert.equal(locked.status, 429);
+  });
+});
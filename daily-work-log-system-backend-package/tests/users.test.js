@@ -0,0 +1,59 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDatabase, createCompany, createUser, startServer, login } = require('./helpers/app');
+
+describe('user management', () => {
+  let server;
+  let company;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await resetDatabase();
+    company = await createCompany();
+    await createUser(company, { email: 'admin@example.com' });
+    admin = await login(server.request, 'admin@example.com');
+  });
+
+  it('sets a new password that the user signs in with, ending their other sessions', async () => {
+    const user = await createUser(company, { email: 'user@example.com', role: 'Site Supervisor' });
+    const session = await login(server.request, 'user@example.com');
+
+    const updated = await server.request('PUT', `/users/${user._id}`, { token: admin.token, body: { password: 'NewSecret456' } });
+    const oldSession = await server.request('GET', '/auth/me', { token: session.token });
+    const newLogin = await server.request('POST', '/auth/login', { body: { email: 'user@example.com', password: 'NewSecret456' } });
+
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.password, undefined);
+    assert.equal(oldSession.status, 401);
+    assert.equal(newLogin.status, 200);
+    const stored = db.collections.User.documents().find(doc => doc.email === 'user@example.com');
+    assert.notEqual(stored.password, 'NewSecret456', 'the password is stored hashed');
+  });
+
+  it('leaves super-admin accounts to super-admins', async () => {
+    const superAdmin = await createUser(company, { email: 'super@example.com', isSuperAdmin: true });
+    const changes = [
+      ['PUT', `/users/${superAdmin._id}`, { password: 'NewSecret456' }],
+      ['PATCH', `/users/${superAdmin._id}/toggle-status`],
+      ['DELETE', `/users/${superAdmin._id}/2fa`],
+      ['DELETE', `/users/${superAdmin._id}`]
+    ];
+
+    for (const [method, path, body] of changes) {
+      const response = await server.request(method, path, { token: admin.token, body });
+      assert.equal(response.status, 403, `${method} ${path}`);
+    }
+    const [stored] = db.collections.User.documents().filter(doc => doc.email === 'super@example.com');
+    assert.equal(stored.isActive, true);
+
+    const { token } = await login(server.request, 'super@example.com');
+    const bySuperAdmin = await server.request('PATCH', `/users/${superAdmin._id}/toggle-status`, { token });
+    assert.equal(bySuperAdmin.status, 200);
+  });
+});